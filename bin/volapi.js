@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+"use strict";
+
+const {main} = require("../lib/cli");
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+}, ex => {
+  console.error(ex);
+  process.exitCode = 1;
+});
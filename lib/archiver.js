@@ -0,0 +1,254 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {promisify} = require("util");
+const EventEmitter = require("events");
+const {Limiter, writeAtomically, reportError} = require("./util");
+const {debug} = require("./debug");
+const {VolaError} = require("./error");
+
+const readFile = promisify(fs.readFile);
+const mkdir = promisify(fs.mkdir);
+
+const MANIFEST = ".manifest.json";
+// eslint-disable-next-line no-control-regex
+const RE_UNSAFE = /[\x00-\x1f\x7f/\\:*?"<>|]/g;
+
+function safeName(name) {
+  const rv = name.replace(RE_UNSAFE, "_").replace(/^\.+/, "_");
+  return rv.slice(0, 200) || "_";
+}
+
+/**
+ * Mirrors all files of a room to disk, before they go dodo.
+ *
+ * Each file ends up as `<id>-<name>` in the target directory, next to a
+ * `<id>-<name>.json` sidecar holding its metadata. What was already mirrored
+ * is kept in a manifest, so restarts do not download things again, and files
+ * with a checksum that was already mirrored are not downloaded again either.
+ *
+ * @example
+ * const archiver = new Archiver(room, {dir: "mirror/"});
+ * await archiver.start();
+ * await room.connect();
+ */
+class Archiver extends EventEmitter {
+  /**
+   * A new archiver, not yet started
+   * @param {Room} room Room to mirror
+   * @param {Object} options
+   * @param {string} options.dir Directory to mirror to
+   * @param {number} [options.concurrency] Downloads at once (default: 2)
+   * @param {boolean} [options.verify] Verify checksums of downloads
+   * @param {function} [options.filter] Only mirror files this returns true for
+   * @param {string} [options.manifest] Manifest location (default:
+   *    .manifest.json in dir)
+   */
+  constructor(room, options) {
+    super();
+    options = options || {};
+    const {
+      dir,
+      concurrency = 2,
+      verify = false,
+      filter = null,
+      manifest = path.join(dir || "", MANIFEST),
+    } = options;
+    if (!dir) {
+      throw new VolaError("Need a directory to mirror to");
+    }
+    this.room = room;
+    this.dir = dir;
+    this.verify = verify;
+    this.filter = filter;
+    this.manifestFile = manifest;
+    this.manifest = {files: {}, checksums: {}};
+    this.limiter = new Limiter(concurrency);
+    this.started = false;
+    this._queued = new Set();
+    // checksum -> settles once the file with that checksum was mirrored
+    this._mirroring = new Map();
+    this._saving = Promise.resolve();
+    this._onfile = file => this.add(file);
+  }
+
+  /**
+   * Load the manifest, queue the current files and follow new ones
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+    await mkdir(this.dir, {recursive: true});
+    try {
+      const manifest = JSON.parse(await readFile(this.manifestFile, "utf-8"));
+      Object.assign(this.manifest.files, manifest.files);
+      Object.assign(this.manifest.checksums, manifest.checksums);
+    }
+    catch (ex) {
+      if (ex.code !== "ENOENT") {
+        throw ex;
+      }
+    }
+    this.started = true;
+    this.room.on("file", this._onfile);
+    for (const file of this.room.files) {
+      this.add(file);
+    }
+  }
+
+  /**
+   * Stop following new files. Downloads in progress will finish.
+   */
+  stop() {
+    this.started = false;
+    this.room.removeListener("file", this._onfile);
+  }
+
+  /**
+   * Wait until everything queued so far is mirrored (or failed)
+   */
+  async idle() {
+    await this.limiter.idle();
+    await this._saving;
+  }
+
+  /**
+   * Is this file already mirrored?
+   * @param {File|string} file File or file id
+   * @returns {boolean}
+   */
+  has(file) {
+    return (typeof file === "string" ? file : file.id) in this.manifest.files;
+  }
+
+  /**
+   * Queue a file for mirroring, unless it was already taken care of
+   * @param {File} file
+   */
+  add(file) {
+    if (this.has(file) || this._queued.has(file.id)) {
+      return;
+    }
+    if (this.filter && !this.filter(file)) {
+      return;
+    }
+    this._queued.add(file.id);
+    this.limiter.run(() => this._mirror(file)).catch(ex => {
+      /**
+       * Mirroring a file failed
+       * @event Archiver#failed
+       * @type {File}
+       * @type {Error}
+       */
+      this.emit("failed", file, ex);
+      debug("mirroring failed", file.id, ex);
+    }).then(() => this._queued.delete(file.id));
+  }
+
+  async _mirror(file) {
+    const {checksum = null} = await file.infos();
+    let existing = null;
+    while (checksum) {
+      existing = this.manifest.checksums[checksum];
+      const mirroring = this._mirroring.get(checksum);
+      if (existing || !mirroring) {
+        break;
+      }
+      // Same data is on its way already; if that one fails, try this one
+      await mirroring;
+    }
+    if (checksum && !existing) {
+      let release;
+      this._mirroring.set(checksum, new Promise(resolve => release = resolve));
+      try {
+        return await this._mirrorFile(file, checksum, existing);
+      }
+      finally {
+        this._mirroring.delete(checksum);
+        release();
+      }
+    }
+    return await this._mirrorFile(file, checksum, existing);
+  }
+
+  async _mirrorFile(file, checksum, existing) {
+    const name = `${file.id}-${safeName(file.name)}`;
+    const dest = path.join(this.dir, name);
+    let result;
+    if (existing) {
+      result = {path: path.join(this.dir, existing), checksum, duplicate: true};
+    }
+    else {
+      result = await file.download(dest, {verify: this.verify});
+      result.checksum = checksum;
+    }
+    await writeAtomically(`${dest}.json`, JSON.stringify(
+      this._metadata(file, checksum, path.relative(this.dir, result.path)),
+      null, 2));
+    this.manifest.files[file.id] = {
+      checksum,
+      path: path.relative(this.dir, result.path),
+    };
+    if (checksum && !existing) {
+      this.manifest.checksums[checksum] = name;
+    }
+    await this._save();
+    if (existing) {
+      /**
+       * A file was not downloaded, as the same data was already mirrored
+       * @event Archiver#duplicate
+       * @type {File}
+       * @type {Object} Result, with the existing .path
+       */
+      this.emit("duplicate", file, result);
+    }
+    else {
+      /**
+       * A file was mirrored
+       * @event Archiver#archived
+       * @type {File}
+       * @type {Object} Download result
+       */
+      this.emit("archived", file, result);
+    }
+    return result;
+  }
+
+  _metadata(file, checksum, data) {
+    return {
+      id: file.id,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      checksum,
+      uploader: file.uploader,
+      fromAccount: !!file.fromAccount,
+      ip: file.ip,
+      tags: file.tags,
+      uploaded: new Date(file.uploaded).toISOString(),
+      expires: new Date(file.expires).toISOString(),
+      room: this.room.id,
+      url: file.url,
+      data,
+    };
+  }
+
+  _save() {
+    // Parallel downloads finish in any order; queued, the last write has
+    // every file mirrored so far
+    this._saving = this._saving.then(() => writeAtomically(
+      this.manifestFile, JSON.stringify(this.manifest))).catch(ex => {
+      /**
+       * The manifest could not be saved
+       * @event Archiver#error
+       * @type {Error}
+       */
+      reportError(this, "failed to save manifest", ex);
+    });
+    return this._saving;
+  }
+}
+
+module.exports = {Archiver};
@@ -0,0 +1,408 @@
+"use strict";
+
+const EventEmitter = require("events");
+const {debug, error} = require("./debug");
+const {VolaError, VolaPrivilegeError} = require("./error");
+const {
+  compileQuery, matchValue, matchSubstring, matchNocase
+} = require("./query");
+const {
+  isFile, defaultExempt, attachListeners, detachListeners, reportError
+} = require("./util");
+
+const EVENTS = new Set(["chat", "file"]);
+
+const CHAT_MATCHERS = {
+  text: (spec, m) => matchSubstring(spec, m.message),
+  nick: (spec, m) => matchNocase(spec, m.nick),
+  ip: (spec, m) => matchValue(spec, m.ip),
+  user: (spec, m) => !!m.user === !!spec,
+  channel: (spec, m) => matchValue(spec, m.channel),
+  filter: (spec, m) => !!spec(m),
+};
+
+/**
+ * What can be done to whom, and who may do it
+ */
+const ACTIONS = {
+  remove: {
+    on: ["chat"],
+    role: "admin",
+    run: m => m.remove(),
+  },
+  timeout: {
+    on: ["chat", "file"],
+    role: "privileged",
+    check: minutes => minutes > 0,
+    run: (t, minutes) => t.timeout(minutes),
+  },
+  delete: {
+    on: ["file"],
+    role: "privileged",
+    run: f => f.delete(),
+  },
+  blacklist: {
+    on: ["file"],
+    role: "admin",
+    check: o => o && o.hours > 0,
+    run: (f, o) => f.blacklist(o),
+  },
+  ban: {
+    on: ["chat", "file"],
+    role: "admin",
+    check: o => o && o.hours > 0,
+    run: (t, o) => {
+      if (!o.ban && !o.mute && !o.hellban && !o.purgeFiles) {
+        o = Object.assign({ban: true}, o);
+      }
+      return t.ban(o);
+    },
+  },
+};
+
+const ROLES = {
+  privileged: room => room.privileged,
+  admin: room => room.admin,
+};
+
+function describe(target) {
+  if (isFile(target)) {
+    return `@${target.id} (${target.name}) by ${target.uploader}`;
+  }
+  return `${target.nick}: ${target.message}`;
+}
+
+function compileChatQuery(query) {
+  const preds = Object.keys(query).
+    filter(key => query[key] !== undefined).
+    map(key => {
+      const matcher = CHAT_MATCHERS[key];
+      if (!matcher) {
+        throw new VolaError(`Unknown chat rule field: ${key}`);
+      }
+      const spec = query[key];
+      return m => matcher(spec, m);
+    });
+  return m => preds.every(p => p(m));
+}
+
+function compileAction(event, action) {
+  if (typeof action === "function") {
+    const name = action.name || "custom";
+    return {name, options: null, role: null, run: action};
+  }
+  let name;
+  let options = null;
+  if (typeof action === "string") {
+    name = action;
+  }
+  else if (action && typeof action === "object") {
+    const keys = Object.keys(action);
+    if (keys.length !== 1) {
+      throw new VolaError("Actions are {name: options} with a single name");
+    }
+    [name] = keys;
+    options = action[name];
+  }
+  const spec = ACTIONS[name];
+  if (!spec) {
+    throw new VolaError(`Unknown action: ${name}`);
+  }
+  if (!spec.on.includes(event)) {
+    throw new VolaError(`Cannot ${name} on ${event}`);
+  }
+  if (spec.check && !spec.check(options)) {
+    throw new VolaError(`Invalid options for ${name}`);
+  }
+  return {name, options, role: spec.role, run: spec.run};
+}
+
+/**
+ * A single moderation rule, as registered with an {@link AutoModerator}
+ *
+ * @property {string} name Rule name
+ * @property {string} on chat or file
+ * @property {Object[]} actions What to do when the rule matches
+ * @property {Object} rate How often it needs to match per sender
+ */
+class Rule {
+  constructor(name, options) {
+    const {
+      on,
+      match = {},
+      rate = null,
+      actions = [],
+    } = options;
+    if (!name || typeof name !== "string") {
+      throw new VolaError("Rules need a name");
+    }
+    if (!EVENTS.has(on)) {
+      throw new VolaError("Rules need to be on chat or file");
+    }
+    if (rate && !(rate.count >= 1 && rate.per > 0)) {
+      throw new VolaError("Invalid rate, need .count and .per (ms)");
+    }
+    this.name = name;
+    this.on = on;
+    this.rate = rate;
+    this.predicate = on === "file" ?
+      compileQuery(match) :
+      compileChatQuery(match);
+    this.actions = (Array.isArray(actions) ? actions : [actions]).
+      map(a => compileAction(on, a));
+    if (!this.actions.length) {
+      throw new VolaError("Rules need actions");
+    }
+    this._hits = new Map();
+    Object.freeze(this);
+  }
+
+  _sender(target) {
+    if (isFile(target)) {
+      return target.ip || `nick:${target.uploader.toLowerCase()}`;
+    }
+    return target.ip || `nick:${(target.nick || "").toLowerCase()}`;
+  }
+
+  /**
+   * Does this rule fire for the target?
+   * @param {Message|File} target
+   * @param {number} [now] Current time
+   * @returns {boolean}
+   */
+  matches(target, now) {
+    if (!this.predicate(target)) {
+      return false;
+    }
+    if (!this.rate) {
+      return true;
+    }
+    now = now || Date.now();
+    const key = this._sender(target);
+    const since = now - this.rate.per;
+    const hits = (this._hits.get(key) || []).filter(t => t > since);
+    hits.push(now);
+    // Keep the map from growing forever
+    for (const [k, v] of this._hits) {
+      if (v[v.length - 1] <= since) {
+        this._hits.delete(k);
+      }
+    }
+    if (hits.length < this.rate.count) {
+      this._hits.set(key, hits);
+      return false;
+    }
+    // Fired; start counting from scratch
+    this._hits.delete(key);
+    return true;
+  }
+}
+
+/**
+ * Moderates rooms for you, according to your rules.
+ *
+ * Rules match chat messages (by text, nick, ip, ...) or files (anything
+ * {@link Room#findFiles} understands), optionally only when matching often
+ * enough per sender, and then run their actions: remove, timeout, delete,
+ * blacklist or ban, or your own functions.
+ * All rules matching a message or file get to act on it.
+ *
+ * Messages of the room staff (purples, owners, janitors) are left alone by
+ * default.
+ *
+ * @example
+ * const mod = new AutoModerator({dryRun: true});
+ * mod.rule("no-exe", {
+ *   on: "file",
+ *   match: {name: /\.(exe|scr)$/i},
+ *   actions: ["delete", {blacklist: {hours: 24, reason: "malware"}}],
+ * });
+ * mod.rule("flood", {
+ *   on: "chat",
+ *   rate: {count: 5, per: 10000},
+ *   actions: [{timeout: 10}],
+ * });
+ * mod.attach(room);
+ */
+class AutoModerator extends EventEmitter {
+  /**
+   * A new moderator, not yet attached to anything
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] Only log what would have been done
+   * @param {function} [options.log] Where dry runs log to
+   *    (default: console.log)
+   * @param {function} [options.exempt] Predicate telling which messages and
+   *    files to leave alone (default: messages of room staff)
+   * @param {boolean} [options.initial] Also check the file list sent when
+   *    connecting (default: false). Rooms that are already connected when
+   *    attaching will not send it again, .check() their files yourself
+   */
+  constructor(options) {
+    super();
+    options = options || {};
+    const {
+      dryRun = false,
+      log = console.log,
+      exempt = defaultExempt,
+      initial = false,
+    } = options;
+    this.dryRun = dryRun;
+    this.log = log;
+    this.exempt = exempt;
+    this.initial = initial;
+    this.rules = new Map();
+    this._attached = new Map();
+  }
+
+  /**
+   * Register a rule
+   * @param {string} name Rule name
+   * @param {Object} options
+   * @param {string} options.on What to check: chat or file
+   * @param {Object} [options.match] What to look for. For files, a query as
+   *    understood by {@link compileQuery}. For chat: .text (substring, regex
+   *    or function), .nick, .ip, .user (logged in), .channel, .filter
+   * @param {Object} [options.rate] Only fire when matching .count times
+   *    within .per ms, per sender (by ip, or nick)
+   * @param {Array} options.actions Action names (remove, delete), objects
+   *    with options ({timeout: minutes}, {blacklist: {hours, reason}},
+   *    {ban: {hours, reason, mute, hellban, purgeFiles}}), or functions
+   *    taking the message or file and a context
+   * @returns {Rule}
+   */
+  rule(name, options) {
+    if (this.rules.has(name)) {
+      throw new VolaError(`Rule ${name} already registered`);
+    }
+    const rule = new Rule(name, options || {});
+    this.rules.set(name, rule);
+    return rule;
+  }
+
+  /**
+   * Unregister a rule
+   * @param {string} name
+   */
+  remove(name) {
+    this.rules.delete(name);
+  }
+
+  /**
+   * Start moderating
+   * @param {Room|ManyRooms} target Something emitting chat and file events
+   * @returns {AutoModerator} this
+   */
+  attach(target) {
+    attachListeners(this._attached, target, {
+      chat: message => this.check(message).catch(error),
+      file: (file, initial) => {
+        if (!initial || this.initial) {
+          this.check(file).catch(error);
+        }
+      },
+    });
+    return this;
+  }
+
+  /**
+   * Stop moderating
+   * @param {Room|ManyRooms} target
+   */
+  detach(target) {
+    detachListeners(this._attached, target);
+  }
+
+  /**
+   * Check a message or file against the rules, and act on it
+   * @param {Message|File} target
+   * @returns {Object[]} What was done (or would have been done), as
+   *    {rule, action, options, dryRun, error} objects
+   */
+  async check(target) {
+    const on = isFile(target) ? "file" : "chat";
+    const {room} = target;
+    if (on === "chat" && (target.self || target.system || !target.nick)) {
+      return [];
+    }
+    if (on === "file" && room && target.uploader === room.nick) {
+      return [];
+    }
+    if (this.exempt && this.exempt(target)) {
+      return [];
+    }
+    const rv = [];
+    const now = Date.now();
+    for (const rule of Array.from(this.rules.values())) {
+      if (rule.on !== on || !rule.matches(target, now)) {
+        continue;
+      }
+      /**
+       * A rule matched
+       * @event AutoModerator#match
+       * @type {Rule}
+       * @type {Message|File}
+       */
+      this.emit("match", rule, target);
+      for (const action of rule.actions) {
+        rv.push(await this._act(rule, action, target));
+      }
+    }
+    return rv;
+  }
+
+  async _act(rule, action, target) {
+    const {room} = target;
+    const ctx = {
+      rule: rule.name,
+      action: action.name,
+      options: action.options,
+      dryRun: this.dryRun,
+      room,
+      target,
+      error: null,
+    };
+    const allowed = !action.role || ROLES[action.role](room);
+    if (this.dryRun) {
+      const denied = allowed ? "" : ` (but lacking ${action.role} privileges)`;
+      const opts = action.options !== null ?
+        ` ${JSON.stringify(action.options)}` :
+        "";
+      this.log(`[dry run] ${room.alias}: ${rule.name} would ${action.name}${opts}${denied}: ${describe(target)}`);
+    }
+    else {
+      try {
+        if (!allowed) {
+          throw new VolaPrivilegeError(
+            `${action.name} requires ${action.role} privileges`);
+        }
+        debug("automod", rule.name, action.name, describe(target));
+        await action.run(target, action.options, ctx);
+      }
+      catch (ex) {
+        ctx.error = ex;
+        this._failed(ex, ctx);
+      }
+    }
+    /**
+     * An action was taken (or would have been, in a dry run)
+     * @event AutoModerator#action
+     * @type {Object} What was done, as {rule, action, options, dryRun,
+     *    room, target, error}
+     */
+    this.emit("action", ctx);
+    return ctx;
+  }
+
+  _failed(ex, ctx) {
+    /**
+     * An action failed
+     * @event AutoModerator#error
+     * @type {Error}
+     * @type {Object} Action context
+     */
+    reportError(
+      this, `moderation failed: ${ctx.rule} ${ctx.action}`, ex, ctx);
+  }
+}
+
+module.exports = {AutoModerator, Rule, ACTIONS};
@@ -0,0 +1,707 @@
+"use strict";
+
+const os = require("os");
+const path = require("path");
+const {Room} = require("./room");
+const {Session, JSONSessionStore} = require("./session");
+const {VolaError} = require("./error");
+
+const DEFAULT_NICK = "volapi";
+const AUTH_TIMEOUT = 5 * 1000;
+const UNITS = ["B", "KiB", "MiB", "GiB", "TiB"];
+const RE_USER = /^[a-z0-9]*[a-z][a-z0-9]*$/i;
+
+const GLOBAL_OPTIONS = {
+  "nick": "string",
+  "json": "boolean",
+  "server": "string",
+  "site": "string",
+  "session-file": "string",
+  "room-password": "string",
+  "help": "boolean",
+};
+
+const ALIASES = {
+  n: "nick",
+  j: "json",
+  o: "output",
+  h: "help",
+};
+
+const COMMANDS = {
+  login: {
+    usage: "login",
+    description: "Log in with $VOLAPI_PASSWORD and store the session",
+    room: false,
+  },
+  logout: {
+    usage: "logout",
+    description: "Forget the stored session",
+    room: false,
+  },
+  tail: {
+    usage: "tail <room> [--files]",
+    description: "Follow the chat (and uploads, with --files)",
+    options: {files: "boolean"},
+  },
+  files: {
+    usage: "files <room>",
+    description: "List files with sizes and expiry times",
+  },
+  upload: {
+    usage: "upload <room> <file...> [--name <name>]",
+    description: "Upload files",
+    options: {name: "string"},
+  },
+  download: {
+    usage: "download <room> <id...> [-o <dir>] [--verify]",
+    description: "Download files by id",
+    options: {output: "string", verify: "boolean"},
+  },
+  delete: {
+    usage: "delete <room> <id...>",
+    description: "Delete files",
+  },
+  ban: {
+    usage: "ban <room> <ip|user:nick...> --hours <n> [--reason <why>] " +
+      "[--mute] [--hellban] [--purge]",
+    description: "Ban people (just --ban by default)",
+    options: {
+      hours: "number",
+      reason: "string",
+      ban: "boolean",
+      mute: "boolean",
+      hellban: "boolean",
+      purge: "boolean",
+    },
+  },
+  unban: {
+    usage: "unban <room> <ip|user:nick...> [--reason <why>] [--mute] " +
+      "[--hellban] [--timeout]",
+    description: "Unban people (just --ban by default)",
+    options: {
+      reason: "string",
+      ban: "boolean",
+      mute: "boolean",
+      hellban: "boolean",
+      timeout: "boolean",
+    },
+  },
+  config: {
+    usage: "config <room> [key] [value]",
+    description: "Show the room config, or change a value",
+  },
+};
+
+const ALL_OPTIONS = Object.assign({}, GLOBAL_OPTIONS,
+  ...Object.values(COMMANDS).map(cmd => cmd.options));
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv Arguments, sans node and script
+ * @param {Object} spec Known options and their types
+ * @returns {Object} .args (positional) and .options
+ * @throws {VolaError} On unknown or incomplete options
+ */
+function parseArgs(argv, spec) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    if (arg === "--") {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+    const m = /^(?:--([^=]+)|-([a-z]))(?:=([\s\S]*))?$/i.exec(arg);
+    if (!m) {
+      args.push(arg);
+      continue;
+    }
+    let name = m[1] || ALIASES[m[2]];
+    let [, , , value] = m;
+    let type = spec[name];
+    if (!type && name && name.startsWith("no-") &&
+      spec[name.slice(3)] === "boolean") {
+      name = name.slice(3);
+      type = "boolean";
+      value = "false";
+    }
+    if (!type) {
+      throw new VolaError(`Unknown option: ${arg}`);
+    }
+    if (type === "boolean") {
+      options[name] = value === undefined || !/^(?:0|no|false)$/i.test(value);
+      continue;
+    }
+    if (value === undefined) {
+      if (++i >= argv.length) {
+        throw new VolaError(`Option needs a value: ${arg}`);
+      }
+      value = argv[i];
+    }
+    if (type === "number") {
+      value = Number(value);
+      if (!isFinite(value)) {
+        throw new VolaError(`Option needs a number: ${arg}`);
+      }
+    }
+    options[name] = value;
+  }
+  return {args, options};
+}
+
+function humanSize(size) {
+  let unit = 0;
+  while (size >= 1024 && unit < UNITS.length - 1) {
+    size /= 1024;
+    ++unit;
+  }
+  return unit ? `${size.toFixed(1)} ${UNITS[unit]}` : `${size} B`;
+}
+
+function humanDuration(ms) {
+  if (ms <= 0) {
+    return "expired";
+  }
+  const minutes = Math.floor(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 48) {
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+  if (hours) {
+    return `${hours}h ${minutes % 60}m`;
+  }
+  return `${minutes}m`;
+}
+
+function clock(time) {
+  return new Date(time).toTimeString().slice(0, 8);
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => r[i].length)));
+  return rows.map(r => r.map((c, i) => {
+    return i === r.length - 1 ? c : c.padEnd(widths[i]);
+  }).join("  ")).join("\n");
+}
+
+function toBanSpec(arg) {
+  const m = /^(user|ip):([\s\S]+)$/i.exec(arg);
+  if (m) {
+    return {[m[1].toLowerCase()]: m[2]};
+  }
+  return RE_USER.test(arg) ? {user: arg} : {ip: arg};
+}
+
+function toConfigValue(value) {
+  try {
+    return JSON.parse(value);
+  }
+  catch (ex) {
+    return value;
+  }
+}
+
+function authenticate(room, timeout) {
+  return new Promise(resolve => {
+    let timer = null;
+    const done = () => {
+      clearTimeout(timer);
+      room.removeListener("userInfo", onuserinfo);
+      resolve();
+    };
+    const onuserinfo = () => {
+      if (room.loggedin) {
+        done();
+      }
+    };
+    timer = setTimeout(done, timeout);
+    room.on("userInfo", onuserinfo);
+  });
+}
+
+function fileInfo(file) {
+  return {
+    id: file.id,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    uploader: file.uploader,
+    fromAccount: !!file.fromAccount,
+    uploaded: new Date(file.uploaded).toISOString(),
+    expires: new Date(file.expires).toISOString(),
+    url: file.url,
+  };
+}
+
+function messageInfo(message) {
+  return {
+    id: message.id,
+    nick: message.nick,
+    prefix: message.prefix,
+    channel: message.channel,
+    message: message.message,
+    parts: message.parts,
+    self: message.self,
+  };
+}
+
+/**
+ * Single line progress bar, for terminals only
+ */
+class ProgressBar {
+  constructor(stream, label, total) {
+    this.stream = stream;
+    this.label = label;
+    this.total = total;
+    this.last = 0;
+    this.enabled = !!stream.isTTY;
+  }
+
+  update(current) {
+    const now = Date.now();
+    if (!this.enabled || (now - this.last < 100 && current < this.total)) {
+      return;
+    }
+    this.last = now;
+    const ratio = this.total ? Math.min(current / this.total, 1) : 0;
+    const width = 30;
+    const done = Math.round(ratio * width);
+    const bar = `${"#".repeat(done)}${" ".repeat(width - done)}`;
+    const pct = `${Math.floor(ratio * 100)}%`.padStart(4);
+    this.stream.write(
+      `\r[${bar}] ${pct} ${humanSize(current)}/${humanSize(this.total)} ${this.label}`);
+  }
+
+  done() {
+    if (this.enabled && this.last) {
+      this.stream.write("\n");
+    }
+  }
+}
+
+/**
+ * The volapi command line tool
+ */
+class CLI {
+  /**
+   * @param {Object} [io]
+   * @param {Stream} [io.stdout]
+   * @param {Stream} [io.stderr]
+   * @param {Object} [io.env] Environment
+   */
+  constructor(io) {
+    const {
+      stdout = process.stdout,
+      stderr = process.stderr,
+      env = process.env,
+    } = io || {};
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.env = env;
+    this.options = {};
+  }
+
+  get sessionFile() {
+    if (this.options["session-file"]) {
+      return this.options["session-file"];
+    }
+    if (this.env.VOLAPI_SESSION_FILE) {
+      return this.env.VOLAPI_SESSION_FILE;
+    }
+    const base = this.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+    return path.join(base, "volapi", "session.json");
+  }
+
+  get sessionStore() {
+    return new JSONSessionStore(this.sessionFile);
+  }
+
+  get siteOptions() {
+    return {server: this.options.server, site: this.options.site};
+  }
+
+  print(text) {
+    this.stdout.write(`${text}\n`);
+  }
+
+  json(obj) {
+    this.stdout.write(`${JSON.stringify(obj)}\n`);
+  }
+
+  usage() {
+    const lines = [
+      "Usage: volapi <command> [options]",
+      "",
+      "Commands:",
+    ];
+    for (const cmd of Object.values(COMMANDS)) {
+      lines.push(`  ${cmd.usage}`, `      ${cmd.description}`);
+    }
+    lines.push(
+      "",
+      "Options:",
+      "  -n, --nick <nick>        Nick to use ($VOLAPI_NICK)",
+      "  -j, --json               Machine readable output",
+      "  --room-password <pass>   Room password",
+      "  --session-file <file>    Where the session is stored",
+      "  --server <url>           Talk to another server",
+      "  --site <host>            Use another site, such as volafile.io",
+      "",
+      "Logs in with $VOLAPI_SESSION, $VOLAPI_PASSWORD or the stored session.");
+    return lines.join("\n");
+  }
+
+  /**
+   * Run a command line
+   * @param {string[]} argv Arguments, sans node and script
+   * @returns {number} Exit code
+   */
+  async run(argv) {
+    let name;
+    try {
+      // Options may come first, so find the command knowing all of them
+      [name] = parseArgs(argv, ALL_OPTIONS).args;
+    }
+    catch (ex) {
+      name = null;
+    }
+    const cmd = Object.prototype.hasOwnProperty.call(COMMANDS, name) ?
+      COMMANDS[name] :
+      null;
+    let parsed;
+    try {
+      parsed = parseArgs(argv, Object.assign(
+        {}, GLOBAL_OPTIONS, cmd && cmd.options));
+    }
+    catch (ex) {
+      this.stderr.write(`volapi: ${ex.message}\n`);
+      return 2;
+    }
+    this.options = parsed.options;
+    if (this.options.help) {
+      this.stdout.write(`${this.usage()}\n`);
+      return 0;
+    }
+    if (!cmd) {
+      this.stderr.write(`${this.usage()}\n`);
+      return 2;
+    }
+    const args = parsed.args.slice(1);
+    if (cmd.room !== false && !args.length) {
+      this.stderr.write(`Usage: volapi ${cmd.usage}\n`);
+      return 2;
+    }
+    try {
+      await this[`cmd_${name}`](args);
+      return 0;
+    }
+    catch (ex) {
+      if (this.options.json) {
+        this.json({error: ex.message || String(ex)});
+      }
+      this.stderr.write(`volapi: ${ex.message || ex}\n`);
+      return 1;
+    }
+  }
+
+  async loadSession() {
+    const stored = await this.sessionStore.load();
+    return stored && stored.session ? stored : null;
+  }
+
+  /**
+   * Open a room, logged in if possible
+   * @param {string} id Room id or URL
+   * @param {Object} [options] More room options
+   * @returns {Room}
+   */
+  async openRoom(id, options) {
+    const {env} = this;
+    const stored = env.VOLAPI_SESSION || env.VOLAPI_PASSWORD ?
+      null :
+      await this.loadSession();
+    const nick = this.options.nick || env.VOLAPI_NICK ||
+      (stored && stored.nick) || DEFAULT_NICK;
+    const session = new Session(nick, this.siteOptions);
+    if (env.VOLAPI_PASSWORD) {
+      await session.login(env.VOLAPI_PASSWORD);
+    }
+    else if (env.VOLAPI_SESSION) {
+      session.use(env.VOLAPI_SESSION);
+    }
+    else if (stored) {
+      session.cookies.load(stored.cookies || []);
+      session.use(stored.session);
+    }
+    const room = new Room(id, nick, Object.assign({}, this.siteOptions, {
+      password: this.options["room-password"],
+      session,
+    }, options));
+    room.on("error", ex => {
+      this.stderr.write(`volapi: ${ex.message || ex}\n`);
+    });
+    // The session is used once connected, and only then vola tells us what
+    // we may do in here
+    const authenticated = room.session ?
+      authenticate(room, AUTH_TIMEOUT) :
+      Promise.resolve();
+    await room.connect();
+    await authenticated;
+    return room;
+  }
+
+  async withRoom(id, fn, options) {
+    const room = await this.openRoom(id, options);
+    try {
+      return await fn(room);
+    }
+    finally {
+      await room.close();
+    }
+  }
+
+  async cmd_login() {
+    const nick = this.options.nick || this.env.VOLAPI_NICK;
+    const password = this.env.VOLAPI_PASSWORD;
+    if (!nick || !password) {
+      throw new VolaError("Need $VOLAPI_PASSWORD and a --nick ($VOLAPI_NICK)");
+    }
+    const session = new Session(nick, this.siteOptions);
+    await session.login(password);
+    await this.sessionStore.save(session.toJSON());
+    if (this.options.json) {
+      this.json({nick: session.nick, sessionFile: this.sessionFile});
+      return;
+    }
+    this.print(`Logged in as ${session.nick}, session stored in ${this.sessionFile}`);
+  }
+
+  async cmd_logout() {
+    await this.sessionStore.clear();
+    if (!this.options.json) {
+      this.print("Logged out");
+    }
+  }
+
+  async cmd_tail([id]) {
+    const room = await this.openRoom(id, {reconnect: true});
+    const {json} = this.options;
+    const color = !!this.stdout.isTTY;
+    room.on("chat", message => {
+      if (json) {
+        this.json(Object.assign({
+          type: "chat",
+          time: new Date().toISOString(),
+          room: room.alias
+        }, messageInfo(message)));
+        return;
+      }
+      const chan = message.channel ? ` (${message.channel})` : "";
+      const text = message.toANSI({color});
+      this.print(`${clock(Date.now())} ${message.prefix}${message.nick}${chan}: ${text}`);
+    });
+    if (this.options.files) {
+      room.on("file", (file, initial) => {
+        if (initial) {
+          return;
+        }
+        if (json) {
+          // .type tells events apart, so the file type needs another name
+          this.json(Object.assign(fileInfo(file), {
+            type: "file",
+            fileType: file.type,
+            time: new Date().toISOString(),
+            room: room.alias
+          }));
+          return;
+        }
+        this.print(`${clock(file.uploaded)} ${file.uploader} uploaded ${file.name} (${humanSize(file.size)}) ${file.url}`);
+      });
+    }
+    const stop = () => room.close().catch(() => {});
+    process.once("SIGINT", stop);
+    try {
+      await room.run();
+    }
+    finally {
+      process.removeListener("SIGINT", stop);
+    }
+  }
+
+  async cmd_files([id]) {
+    await this.withRoom(id, room => {
+      const files = room.files.sort((a, b) => a.uploaded - b.uploaded);
+      if (this.options.json) {
+        this.json(files.map(fileInfo));
+        return;
+      }
+      if (!files.length) {
+        this.print("No files");
+        return;
+      }
+      this.print(table([["ID", "SIZE", "EXPIRES", "UPLOADER", "NAME"]].concat(
+        files.map(f => [
+          f.id,
+          humanSize(f.size),
+          humanDuration(f.validFor),
+          `${f.fromAccount ? "+" : ""}${f.uploader}`,
+          f.name
+        ]))));
+    });
+  }
+
+  async cmd_upload([id, ...files]) {
+    if (!files.length) {
+      throw new VolaError("Nothing to upload");
+    }
+    if (this.options.name && files.length > 1) {
+      throw new VolaError("--name only works for a single file");
+    }
+    await this.withRoom(id, async room => {
+      const results = [];
+      for (const file of files) {
+        const name = this.options.name || path.basename(file);
+        const bar = new ProgressBar(this.stderr, name, 0);
+        const rv = await room.uploadFile({
+          file,
+          name,
+          progress: (delta, current, total) => {
+            bar.total = total;
+            bar.update(current);
+          }
+        });
+        bar.done();
+        const {assets} = room.endpoints;
+        const url = `${assets}/get/${rv.id}/${encodeURIComponent(name)}`;
+        results.push(Object.assign({file, name, url}, rv));
+        if (!this.options.json) {
+          this.print(`${name}: ${rv.id} ${url}`);
+        }
+      }
+      if (this.options.json) {
+        this.json(results);
+      }
+    });
+  }
+
+  async cmd_download([id, ...ids]) {
+    if (!ids.length) {
+      throw new VolaError("Nothing to download");
+    }
+    const dir = this.options.output || ".";
+    await this.withRoom(id, async room => {
+      const results = [];
+      for (const fid of ids) {
+        const file = room.getFile(fid);
+        if (!file) {
+          throw new VolaError(`No such file: ${fid}`);
+        }
+        const bar = new ProgressBar(this.stderr, file.name, file.size);
+        const rv = await file.download(dir, {
+          verify: !!this.options.verify,
+          progress: (delta, current) => bar.update(current),
+        });
+        bar.done();
+        results.push(Object.assign({id: fid, name: file.name}, rv));
+        if (!this.options.json) {
+          this.print(`${fid}: ${rv.path} (${humanSize(rv.size)})`);
+        }
+      }
+      if (this.options.json) {
+        this.json(results);
+      }
+    });
+  }
+
+  async cmd_delete([id, ...ids]) {
+    if (!ids.length) {
+      throw new VolaError("Nothing to delete");
+    }
+    await this.withRoom(id, async room => {
+      await room.deleteFiles(ids);
+      this.done({deleted: ids});
+    });
+  }
+
+  async cmd_ban([id, ...specs]) {
+    if (!specs.length) {
+      throw new VolaError("Nobody to ban");
+    }
+    const {hours, reason = "", mute, hellban, purge} = this.options;
+    const {ban = !mute && !hellban && !purge} = this.options;
+    const options = {
+      hours,
+      reason,
+      ban,
+      mute: !!mute,
+      hellban: !!hellban,
+      purgeFiles: !!purge
+    };
+    await this.withRoom(id, async room => {
+      await room.ban(specs.map(toBanSpec), options);
+      this.done({banned: specs, options});
+    });
+  }
+
+  async cmd_unban([id, ...specs]) {
+    if (!specs.length) {
+      throw new VolaError("Nobody to unban");
+    }
+    const {reason = "", mute, hellban, timeout} = this.options;
+    const {ban = !mute && !hellban && !timeout} = this.options;
+    const options = {
+      reason,
+      ban,
+      mute: !!mute,
+      hellban: !!hellban,
+      timeout: !!timeout
+    };
+    await this.withRoom(id, async room => {
+      await room.unban(specs.map(toBanSpec), options);
+      this.done({unbanned: specs, options});
+    });
+  }
+
+  async cmd_config([id, key, ...value]) {
+    await this.withRoom(id, async room => {
+      if (!value.length) {
+        const config = Object.assign({}, room.config);
+        delete config.loaded;
+        config.janitors = Array.from(config.janitors || []);
+        const rv = key ? {[key]: config[key]} : config;
+        if (this.options.json) {
+          this.json(rv);
+          return;
+        }
+        for (const [k, v] of Object.entries(rv)) {
+          this.print(`${k}: ${JSON.stringify(v)}`);
+        }
+        return;
+      }
+      const v = toConfigValue(value.join(" "));
+      await room.setConfig(key, v);
+      this.done({[key]: v});
+    });
+  }
+
+  done(result) {
+    if (this.options.json) {
+      this.json(Object.assign({ok: true}, result));
+      return;
+    }
+    this.print("Done");
+  }
+}
+
+/**
+ * Run the command line tool
+ * @param {string[]} argv Arguments, sans node and script
+ * @param {Object} [io] .stdout, .stderr and .env overrides
+ * @returns {number} Exit code
+ */
+function main(argv, io) {
+  return new CLI(io).run(argv);
+}
+
+module.exports = {main, CLI, parseArgs, humanSize, humanDuration};
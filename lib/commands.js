@@ -0,0 +1,465 @@
+"use strict";
+
+const EventEmitter = require("events");
+const {error} = require("./debug");
+const {VolaError} = require("./error");
+const {attachListeners, detachListeners, reportError} = require("./util");
+
+const DEFAULT_MAX_LENGTH = 300;
+
+const ROLES = Object.freeze({
+  anyone: () => true,
+  user: m => m.user || m.purple,
+  green: m => m.user || m.purple,
+  pro: m => m.pro || m.purple,
+  donor: m => m.donor || m.purple,
+  janitor: m => m.janitor || m.owner || m.admin,
+  owner: m => m.owner || m.admin,
+  staff: m => m.staff || m.admin,
+  admin: m => m.admin,
+});
+
+const TYPES = Object.freeze({
+  string: v => v,
+  number(v) {
+    const rv = Number(v);
+    if (!isFinite(rv)) {
+      throw new VolaError(`Not a number: ${v}`);
+    }
+    return rv;
+  },
+  integer(v) {
+    const rv = Number(v);
+    if (!Number.isSafeInteger(rv)) {
+      throw new VolaError(`Not an integer: ${v}`);
+    }
+    return rv;
+  },
+  boolean(v) {
+    if (/^(?:1|yes|y|true|on)$/i.test(v)) {
+      return true;
+    }
+    if (/^(?:0|no|n|false|off)$/i.test(v)) {
+      return false;
+    }
+    throw new VolaError(`Not a yes or no: ${v}`);
+  },
+});
+
+function toArgSpec(spec) {
+  if (typeof spec === "string") {
+    const m = /^(\.\.\.)?([^?]+)(\?)?$/.exec(spec);
+    if (!m) {
+      throw new VolaError(`Invalid argument spec: ${spec}`);
+    }
+    spec = {name: m[2], rest: !!m[1], optional: !!m[3]};
+  }
+  const o = Object.assign({type: "string", optional: false, rest: false}, spec);
+  if (!o.name) {
+    throw new VolaError("Arguments need a name");
+  }
+  if (typeof o.type !== "function" && !TYPES[o.type]) {
+    throw new VolaError(`Invalid argument type: ${o.type}`);
+  }
+  return o;
+}
+
+function toRole(role) {
+  if (!role) {
+    return ROLES.anyone;
+  }
+  if (typeof role === "function") {
+    return role;
+  }
+  const rv = ROLES[role];
+  if (!rv) {
+    throw new VolaError(`Invalid role: ${role}`);
+  }
+  return rv;
+}
+
+/**
+ * Split a string into words, keeping "quoted stuff" together
+ * @param {string} str
+ * @returns {string[]}
+ */
+function tokenize(str) {
+  const rv = [];
+  const re = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+  for (let m = re.exec(str); m; m = re.exec(str)) {
+    if (m[3] !== undefined) {
+      rv.push(m[3]);
+    }
+    else {
+      rv.push((m[1] !== undefined ? m[1] : m[2]).replace(/\\(.)/g, "$1"));
+    }
+  }
+  return rv;
+}
+
+function chunk(lines, sep, max) {
+  const rv = [];
+  let cur = "";
+  for (const line of lines) {
+    if (cur && cur.length + sep.length + line.length > max) {
+      rv.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}${sep}${line}` : line;
+  }
+  if (cur) {
+    rv.push(cur);
+  }
+  return rv;
+}
+
+/**
+ * A single bot command, as registered with a {@link CommandRouter}
+ *
+ * @property {string} name Command name
+ * @property {string[]} aliases Other names
+ * @property {string} description What it does
+ * @property {Object[]} args Argument specs
+ * @property {number} cooldown Per-user cooldown in ms
+ */
+class Command {
+  constructor(name, options, handler) {
+    const {
+      aliases = [],
+      description = "",
+      args = [],
+      role = null,
+      cooldown = 0,
+      hidden = false,
+    } = options;
+    this.name = name.toLowerCase();
+    this.aliases = aliases.map(a => a.toLowerCase());
+    this.description = description;
+    this.args = args.map(toArgSpec);
+    this.allowed = toRole(role);
+    this.role = typeof role === "string" ? role : null;
+    this.cooldown = cooldown;
+    this.hidden = hidden;
+    this.handler = handler;
+    const rest = this.args.findIndex(a => a.rest);
+    if (rest >= 0 && rest !== this.args.length - 1) {
+      throw new VolaError("Only the last argument may be a rest argument");
+    }
+  }
+
+  usage(prefix) {
+    const args = this.args.map(a => {
+      const name = a.rest ? `${a.name}...` : a.name;
+      return a.optional ? `[${name}]` : `<${name}>`;
+    });
+    return [`${prefix}${this.name}`].concat(args).join(" ");
+  }
+
+  parse(text) {
+    const words = tokenize(text);
+    const rv = {};
+    for (let i = 0; i < this.args.length; ++i) {
+      const spec = this.args[i];
+      const type = typeof spec.type === "function" ?
+        spec.type :
+        TYPES[spec.type];
+      if (i >= words.length) {
+        if (!spec.optional) {
+          throw new VolaError(`Missing argument: ${spec.name}`);
+        }
+        rv[spec.name] = spec.rest ? [] : undefined;
+        continue;
+      }
+      rv[spec.name] = spec.rest ?
+        words.slice(i).map(type) :
+        type(words[i]);
+    }
+    const last = this.args[this.args.length - 1];
+    if (words.length > this.args.length && !(last && last.rest)) {
+      throw new VolaError("Too many arguments");
+    }
+    return [rv, words];
+  }
+}
+
+/**
+ * Turns chat messages such as `!roll 2d6` into calls to your handlers
+ *
+ * @example
+ * const router = new CommandRouter({prefix: "!"});
+ * router.command("roll", {args: ["dice?"], cooldown: 5000}, ctx => {
+ *   return `You rolled ${roll(ctx.args.dice || "1d6")}`;
+ * });
+ * router.attach(room);
+ */
+class CommandRouter extends EventEmitter {
+  /**
+   * A new router, not yet attached to anything
+   * @param {Object} [options]
+   * @param {string} [options.prefix] Command prefix (default: !)
+   * @param {string|boolean} [options.help] Name of the help command, or false
+   *    to not have one (default: help)
+   * @param {boolean} [options.replyErrors] Tell users when their command
+   *    failed (default: true)
+   */
+  constructor(options) {
+    super();
+    const {prefix = "!", help = "help", replyErrors = true} = options || {};
+    if (!prefix) {
+      throw new VolaError("Need a prefix");
+    }
+    this.prefix = prefix;
+    this.replyErrors = replyErrors;
+    this.commands = new Map();
+    this._names = new Map();
+    // command\0nick -> end of the cooldown
+    this._cooldowns = new Map();
+    this._attached = new Map();
+    if (help) {
+      this.command(help, {
+        description: "Lists commands, or explains one",
+        args: ["command?"],
+      }, ctx => this._help(ctx));
+    }
+  }
+
+  /**
+   * Register a command
+   * @param {string} name Command name
+   * @param {Object} [options]
+   * @param {string[]} [options.aliases] Other names for this command
+   * @param {string} [options.description] Shown in the help
+   * @param {Array} [options.args] Argument specs. Either strings (`name`,
+   *    `name?` for optional ones, `...name` to collect the rest), or objects
+   *    with .name, .type (string, number, integer, boolean or a function),
+   *    .optional and .rest
+   * @param {string|function} [options.role] Who may use this: anyone, user,
+   *    pro, donor, janitor, owner, staff, admin, or a predicate taking the
+   *    Message
+   * @param {number} [options.cooldown] Per-user cooldown in ms
+   * @param {boolean} [options.hidden] Do not list in the help
+   * @param {function} handler Gets a context with .room, .message, .nick,
+   *    .args, .argv, .text and .reply(); may return (a promise of) a string
+   *    to reply with
+   * @returns {Command}
+   */
+  command(name, options, handler) {
+    if (typeof options === "function") {
+      handler = options;
+      options = {};
+    }
+    if (typeof handler !== "function") {
+      throw new VolaError("handler must be a function");
+    }
+    const cmd = new Command(name, options || {}, handler);
+    for (const n of [cmd.name].concat(cmd.aliases)) {
+      if (this._names.has(n)) {
+        throw new VolaError(`Command ${n} already registered`);
+      }
+    }
+    this.commands.set(cmd.name, cmd);
+    for (const n of [cmd.name].concat(cmd.aliases)) {
+      this._names.set(n, cmd);
+    }
+    return cmd;
+  }
+
+  /**
+   * Unregister a command
+   * @param {string} name Command name or alias
+   */
+  remove(name) {
+    const cmd = this._names.get(name.toLowerCase());
+    if (!cmd) {
+      return;
+    }
+    this.commands.delete(cmd.name);
+    for (const n of [cmd.name].concat(cmd.aliases)) {
+      this._names.delete(n);
+    }
+  }
+
+  /**
+   * Find a command
+   * @param {string} name Command name or alias
+   * @returns {Command}
+   */
+  get(name) {
+    return this._names.get(name.toLowerCase()) || null;
+  }
+
+  /**
+   * Start listening to chat
+   * @param {Room|ManyRooms} target Something emitting chat events
+   * @returns {CommandRouter} this
+   */
+  attach(target) {
+    attachListeners(this._attached, target, {
+      chat: message => this.dispatch(message).catch(error),
+    });
+    return this;
+  }
+
+  /**
+   * Stop listening to chat
+   * @param {Room|ManyRooms} target
+   */
+  detach(target) {
+    detachListeners(this._attached, target);
+  }
+
+  /**
+   * Handle a message, if it is a command
+   * @param {Message} message
+   * @returns {boolean} Whether a command was run
+   */
+  async dispatch(message) {
+    if (message.self || message.system || !message.nick) {
+      return false;
+    }
+    const {message: text = ""} = message;
+    if (!text.startsWith(this.prefix)) {
+      return false;
+    }
+    const body = text.slice(this.prefix.length);
+    const m = /^(\S+)\s*([\s\S]*)$/.exec(body);
+    if (!m) {
+      return false;
+    }
+    const [, name, rest] = m;
+    const cmd = this.get(name);
+    if (!cmd) {
+      return false;
+    }
+    const ctx = this._context(message, name, cmd, rest);
+    if (!cmd.allowed(message)) {
+      /**
+       * Somebody tried a command they are not allowed to use
+       * @event CommandRouter#denied
+       * @type {Object} Command context
+       */
+      this.emit("denied", ctx);
+      return false;
+    }
+    const remaining = this._cooldown(cmd, message);
+    if (remaining) {
+      /**
+       * Somebody is using a command too often
+       * @event CommandRouter#cooldown
+       * @type {Object} Command context
+       * @type {number} Remaining cooldown in ms
+       */
+      this.emit("cooldown", ctx, remaining);
+      return false;
+    }
+    try {
+      [ctx.args, ctx.argv] = cmd.parse(rest);
+    }
+    catch (ex) {
+      await ctx.reply(`${ex.message}. Usage: ${cmd.usage(this.prefix)}`);
+      return false;
+    }
+
+    /**
+     * A command is about to run
+     * @event CommandRouter#command
+     * @type {Object} Command context
+     */
+    this.emit("command", ctx);
+    try {
+      const rv = await cmd.handler(ctx);
+      if (typeof rv === "string" && rv) {
+        await ctx.reply(rv);
+      }
+    }
+    catch (ex) {
+      this._failed(ex, ctx);
+      if (this.replyErrors) {
+        await ctx.reply(`${this.prefix}${cmd.name} failed`);
+      }
+    }
+    return true;
+  }
+
+  _context(message, name, command, text) {
+    const {room, nick} = message;
+    return {
+      room,
+      message,
+      nick,
+      name,
+      command,
+      text,
+      args: {},
+      argv: [],
+      reply: async (msg, options) => {
+        try {
+          await room.chat(`${nick}: ${msg}`, options);
+        }
+        catch (ex) {
+          this._failed(ex, null);
+        }
+      },
+    };
+  }
+
+  _cooldown(cmd, message) {
+    if (!cmd.cooldown) {
+      return 0;
+    }
+    const key = `${cmd.name}\0${message.nick.toLowerCase()}`;
+    const now = Date.now();
+    const until = this._cooldowns.get(key) || 0;
+    if (until > now) {
+      return until - now;
+    }
+    this._cooldowns.set(key, now + cmd.cooldown);
+    for (const [k, v] of this._cooldowns) {
+      // Keep the map from growing forever
+      if (v <= now) {
+        this._cooldowns.delete(k);
+      }
+    }
+    return 0;
+  }
+
+  _failed(ex, ctx) {
+    /**
+     * A command handler failed
+     * @event CommandRouter#error
+     * @type {Error}
+     * @type {Object} Command context, if any
+     */
+    const what = ctx ? `command ${ctx.name} failed` : "command failed";
+    reportError(this, what, ex, ctx);
+  }
+
+  async _help(ctx) {
+    const {room, message} = ctx;
+    const {config = {}} = room;
+    const {chat_max_message_length: max = DEFAULT_MAX_LENGTH} = config;
+    if (ctx.args.command) {
+      const cmd = this.get(ctx.args.command);
+      if (!cmd || !cmd.allowed(message)) {
+        return `No such command: ${ctx.args.command}`;
+      }
+      const aliases = cmd.aliases.length ?
+        ` (also: ${cmd.aliases.join(", ")})` :
+        "";
+      const desc = cmd.description ? ` - ${cmd.description}` : "";
+      return `${cmd.usage(this.prefix)}${aliases}${desc}`;
+    }
+    const names = Array.from(this.commands.values()).
+      filter(cmd => !cmd.hidden && cmd.allowed(message)).
+      map(cmd => `${this.prefix}${cmd.name}`).
+      sort();
+    const prefix = `${ctx.nick}: `;
+    const chunks = chunk(names, ", ", max - prefix.length);
+    for (const c of chunks.slice(0, -1)) {
+      await ctx.reply(c);
+    }
+    return chunks[chunks.length - 1];
+  }
+}
+
+module.exports = {CommandRouter, Command, ROLES, tokenize};
@@ -0,0 +1,188 @@
+"use strict";
+
+const {VolaError} = require("./error");
+const {parseId, splitMessage, isFile} = require("./util");
+
+const DEFAULT_MAX_LENGTH = 300;
+
+/**
+ * Put together a chat message, mentioning files and rooms, and have it
+ * split into as many messages as it takes.
+ *
+ * @example
+ * room.compose("check out", file, "over in", otherRoom).
+ *   line().
+ *   text("also").
+ *   mentionFile("abcdef1234").
+ *   text("kthxbai").
+ *   send();
+ */
+class MessageBuilder {
+  /**
+   * @param {Room} room Room to send to, and check file mentions against
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] Only allow mentioning files currently
+   *    in the room (default: true)
+   */
+  constructor(room, options) {
+    options = options || {};
+    const {strict = true} = options;
+    this.room = room;
+    this.strict = strict;
+    this.parts = [];
+  }
+
+  /**
+   * Add some text
+   * @param {string} text
+   * @returns {MessageBuilder} For chaining
+   */
+  text(text) {
+    if (typeof text !== "string") {
+      throw new VolaError("Not a string");
+    }
+    this.parts.push({type: "text", value: text});
+    return this;
+  }
+
+  /**
+   * Start a new line
+   * @returns {MessageBuilder} For chaining
+   */
+  line() {
+    this.parts.push({type: "break"});
+    return this;
+  }
+
+  /**
+   * Mention a file
+   * @param {File|string} file File or file id
+   * @returns {MessageBuilder} For chaining
+   */
+  mentionFile(file) {
+    const id = isFile(file) ? file.id : file;
+    if (!id || typeof id !== "string" || /\s/.test(id)) {
+      throw new VolaError("Not a valid file");
+    }
+    this.parts.push({type: "file", id});
+    return this;
+  }
+
+  /**
+   * Mention a room
+   * @param {Room|string} room Room, room id or room URL
+   * @returns {MessageBuilder} For chaining
+   */
+  mentionRoom(room) {
+    const id = room && typeof room === "object" ? room.id : parseId(room);
+    if (!id) {
+      throw new VolaError("Not a valid room");
+    }
+    this.parts.push({type: "room", id});
+    return this;
+  }
+
+  /**
+   * Add whatever: strings are text, Files and Rooms get mentioned
+   * @param {...(string|File|Room)} items
+   * @returns {MessageBuilder} For chaining
+   */
+  add(...items) {
+    for (const item of items) {
+      if (typeof item === "string") {
+        this.text(item);
+      }
+      else if (isFile(item)) {
+        this.mentionFile(item);
+      }
+      else if (item && typeof item === "object" && "alias" in item) {
+        this.mentionRoom(item);
+      }
+      else {
+        throw new VolaError(`Cannot add ${item} to a message`);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Check mentions are legit
+   * @throws {VolaError} when mentioning files not in the room (in strict mode)
+   */
+  verify() {
+    if (!this.strict) {
+      return;
+    }
+    const missing = this.parts.
+      filter(p => p.type === "file" && !this.room.getFile(p.id)).
+      map(p => p.id);
+    if (missing.length) {
+      throw new VolaError(`No such file(s): ${missing.join(", ")}`);
+    }
+  }
+
+  /**
+   * The whole message as a single string, with mentions spaced out from
+   * surrounding text, so that they actually get linked
+   * @returns {string}
+   */
+  build() {
+    this.verify();
+    let rv = "";
+    let mention = false;
+    for (const part of this.parts) {
+      let text;
+      switch (part.type) {
+      case "file":
+        text = `@${part.id}`;
+        break;
+
+      case "room":
+        text = `#${part.id}`;
+        break;
+
+      case "break":
+        text = "\n";
+        break;
+
+      default:
+        text = part.value;
+        break;
+      }
+      const isMention = part.type === "file" || part.type === "room";
+      if ((isMention || mention) && /\S$/.test(rv) && /^\S/.test(text)) {
+        rv += " ";
+      }
+      rv += text;
+      mention = isMention;
+    }
+    return rv;
+  }
+
+  /**
+   * The message split into chunks the room will accept
+   * @returns {string[]}
+   */
+  split() {
+    const {config = {}} = this.room;
+    const {chat_max_message_length: max = DEFAULT_MAX_LENGTH} = config;
+    return splitMessage(this.build(), max);
+  }
+
+  /**
+   * Send it off, in as many messages as it takes
+   * @param {Object} [options]
+   * @param {boolean} [options.me] Send as /me
+   * @param {boolean} [options.admin] Send as admin chat
+   * @returns {Promise} Settles once all parts were actually sent
+   */
+  send(options) {
+    return this.room.chat(this, options);
+  }
+
+  toString() {
+    return `<MessageBuilder(${this.room.alias}, ${this.parts.length} parts)>`;
+  }
+}
+
+module.exports = {MessageBuilder};
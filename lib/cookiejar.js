@@ -1,18 +1,269 @@
 "use strict";
 
 const cookie = require("cookie");
+const fetch = require("node-fetch");
+const {URL} = require("url");
+const {VolaError} = require("./error");
 
+const SECURE_PROTOCOLS = new Set(["https:", "wss:"]);
+
+function defaultPath(pathname) {
+  if (!pathname || !pathname.startsWith("/")) {
+    return "/";
+  }
+  const idx = pathname.lastIndexOf("/");
+  return idx > 0 ? pathname.slice(0, idx) : "/";
+}
+
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function pathMatches(reqPath, path) {
+  if (reqPath === path) {
+    return true;
+  }
+  return reqPath.startsWith(path) &&
+    (path.endsWith("/") || reqPath[path.length] === "/");
+}
+
+function parseSetCookie(header) {
+  const [pair, ...attrs] = header.split(";");
+  const eq = pair.indexOf("=");
+  if (eq <= 0) {
+    return null;
+  }
+  const rv = {
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim(),
+    attrs: {},
+  };
+  if (rv.value.startsWith("\"") && rv.value.endsWith("\"") &&
+    rv.value.length > 1) {
+    rv.value = rv.value.slice(1, -1);
+  }
+  try {
+    rv.value = decodeURIComponent(rv.value);
+  }
+  catch (ex) {
+    // Keep it as it is then
+  }
+  for (const attr of attrs) {
+    const aeq = attr.indexOf("=");
+    const key = (aeq < 0 ? attr : attr.slice(0, aeq)).trim().toLowerCase();
+    rv.attrs[key] = aeq < 0 ? "" : attr.slice(aeq + 1).trim();
+  }
+  return rv;
+}
+
+/**
+ * Cookies, for vola and the upload servers.
+ *
+ * As a Map, it holds cookies sent along with every request (name to value).
+ * Cookies the servers set (see {@link CookieJar#setCookie}) are kept apart,
+ * scoped to their domain and path, and until they expire. They win over
+ * Map cookies of the same name where they apply. Setting or deleting a
+ * cookie by name does away with the scoped ones of that name too.
+ */
 class CookieJar extends Map {
-  constructor(strOrArray) {
-    super(Array.isArray(strOrArray) ? strOrArray : []);
-    if (typeof strOrArray === "string") {
-      const provided = cookie.parse(strOrArray);
+  /**
+   * @param {string|Array} [init] Cookie header string, [name, value] pairs,
+   *    or what {@link CookieJar#toJSON} gave you
+   */
+  constructor(init) {
+    super();
+    this.scoped = [];
+    if (typeof init === "string") {
+      const provided = cookie.parse(init);
       for (const k of Object.keys(provided)) {
         this.set(k, provided[k]);
       }
     }
+    else if (Array.isArray(init)) {
+      this.load(init);
+    }
   }
 
+  set(name, value) {
+    // Map's constructor sets before there is anything scoped
+    if (this.scoped) {
+      this.scoped = this.scoped.filter(c => c.name !== name);
+    }
+    return super.set(name, value);
+  }
+
+  delete(name) {
+    const before = this.scoped.length;
+    this.scoped = this.scoped.filter(c => c.name !== name);
+    return super.delete(name) || before !== this.scoped.length;
+  }
+
+  clear() {
+    this.scoped = [];
+    super.clear();
+  }
+
+  /**
+   * Take in a Set-Cookie header
+   * @param {string} header
+   * @param {string} url Where the header came from
+   * @param {number} [now] Current time
+   * @returns {Object|null} The stored cookie, or null if it was rejected or
+   *    is gone now
+   */
+  setCookie(header, url, now) {
+    now = now || Date.now();
+    const parsed = parseSetCookie(header);
+    if (!parsed) {
+      return null;
+    }
+    const {name, value, attrs} = parsed;
+    const u = new URL(url);
+    const host = u.hostname.toLowerCase();
+    let domain = host;
+    let hostOnly = true;
+    if (attrs.domain) {
+      const d = attrs.domain.replace(/^\./, "").toLowerCase();
+      // No cookies for whole TLDs, or somebody else's site
+      if (!domainMatches(host, d) || (d !== host && !d.includes("."))) {
+        return null;
+      }
+      domain = d;
+      hostOnly = false;
+    }
+    const path = attrs.path && attrs.path.startsWith("/") ?
+      attrs.path :
+      defaultPath(u.pathname);
+    let expires = null;
+    if ("max-age" in attrs && /^-?\d+$/.test(attrs["max-age"])) {
+      expires = now + parseInt(attrs["max-age"], 10) * 1000;
+    }
+    else if (attrs.expires) {
+      const time = Date.parse(attrs.expires);
+      if (!isNaN(time)) {
+        expires = time;
+      }
+    }
+    this.scoped = this.scoped.filter(
+      c => c.name !== name || c.domain !== domain || c.path !== path);
+    if (expires !== null && expires <= now) {
+      // Vola wants it gone, and that includes the one we made up
+      super.delete(name);
+      return null;
+    }
+    const rv = {
+      name,
+      value,
+      domain,
+      hostOnly,
+      path,
+      expires,
+      secure: "secure" in attrs,
+      httpOnly: "httponly" in attrs,
+    };
+    this.scoped.push(rv);
+    return rv;
+  }
+
+  /**
+   * Take in all Set-Cookie headers of a response
+   * @param {Response} resp
+   * @param {string} [url] Where the response came from (default: resp.url)
+   */
+  update(resp, url) {
+    url = resp.url || url;
+    const {headers} = resp;
+    if (!url || !headers) {
+      return;
+    }
+    let values = [];
+    if (typeof headers.raw === "function") {
+      values = headers.raw()["set-cookie"] || [];
+    }
+    else if (typeof headers.getSetCookie === "function") {
+      values = headers.getSetCookie();
+    }
+    for (const value of values) {
+      this.setCookie(value, url);
+    }
+  }
+
+  _prune(now) {
+    this.scoped = this.scoped.filter(
+      c => c.expires === null || c.expires > now);
+  }
+
+  /**
+   * Cookie header value for a request
+   * @param {string} url Where the request goes
+   * @param {number} [now] Current time
+   * @returns {string}
+   */
+  header(url, now) {
+    now = now || Date.now();
+    this._prune(now);
+    const u = new URL(url);
+    const host = u.hostname.toLowerCase();
+    const secure = SECURE_PROTOCOLS.has(u.protocol);
+    const reqPath = u.pathname || "/";
+    const cookies = new Map(this);
+    const matching = this.scoped.filter(c => {
+      if (c.secure && !secure) {
+        return false;
+      }
+      if (c.hostOnly ? c.domain !== host : !domainMatches(host, c.domain)) {
+        return false;
+      }
+      return pathMatches(reqPath, c.path);
+    });
+    // Most specific last, so it wins
+    matching.sort((a, b) => a.path.length - b.path.length);
+    for (const c of matching) {
+      cookies.set(c.name, c.value);
+    }
+    const result = [];
+    for (const [k, v] of cookies) {
+      result.push(cookie.serialize(k, v));
+    }
+    return result.join("; ");
+  }
+
+  /**
+   * Take in cookies exported with {@link CookieJar#toJSON}
+   * @param {Array} cookies Cookie objects, or [name, value] pairs
+   * @returns {CookieJar} this
+   */
+  load(cookies) {
+    for (const c of cookies) {
+      if (Array.isArray(c)) {
+        this.set(c[0], c[1]);
+      }
+      else if (!c.domain) {
+        this.set(c.name, c.value);
+      }
+      else {
+        this.scoped = this.scoped.filter(
+          o => o.name !== c.name || o.domain !== c.domain || o.path !== c.path);
+        this.scoped.push({
+          name: c.name,
+          value: c.value,
+          domain: c.domain,
+          hostOnly: !!c.hostOnly,
+          path: c.path || "/",
+          expires: c.expires || null,
+          secure: !!c.secure,
+          httpOnly: !!c.httpOnly,
+        });
+      }
+    }
+    this._prune(Date.now());
+    return this;
+  }
+
+  /**
+   * The Map cookies, as a header
+   * @returns {string}
+   */
   toString() {
     const result = [];
     for (const [k, v] of this) {
@@ -21,9 +272,89 @@ class CookieJar extends Map {
     return result.join("; ");
   }
 
+  /**
+   * All cookies that did not expire yet
+   * @returns {Object[]} {name, value} for Map cookies, plus .domain,
+   *    .hostOnly, .path, .expires, .secure and .httpOnly for scoped ones
+   */
   toJSON() {
-    return this.toString();
+    this._prune(Date.now());
+    const rv = Array.from(this, ([name, value]) => ({name, value}));
+    return rv.concat(this.scoped.map(c => Object.assign({}, c)));
+  }
+}
+
+function sameSite(from, to) {
+  const a = new URL(from);
+  const b = new URL(to);
+  return a.protocol === b.protocol && domainMatches(b.hostname, a.hostname);
+}
+
+async function fetchOnce(jar, url, options) {
+  const headers = Object.assign({}, options.headers);
+  headers.Cookie = jar.header(url);
+  if (!headers.Cookie) {
+    delete headers.Cookie;
+  }
+  const resp = await fetch(url, Object.assign({}, options, {headers}));
+  jar.update(resp, url);
+  return resp;
+}
+
+/**
+ * Fetch with cookies, if headers.Cookie is a {@link CookieJar}: sends what
+ * applies to the url, and takes in whatever the server sets. Redirects are
+ * followed here (like fetch would), so cookies set along the way count too.
+ * @param {string} url
+ * @param {Object} [options] fetch options
+ * @returns {Response}
+ */
+async function fetchWithCookies(url, options) {
+  options = options || {};
+  const {headers = {}, redirect = "follow", follow = 20} = options;
+  const jar = headers.Cookie;
+  if (!(jar instanceof CookieJar)) {
+    return await fetch(url, options);
+  }
+  if (redirect !== "follow") {
+    return await fetchOnce(jar, url, options);
+  }
+  options = Object.assign({}, options, {redirect: "manual"});
+  for (let hops = 0; ; ++hops) {
+    const resp = await fetchOnce(jar, url, options);
+    const location = resp.headers.get("location");
+    if (!fetch.isRedirect(resp.status) || !location) {
+      return resp;
+    }
+    resp.body.resume();
+    if (hops >= follow) {
+      throw new VolaError(`Too many redirects fetching ${url}`);
+    }
+    const next = new URL(location, url).toString();
+    const {method = "GET", body = null} = options;
+    const h = Object.assign({}, options.headers);
+    if (!sameSite(url, next)) {
+      for (const name of Object.keys(h)) {
+        if (/^(authorization|www-authenticate)$/i.test(name)) {
+          delete h[name];
+        }
+      }
+    }
+    if (resp.status === 303 ||
+      ((resp.status === 301 || resp.status === 302) && method === "POST")) {
+      options = Object.assign({}, options, {method: "GET", body: undefined});
+      for (const name of Object.keys(h)) {
+        if (/^content-length$/i.test(name)) {
+          delete h[name];
+        }
+      }
+    }
+    else if (body && typeof body.pipe === "function") {
+      throw new VolaError(`Cannot follow redirect of ${url} with a stream`);
+    }
+    options.headers = h;
+    url = next;
   }
 }
 
-module.exports = { CookieJar };
+module.exports = { CookieJar, fetchWithCookies };
@@ -29,4 +29,23 @@ Object.defineProperty(VolaError.prototype, "volaSaysPlsLeave", {
   enumerable: true
 });
 
-module.exports = {VolaError, VolaPrivilegeError};
+/**
+ * This file is gone, for good
+ * @extends {VolaError}
+ * @property {string} fileId Id of the file that went dodo
+ * @property {boolean} volaSaysGone
+ *   If defined and true, this is a VolaFileGoneError
+ */
+class VolaFileGoneError extends VolaError {
+  constructor(fileId, msg) {
+    super(msg || `File ${fileId} is gone`);
+    this.fileId = fileId;
+  }
+}
+
+Object.defineProperty(VolaFileGoneError.prototype, "volaSaysGone", {
+  value: true,
+  enumerable: true
+});
+
+module.exports = {VolaError, VolaPrivilegeError, VolaFileGoneError};
@@ -0,0 +1,398 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {promisify} = require("util");
+const EventEmitter = require("events");
+const {File} = require("./file");
+const {Message} = require("./message");
+const {error} = require("./debug");
+const {VolaError} = require("./error");
+const {toEndpoints, reportError} = require("./util");
+
+const readFile = promisify(fs.readFile);
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const unlink = promisify(fs.unlink);
+
+const DEFAULT_MAX_SIZE = 16 * 1024 * 1024;
+const EVENTS = ["chat", "file", "delete_file", "config", "removeMessages"];
+const FILES = Symbol("FILES");
+
+function replacer(key, value) {
+  if (value instanceof Set) {
+    return Array.from(value);
+  }
+  return value;
+}
+
+function day(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * A room that isn't connected to anything, such as the rooms events are
+ * replayed into by a {@link LogReader}. Files never expire in here, and
+ * everything that would need to talk to the server throws.
+ *
+ * @property {string} id Room id
+ * @property {string} alias Room alias
+ * @property {object} config Last known room config
+ * @property {object} endpoints Where the site lives, see {@link toEndpoints}
+ * @property {File[]} files Current set of files
+ */
+class DetachedRoom extends EventEmitter {
+  constructor(id, options) {
+    super();
+    options = options || {};
+    this.alias = this.id = id;
+    this.nick = options.nick || null;
+    this.endpoints = toEndpoints({
+      site: options.site,
+      endpoints: options.endpoints,
+    });
+    this.config = {site: this.endpoints.site, janitors: new Set()};
+    this.time_delta = 0;
+    this.owner = this.admin = this.janitor = this.staff = false;
+    this.connected = false;
+    this[FILES] = new Map();
+    this.Message = options.Message || Message;
+    this.File = options.File || File;
+
+    this.on("file", file => {
+      this[FILES].set(file.id, file);
+    });
+    this.on("delete_file", fid => {
+      const file = this[FILES].get(fid);
+      if (file) {
+        file.removed = true;
+        this[FILES].delete(fid);
+      }
+    });
+    this.on("config", ({key, value}) => {
+      this.config[key] = key === "janitors" ? new Set(value) : value;
+      if (key === "custom_room_id") {
+        this.alias = value;
+      }
+    });
+  }
+
+  get origin() {
+    return this.endpoints.origin;
+  }
+
+  get url() {
+    return `${this.origin}/r/${this.alias}`;
+  }
+
+  get files() {
+    return Array.from(this[FILES].values());
+  }
+
+  get privileged() {
+    return false;
+  }
+
+  getFile(id) {
+    return this[FILES].get(id) || null;
+  }
+
+  fixTime(time) {
+    return time;
+  }
+
+  call() {
+    throw new VolaError("Room is detached");
+  }
+
+  callWithCallback() {
+    return Promise.reject(new VolaError("Room is detached"));
+  }
+
+  toString() {
+    return `<DetachedRoom(${this.id} (${this.alias}))>`;
+  }
+}
+
+/**
+ * Writes what happens in a room to rotating JSON Lines files, to be read
+ * again by a {@link LogReader}.
+ *
+ * Each line is an object with .time, .room, .type (the event name) and .data
+ * (the wire representation of the Message/File, or the event data).
+ * Every file starts with the room config, so it can be read on its own.
+ */
+class EventLogger extends EventEmitter {
+  /**
+   * Start logging a room
+   * @param {Room} room Room to log
+   * @param {Object} options
+   * @param {string} options.dir Directory to write the logs to
+   * @param {string} [options.name] Log file base name (default: room id)
+   * @param {number} [options.maxSize] Rotate after this many bytes
+   * @param {boolean} [options.daily] Rotate when the (UTC) day changes
+   *    (default: true)
+   * @param {number} [options.maxFiles] Delete the oldest files when there are
+   *    more than this (default: keep everything)
+   */
+  constructor(room, options) {
+    super();
+    options = options || {};
+    const {
+      dir,
+      name = room.id,
+      maxSize = DEFAULT_MAX_SIZE,
+      daily = true,
+      maxFiles = 0,
+    } = options;
+    if (!dir) {
+      throw new VolaError("Need a log directory");
+    }
+    this.room = room;
+    this.dir = dir;
+    this.name = name;
+    this.maxSize = maxSize;
+    this.daily = daily;
+    this.maxFiles = maxFiles;
+    this.file = null;
+    this.stream = null;
+    this.size = 0;
+    this.day = null;
+    this._listeners = new Map();
+    this._pruning = Promise.resolve();
+    fs.mkdirSync(dir, {recursive: true});
+
+    for (const type of EVENTS) {
+      const listener = (data, ...args) => this.log(type, data, ...args);
+      room.on(type, listener);
+      this._listeners.set(type, listener);
+    }
+    this._closeListener = () => this.close().catch(error);
+    room.once("close", this._closeListener);
+  }
+
+  /**
+   * Write an event
+   * @param {string} type Event name
+   * @param {*} data Event data
+   * @param {boolean} [initial] For files: part of the initial list
+   */
+  log(type, data, initial) {
+    const now = Date.now();
+    const record = {time: now, room: this.room.id, type, data};
+    if (type === "file") {
+      record.initial = !!initial;
+    }
+    this._rotate(now);
+    this._write(record);
+  }
+
+  _write(record) {
+    if (!this.stream) {
+      return;
+    }
+    const line = `${JSON.stringify(record, replacer)}\n`;
+    this.size += Buffer.byteLength(line);
+    this.stream.write(line);
+  }
+
+  _rotate(now) {
+    if (this.stream &&
+      this.size < this.maxSize &&
+      (!this.daily || this.day === day(now))) {
+      return;
+    }
+    if (this.stream) {
+      this.stream.end();
+    }
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, "-");
+    let fd;
+    for (let seq = 0; !fd; ++seq) {
+      // Sequence numbers keep rotations within the same ms apart and sorted
+      const suffix = seq.toString().padStart(3, "0");
+      this.file = path.join(this.dir, `${this.name}-${stamp}-${suffix}.jsonl`);
+      try {
+        fd = fs.openSync(this.file, "wx");
+      }
+      catch (ex) {
+        if (ex.code !== "EEXIST") {
+          throw ex;
+        }
+      }
+    }
+    this.stream = fs.createWriteStream(null, {fd});
+    this.stream.on("error", ex => this._error(ex));
+    this.size = 0;
+    this.day = day(now);
+    for (const [key, value] of Object.entries(this.room.config)) {
+      if (key !== "loaded") {
+        this._write({time: now, room: this.room.id, type: "config", data: {
+          key,
+          value
+        }});
+      }
+    }
+    this._pruning = this._pruning.
+      then(() => this._prune()).
+      catch(ex => this._error(ex));
+  }
+
+  async _prune() {
+    if (!this.maxFiles) {
+      return;
+    }
+    const files = (await readdir(this.dir)).
+      filter(f => f.startsWith(`${this.name}-`) && f.endsWith(".jsonl")).
+      sort();
+    for (const f of files.slice(0, -this.maxFiles)) {
+      try {
+        await unlink(path.join(this.dir, f));
+      }
+      catch (ex) {
+        if (ex.code !== "ENOENT") {
+          throw ex;
+        }
+      }
+    }
+  }
+
+  _error(ex) {
+    /**
+     * Writing the log failed
+     * @event EventLogger#error
+     * @type {Error}
+     */
+    reportError(this, "event log failed", ex);
+  }
+
+  /**
+   * Stop logging and flush everything to disk
+   */
+  async close() {
+    for (const [type, listener] of this._listeners) {
+      this.room.removeListener(type, listener);
+    }
+    this._listeners.clear();
+    this.room.removeListener("close", this._closeListener);
+    const {stream} = this;
+    this.stream = null;
+    if (stream) {
+      await new Promise(resolve => stream.end(resolve));
+    }
+    await this._pruning;
+  }
+}
+
+/**
+ * Reads logs written by an {@link EventLogger} and replays the events into
+ * {@link DetachedRoom}s, as real Message and File instances.
+ *
+ * @example
+ * const reader = new LogReader("logs/");
+ * reader.on("room", room => room.on("chat", m => console.log(m.toString())));
+ * await reader.replay();
+ *
+ * @property {Map} rooms Rooms seen so far, by id
+ */
+class LogReader extends EventEmitter {
+  /**
+   * A new reader
+   * @param {string|string[]} paths Log files, or directories containing them
+   * @param {Object} [options]
+   * @param {string} [options.site] Site to build URLs with
+   * @param {Object} [options.endpoints] And endpoints, such as .assets,
+   *    see {@link toEndpoints}
+   * @param {function} [options.Message] Message constructor override
+   * @param {function} [options.File] File constructor override
+   */
+  constructor(paths, options) {
+    super();
+    this.paths = Array.isArray(paths) ? paths : [paths];
+    this.options = options || {};
+    this.rooms = new Map();
+  }
+
+  /**
+   * Get (or create) the detached room for an id
+   * @param {string} id Room id
+   * @returns {DetachedRoom}
+   */
+  getRoom(id) {
+    let room = this.rooms.get(id);
+    if (!room) {
+      room = new DetachedRoom(id, this.options);
+      this.rooms.set(id, room);
+
+      /**
+       * A new room appeared in the logs
+       * @event LogReader#room
+       * @type {DetachedRoom}
+       */
+      this.emit("room", room);
+    }
+    return room;
+  }
+
+  async _files() {
+    const rv = [];
+    for (const p of this.paths) {
+      if (!(await stat(p)).isDirectory()) {
+        rv.push(p);
+        continue;
+      }
+      const files = (await readdir(p)).filter(f => f.endsWith(".jsonl"));
+      rv.push(...files.sort().map(f => path.join(p, f)));
+    }
+    return rv;
+  }
+
+  /**
+   * Replay everything, in order
+   * @param {function} [callback] Called with (room, type, payload, record)
+   *    after each event was emitted on its room
+   * @returns {Map} The rooms, by id
+   */
+  async replay(callback) {
+    for (const file of await this._files()) {
+      // Files are size-limited by the logger, so just slurp them
+      const lines = (await readFile(file, "utf-8")).split(/\r?\n/);
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        let record;
+        try {
+          record = JSON.parse(line);
+        }
+        catch (ex) {
+          error("bad log line", file, line);
+          continue;
+        }
+        const room = this.getRoom(record.room);
+        const payload = this._revive(room, record);
+        if (callback) {
+          await callback(room, record.type, payload, record);
+        }
+      }
+    }
+    return this.rooms;
+  }
+
+  _revive(room, {type, data, initial}) {
+    if (type === "chat") {
+      const message = new room.Message(room, data);
+      room.emit("chat", message);
+      return message;
+    }
+    if (type === "file") {
+      const file = new room.File(room, data);
+      room.emit("file", file, !!initial);
+      room.emit(`file-${file.id}`, file, !!initial);
+      return file;
+    }
+    room.emit(type, data);
+    return data;
+  }
+}
+
+module.exports = {EventLogger, LogReader, DetachedRoom};
@@ -1,8 +1,51 @@
 "use strict";
 
-const fetch = require("node-fetch");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {promisify} = require("util");
 const { URL } = require("url");
-const {VolaError, VolaPrivilegeError} = require("./error");
+const {VolaError, VolaPrivilegeError, VolaFileGoneError} = require("./error");
+const {ProgressTransform, WatchdogTransform, sleep, abortController} =
+  require("./util");
+const {fetchWithCookies} = require("./cookiejar");
+
+const stat = promisify(fs.stat);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+const OK = 200;
+const PARTIAL = 206;
+const NOT_FOUND = 404;
+const GONE = 410;
+const RANGE_NOT_SATISFIABLE = 416;
+
+async function sizeOf(file) {
+  try {
+    return (await stat(file)).size;
+  }
+  catch (ex) {
+    if (ex.code === "ENOENT") {
+      return 0;
+    }
+    throw ex;
+  }
+}
+
+function assetsOf(room) {
+  // Rooms of your own making might not know about endpoints
+  return room.endpoints ? room.endpoints.assets : room.origin;
+}
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("md5");
+    const stream = fs.createReadStream(file);
+    stream.on("error", reject);
+    stream.on("data", chunk => hash.update(chunk));
+    stream.on("end", () => resolve(hash.digest("hex")));
+  });
+}
 
 /**
  * Your friendly neighborhood file
@@ -94,7 +137,8 @@ class File {
 
 
   get url() {
-    return new URL(this.name, `https://${this.room.config.site}/get/${this.id}/`).toString();
+    const base = `${assetsOf(this.room)}/get/${this.id}/`;
+    return new URL(this.name, base).toString();
   }
 
   get expired() {
@@ -165,35 +209,216 @@ class File {
     if (!asset) {
       return null;
     }
-    return `https://${this.room.config.site}/asset/${asset}/${this.id}`;
+    return `${assetsOf(this.room)}/asset/${asset}/${this.id}`;
   }
 
   /**
    * Files goes bye bye
+   * @returns {Promise} Settles once the call was actually sent
    */
   delete() {
-    this.room.deleteFiles(this.id);
+    const rv = this.room.deleteFiles(this.id);
     this.removed = true;
+    return rv;
   }
 
   /**
    * Fetch this file
+   * @param {Object} [options] Extra fetch options, such as .headers
    * @returns {Request}
    */
-  async fetch() {
+  async fetch(options = {}) {
     const headers = Object.assign({
       Referer: this.room.url
-    }, this.room.headers);
+    }, this.room.headers, options.headers);
 
-    return await fetch(this.url, {
+    return await fetchWithCookies(this.url, Object.assign({
       method: "GET",
-      headers
-    });
+      agent: this.room.agent || undefined,
+    }, options, {headers}));
+  }
+
+  /**
+   * Download this file to disk. Data goes to a `.part` file first, which is
+   * resumed with Range requests when the transfer breaks (or when a previous
+   * download left it behind), and renamed once complete.
+   * @param {string} dest Destination file, or existing directory to put the
+   *    file (under its name) in
+   * @param {Object} [options] Download options
+   * @param {callback} [options.progress] Download progress callback, called
+   *    like the uploadFile one: (delta, current, total, server, resumed)
+   * @param {boolean} [options.verify] Verify the result against the checksum
+   *    from {@link File#infos}
+   * @param {boolean} [options.resume] Continue a .part file left behind by a
+   *    previous download (default: true)
+   * @param {number} [options.retries] Give up after this many failed attempts
+   *    in a row (default: 5)
+   * @param {number} [options.timeout] Consider the transfer broken when no
+   *    data arrived for this many ms (default: 30s)
+   * @returns {Object} Download result, containing the `.path` and `.size`
+   *    and, when verified, the `.checksum`
+   * @throws {VolaFileGoneError} File was removed or expired
+   */
+  async download(dest, options) {
+    options = options || {};
+    const {
+      progress = null,
+      verify = false,
+      resume = true,
+      retries = 5,
+      timeout = 30 * 1000,
+    } = options;
+    if (progress && typeof progress !== "function") {
+      throw new VolaError("progress must be a function");
+    }
+    try {
+      if ((await stat(dest)).isDirectory()) {
+        dest = path.join(dest, path.basename(this.name));
+      }
+    }
+    catch (ex) {
+      if (ex.code !== "ENOENT") {
+        throw ex;
+      }
+    }
+    const part = `${dest}.part`;
+    const {host} = new URL(this.url);
+    let offset = resume ? await sizeOf(part) : 0;
+    let resumed = offset ? 1 : 0;
+    let failures = 0;
+    for (;;) {
+      this._checkGone();
+      if (offset && offset === this.size) {
+        break;
+      }
+      try {
+        const done = await this._download(
+          part, offset, resumed, host, progress, timeout);
+        if (done) {
+          break;
+        }
+        failures = 0;
+      }
+      catch (ex) {
+        this._checkGone();
+        if (ex.volaSaysGone || ++failures > retries) {
+          throw ex;
+        }
+        await sleep(500 * failures);
+      }
+      const size = await sizeOf(part);
+      resumed += size > 0 ? 1 : 0;
+      offset = size;
+    }
+
+    let checksum;
+    if (verify) {
+      const infos = await this.infos();
+      checksum = await hashFile(part);
+      if (infos.checksum && infos.checksum !== checksum) {
+        await unlink(part);
+        throw new VolaError(`Checksum mismatch for ${this.id}`);
+      }
+    }
+    await rename(part, dest);
+    const rv = {path: dest, size: await sizeOf(dest)};
+    if (checksum) {
+      rv.checksum = checksum;
+    }
+    return rv;
+  }
+
+  _checkGone() {
+    if (this.removed) {
+      throw new VolaFileGoneError(this.id, `File ${this.id} was removed`);
+    }
+    if (this.expired) {
+      throw new VolaFileGoneError(this.id, `File ${this.id} expired`);
+    }
+  }
+
+  async _download(part, offset, resumed, host, progress_callback, timeout) {
+    const headers = {};
+    if (offset) {
+      headers.Range = `bytes=${offset}-`;
+    }
+    // Destroying the body leaves the connection open, aborting closes it
+    const aborter = abortController();
+    const resp = await this.fetch({headers, signal: aborter.signal});
+    if (resp.status !== OK && resp.status !== PARTIAL) {
+      // Nothing of interest in there, but it holds on to the connection
+      resp.body.resume();
+    }
+    if (resp.status === NOT_FOUND || resp.status === GONE) {
+      throw new VolaFileGoneError(this.id);
+    }
+    if (resp.status === RANGE_NOT_SATISFIABLE) {
+      // Whatever we have is garbage, or already complete
+      const [, total = null] = /\/(\d+)$/.exec(
+        resp.headers.get("content-range") || "") || [];
+      if (total !== null && +total === offset) {
+        return true;
+      }
+      await unlink(part);
+      return false;
+    }
+    if (resp.status !== OK && resp.status !== PARTIAL) {
+      throw new VolaError(`Download failed: ${resp.status} ${resp.statusText}`);
+    }
+    if (resp.status === OK) {
+      // Server ignored the range, so start from scratch
+      offset = 0;
+    }
+    const length = +resp.headers.get("content-length");
+    const total = this.size || (isFinite(length) ? offset + length : 0);
+
+    let {body} = resp;
+    const gone = fid => {
+      if (fid === this.id) {
+        resp.body.destroy(new VolaFileGoneError(this.id));
+      }
+    };
+    this.room.on("delete_file", gone);
+    try {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(part, {flags: offset ? "a" : "w"});
+        const fail = ex => {
+          reject(ex);
+          out.end();
+          aborter.abort();
+        };
+        out.on("error", fail);
+        out.on("finish", resolve);
+        resp.body.on("error", fail);
+        if (timeout) {
+          const watchdog = new WatchdogTransform(timeout);
+          watchdog.on("error", fail);
+          body = body.pipe(watchdog);
+        }
+        if (progress_callback) {
+          const progress = new ProgressTransform();
+          let cur = offset;
+          progress.on("progress", delta => {
+            cur += delta;
+            progress_callback(delta, cur, total, host, resumed);
+          });
+          progress.on("error", fail);
+          body = body.pipe(progress);
+        }
+        body.pipe(out);
+      });
+    }
+    finally {
+      this.room.removeListener("delete_file", gone);
+    }
+    const size = await sizeOf(part);
+    return !this.size || size >= this.size;
   }
 
   /**
    * Timeout the uploader of this file, does not delete it tho
    * @param {number} minutes
+   * @returns {Promise} Settles once the call was actually sent
    */
   timeout(minutes) {
     if (!this.room.privileged) {
@@ -207,47 +432,67 @@ class File {
     if (!seconds || seconds <= 0) {
       throw new VolaError("Invalid timeout duration");
     }
-    this.room.call("timeoutFile", this.id, seconds);
+    return this.room.call("timeoutFile", this.id, seconds);
   }
 
   _ban(options, what) {
     if (this.fromAccount) {
-      this.room[what]({user: this.uploader, ip: this.ip}, options);
-    }
-    else {
-      this.room[what]({ip: this.ip}, options);
+      return this.room[what]({user: this.uploader, ip: this.ip}, options);
     }
+    return this.room[what]({ip: this.ip}, options);
   }
 
   /**
    * Ban user who uploaded this file
    * @param {Object} [options] Blacklist options
+   * @returns {Promise} Settles once the call was actually sent
    */
   ban(options) {
-    this._ban(options, "ban");
+    return this._ban(options, "ban");
   }
 
   /**
    * Unban user who uploaded this file
    * @param {Object} [options] Whitelist options
+   * @returns {Promise} Settles once the call was actually sent
    */
   unban(options) {
-    this._ban(options, "unban");
+    return this._ban(options, "unban");
   }
 
   /**
    * Blacklist this file
    * @param {Object} [options] Blacklist options
+   * @returns {Promise} Settles once the call was actually sent
    */
   blacklist(options) {
-    this.room.blacklistFiles([this.id], options);
+    return this.room.blacklistFiles([this.id], options);
   }
 
   /**
    * Whitelist this file
+   * @returns {Promise} Settles once the call was actually sent
    */
   whitelist() {
-    this.room.whitelistFiles([this.id]);
+    return this.room.whitelistFiles([this.id]);
+  }
+
+  /**
+   * Wire representation, which can be fed to the constructor again. Times are
+   * local times, so the room it is fed to should not correct them any further.
+   * @returns {Array}
+   */
+  toJSON() {
+    return [
+      this.id,
+      this.name,
+      this.type,
+      this.size,
+      this.expires,
+      this.uploaded,
+      this.tags,
+      this.assets
+    ];
   }
 
   toString() {
@@ -0,0 +1,263 @@
+"use strict";
+
+const EventEmitter = require("events");
+const {VolaError} = require("./error");
+const {
+  isFile, defaultExempt, attachListeners, detachListeners, reportError
+} = require("./util");
+
+const KINDS = Object.freeze({
+  messages: 5 * 1000,
+  repeats: 60 * 1000,
+  uploads: 60 * 1000,
+});
+
+const DEFAULT_THRESHOLDS = Object.freeze({
+  white: {messages: 5, repeats: 3, uploads: 10},
+  green: {messages: 8, repeats: 4, uploads: 20},
+  pro: {messages: 10, repeats: 5, uploads: 50},
+});
+
+function toThreshold(kind, spec) {
+  if (spec === null || spec === false) {
+    return null;
+  }
+  if (typeof spec === "number") {
+    spec = {count: spec};
+  }
+  const {count, per = KINDS[kind]} = spec;
+  if (!(count >= 1) || !(per > 0)) {
+    throw new VolaError(`Invalid ${kind} threshold`);
+  }
+  return {count, per};
+}
+
+function toThresholds(thresholds) {
+  thresholds = thresholds || {};
+  const rv = {};
+  for (const role of Object.keys(DEFAULT_THRESHOLDS)) {
+    const spec = Object.assign({}, DEFAULT_THRESHOLDS[role], thresholds[role]);
+    rv[role] = {};
+    for (const kind of Object.keys(KINDS)) {
+      rv[role][kind] = toThreshold(kind, spec[kind]);
+    }
+  }
+  for (const role of Object.keys(thresholds)) {
+    if (!rv[role]) {
+      throw new VolaError(`Unknown role: ${role}`);
+    }
+  }
+  return rv;
+}
+
+function roleOf(target) {
+  if (isFile(target)) {
+    // Vola does not tell about pro uploaders
+    return target.fromAccount ? "green" : "white";
+  }
+  if (target.pro) {
+    return "pro";
+  }
+  return target.user ? "green" : "white";
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Per nick and per ip behavior over time.
+ *
+ * Keeps sliding windows of chat messages, repeated messages and uploads,
+ * and emits flood (too many messages or uploads) or spam (the same text
+ * over and over) events once a sender crosses the threshold for their role.
+ * Counting for that sender then starts from scratch.
+ *
+ * Thresholds are per role (white, green, pro), and per kind (messages,
+ * repeats, uploads), given as counts (within the default window) or
+ * {count, per} objects, with per in ms. null disables a kind.
+ *
+ * @example
+ * const detector = new FloodDetector({
+ *   thresholds: {white: {messages: {count: 4, per: 3000}, uploads: null}},
+ * });
+ * detector.on("flood", ({room, messages}) => {
+ *   messages[0].timeout(5).catch(console.error);
+ * });
+ * detector.attach(room);
+ */
+class FloodDetector extends EventEmitter {
+  /**
+   * A new detector, not yet attached to anything
+   * @param {Object} [options]
+   * @param {Object} [options.thresholds] Per role thresholds, merged with
+   *    the defaults
+   * @param {function} [options.exempt] Predicate telling which messages and
+   *    files to not count (default: messages of room staff)
+   */
+  constructor(options) {
+    super();
+    options = options || {};
+    const {thresholds = {}, exempt = defaultExempt} = options;
+    this.thresholds = toThresholds(thresholds);
+    this.exempt = exempt;
+    this._windows = new Map();
+    this._attached = new Map();
+    this._maxPer = 0;
+    this._pruned = 0;
+    for (const role of Object.values(this.thresholds)) {
+      for (const t of Object.values(role)) {
+        if (t) {
+          this._maxPer = Math.max(this._maxPer, t.per);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start watching
+   * @param {Room|ManyRooms} target Something emitting chat and file events
+   * @returns {FloodDetector} this
+   */
+  attach(target) {
+    attachListeners(this._attached, target, {
+      chat: message => this._check(message),
+      file: (file, initial) => {
+        if (!initial) {
+          this._check(file);
+        }
+      },
+    });
+    return this;
+  }
+
+  /**
+   * Stop watching
+   * @param {Room|ManyRooms} target
+   */
+  detach(target) {
+    detachListeners(this._attached, target);
+  }
+
+  /**
+   * Forget everything counted so far
+   */
+  reset() {
+    this._windows.clear();
+  }
+
+  _check(target) {
+    try {
+      this.check(target);
+    }
+    catch (ex) {
+      /**
+       * A listener blew up
+       * @event FloodDetector#error
+       * @type {Error}
+       */
+      reportError(this, "flood detection failed", ex);
+    }
+  }
+
+  /**
+   * Count a message or file, emitting events if need be
+   * @param {Message|File} target
+   * @param {number} [now] Current time
+   * @returns {Object[]} Emitted events, as [name, info] pairs
+   */
+  check(target, now) {
+    now = now || Date.now();
+    const upload = isFile(target);
+    const nick = upload ? target.uploader : target.nick;
+    if (!upload && (target.self || target.system)) {
+      return [];
+    }
+    if (!nick || (this.exempt && this.exempt(target))) {
+      return [];
+    }
+    const role = roleOf(target);
+    const thresholds = this.thresholds[role];
+    const senders = [`nick:${nick.toLowerCase()}`];
+    if (target.ip) {
+      senders.push(`ip:${target.ip}`);
+    }
+
+    this._prune(now);
+    const rv = [];
+    const kinds = upload ? ["uploads"] : ["messages", "repeats"];
+    for (const kind of kinds) {
+      const threshold = thresholds[kind];
+      if (!threshold) {
+        continue;
+      }
+      const suffix = kind === "repeats" ? `:${normalize(target.message)}` : "";
+      let hit = null;
+      for (const sender of senders) {
+        const key = `${kind}:${sender}${suffix}`;
+        const items = this._count(key, target, now, threshold.per);
+        if (!hit && items.length >= threshold.count) {
+          hit = {sender, items};
+        }
+      }
+      if (!hit) {
+        continue;
+      }
+      // Everybody involved gets a clean slate, so one burst is one event
+      for (const sender of senders) {
+        this._windows.delete(`${kind}:${sender}${suffix}`);
+      }
+      const event = kind === "repeats" ? "spam" : "flood";
+      const info = {
+        kind,
+        room: target.room,
+        nick,
+        ip: target.ip || null,
+        role,
+        sender: hit.sender,
+        count: hit.items.length,
+        per: threshold.per,
+      };
+      info[upload ? "files" : "messages"] = hit.items;
+      /**
+       * Somebody is flooding the chat or uploads
+       * @event FloodDetector#flood
+       * @type {Object} .kind (messages or uploads), .room, .nick, .ip,
+       *    .role, .sender (the nick: or ip: that crossed the threshold),
+       *    .count, .per, and the offending .messages or .files
+       */
+      /**
+       * Somebody is saying the same thing over and over
+       * @event FloodDetector#spam
+       * @type {Object} Same as for flood, with .kind repeats
+       */
+      this.emit(event, info);
+      rv.push([event, info]);
+    }
+    return rv;
+  }
+
+  _count(key, item, now, per) {
+    const since = now - per;
+    const window = (this._windows.get(key) || []).filter(e => e.time > since);
+    window.push({time: now, item});
+    this._windows.set(key, window);
+    return window.map(e => e.item);
+  }
+
+  _prune(now) {
+    // Keep the map from growing forever, but don't bother too often
+    if (now - this._pruned < 1000) {
+      return;
+    }
+    this._pruned = now;
+    const since = now - this._maxPer;
+    for (const [key, window] of this._windows) {
+      if (window[window.length - 1].time <= since) {
+        this._windows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {FloodDetector, DEFAULT_THRESHOLDS};
@@ -51,6 +51,8 @@ const GENERICS = [
 
 const MAX_UNACKNOWLEDGED = 10;
 
+let cbid = 0;
+
 class Handler {
   constructor(room) {
     this.room = room;
@@ -71,14 +73,26 @@ class Handler {
   registerCallback() {
     let id;
     const promise = new Promise((resolve, reject) => {
-      const tid = setTimeout(() => reject(new Error("callback timeout")), 30*1000);
-      id = tid.toString();
+      const tid = setTimeout(
+        () => reject(new Error("callback timeout")), 30 * 1000);
+      // Timeouts stringify to [object Object] in node, so count instead
+      id = (++cbid).toString();
       this._callbacks.set(id, {resolve, reject, tid});
     });
     promise.catch(() => {});
     return [id, promise];
   }
 
+  rejectCallback(id, ex) {
+    const cb = this._callbacks.get(id);
+    this._callbacks.delete(id);
+    if (!cb) {
+      return;
+    }
+    clearTimeout(cb.tid);
+    cb.reject(ex);
+  }
+
   onmessage(data) {
     data = JSON.parse(data);
     if (!data) {
@@ -131,7 +145,8 @@ class Handler {
     this.version = data.version;
     this.ack = data.ack;
     if (this.session) {
-      this.call("useSession", this.session);
+      // Goes out right away, ahead of whatever is queued
+      this.sendCall("useSession", [this.session]).catch(console.error);
     }
     else {
       this.session = data.session;
@@ -248,6 +263,8 @@ class Handler {
   handle_files(data) {
     const {"set": set = false, files = []} = data;
     if (set) {
+      this.queue.resume();
+
       /**
        * We got something valid from the socket!
        * @event Room#connected
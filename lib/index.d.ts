@@ -0,0 +1,1407 @@
+// Type definitions for volapi
+// Keep in sync with the JSDoc in the implementation files.
+
+/// <reference types="node" />
+
+import {EventEmitter} from "events";
+import {Agent, AgentOptions} from "http";
+import {URL, Url} from "url";
+import {Readable, Transform, TransformOptions} from "stream";
+import {Response, RequestInit} from "node-fetch";
+
+/**
+ * EventEmitter, but with known events typed. Unknown events (vola sends a
+ * lot of things) still work, untyped.
+ */
+declare class TypedEmitter<Events extends EventMap<Events>>
+  extends EventEmitter {
+  on<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  on<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  once<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  once<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  addListener<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  addListener<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  prependListener<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  prependListener<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  prependOnceListener<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  prependOnceListener<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  off<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  off<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  removeListener<E extends keyof Events>(
+    event: E, listener: Listener<Events[E]>): this;
+  removeListener<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, listener: Listener<any[]>): this;
+  emit<E extends keyof Events>(event: E, ...args: Events[E]): boolean;
+  emit<E extends string | symbol>(
+    event: Exclude<E, keyof Events>, ...args: any[]): boolean;
+}
+
+type EventMap<T> = {[E in keyof T]: any[]};
+type Listener<Args extends any[]> = (...args: Args) => void;
+
+/* Errors */
+
+/** You did something wrong, or vola did, not sure */
+export class VolaError extends Error {
+  readonly volaSaysNo: true;
+  /** Set on rate limit errors: how long to back off */
+  timeout?: number;
+  /** Set on some server errors: what the server said */
+  data?: any;
+}
+
+/** pls leave */
+export class VolaPrivilegeError extends VolaError {
+  constructor(msg?: string);
+  readonly volaSaysPlsLeave: true;
+}
+
+/** This file is gone, for good */
+export class VolaFileGoneError extends VolaError {
+  constructor(fileId: string, msg?: string);
+  readonly volaSaysGone: true;
+  fileId: string;
+}
+
+/* Room config */
+
+export interface RoomConfig {
+  site: string;
+  loaded: boolean;
+  room_id?: string;
+  custom_room_id?: string;
+  name?: string;
+  motd?: string;
+  owner?: string;
+  janitors: Set<string>;
+  adult?: boolean;
+  disabled?: boolean;
+  /** Hours files stay around */
+  file_ttl?: number;
+  password?: string;
+  checksum2?: string;
+  chat_max_message_length?: number;
+  chat_max_alias_length?: number;
+  [key: string]: any;
+}
+
+export interface ConfigChange {
+  key: string;
+  value: any;
+}
+
+/* Messages */
+
+export type MessagePart =
+  {type: "text", value: string} |
+  {type: "break"} |
+  {type: "file", id: string, name?: string} |
+  {type: "room", id: string, name?: string} |
+  {type: "url", href: string, text: string} |
+  {type: "raw", value: string} |
+  {type: string, [key: string]: any};
+
+/** Typed message part, as found in Message.parts */
+export type TypedMessagePart =
+  {type: "text", text: string} |
+  {type: "raw", text: string} |
+  {type: "break", text: "\n"} |
+  {type: "file", id: string, name: string | null, text: string} |
+  {type: "room", id: string, name: string | null, text: string} |
+  {type: "url", href: string, text: string} |
+  UnknownMessagePart;
+
+/** Part of a type this library doesn't know (yet) */
+export interface UnknownMessagePart {
+  type: string;
+  text: string;
+  unknown: true;
+  [key: string]: any;
+}
+
+export interface RenderOptions {
+  /** Site to link to (default: the origin of the message's room) */
+  origin?: string;
+}
+
+export interface ANSIRenderOptions extends RenderOptions {
+  /** Use colors (default: true) */
+  color?: boolean;
+}
+
+/** Wire representation of a chat message */
+export interface MessageData {
+  nick: string | null;
+  message: MessagePart[];
+  options: {[flag: string]: any};
+  data: {
+    id?: string;
+    ip?: string;
+    self?: boolean;
+    channel?: string;
+    [key: string]: any;
+  };
+}
+
+/** Somebody said something! */
+export class Message {
+  constructor(room: RoomLike, data: MessageData);
+  room: RoomLike;
+  nick: string | null;
+  data: MessageData["data"];
+  id: string | null;
+  ip: string | null;
+  self: boolean;
+  channel: string;
+  /** That's what she said! */
+  message: string;
+  /** Linked room ids */
+  rooms: string[];
+  /** Linked file ids */
+  files: string[];
+  /** Links */
+  urls: string[];
+  /** Typed message parts */
+  parts: TypedMessagePart[];
+  /** One of the ROLE_ symbols of lib/message */
+  role: symbol;
+  isReport: boolean;
+  owner: boolean;
+  janitor: boolean;
+  donator: boolean;
+  donor: boolean;
+  pro: boolean;
+  user: boolean;
+  staff: boolean;
+  admin: boolean;
+  readonly prefix: string;
+  readonly system: boolean;
+  readonly purple: boolean;
+  readonly white: boolean;
+  readonly green: boolean;
+
+  /** Timeout whoever said this */
+  timeout(minutes: number): Promise<void>;
+  /** Remove this message (requires mod) */
+  remove(): Promise<void>;
+  /** Ban whoever said this */
+  ban(options?: BanOptions): Promise<void>;
+  /** Unban whoever said this */
+  unban(options?: UnbanOptions): Promise<void>;
+  /** Render as HTML fragment, with links to files and rooms */
+  toHTML(options?: RenderOptions): string;
+  /** Render as Markdown */
+  toMarkdown(options?: RenderOptions): string;
+  /** Render for your terminal, in glorious color */
+  toANSI(options?: ANSIRenderOptions): string;
+  toJSON(): MessageData;
+  toString(): string;
+}
+
+/* Files */
+
+/** Wire representation of a file */
+export type FileData = [
+  string, // id
+  string, // name
+  string, // type
+  number, // size
+  number, // expires
+  number, // uploaded
+  FileTags?,
+  {[asset: string]: any}?
+];
+
+export interface FileTags {
+  nick?: string;
+  user?: string;
+  ip?: string;
+  [key: string]: any;
+}
+
+export interface FileInfos {
+  /** Treat as opaque, but it is currently an md5 hash */
+  checksum?: string;
+  [key: string]: any;
+}
+
+/**
+ * Transfer progress callback
+ * @param delta Bytes since the last call
+ * @param current Bytes so far
+ * @param total Total bytes, if known
+ * @param server Server involved
+ * @param resumed Number of times the transfer was resumed
+ */
+export type ProgressCallback = (
+  delta: number,
+  current: number,
+  total: number,
+  server: string,
+  resumed: number) => void;
+
+export interface DownloadOptions {
+  progress?: ProgressCallback;
+  /** Verify the result against the checksum vola knows */
+  verify?: boolean;
+  /** Continue a .part file left behind (default: true) */
+  resume?: boolean;
+  /** Give up after this many failed attempts in a row (default: 5) */
+  retries?: number;
+  /** Consider the transfer broken after this many ms without data */
+  timeout?: number;
+}
+
+export interface DownloadResult {
+  path: string;
+  size: number;
+  checksum?: string;
+}
+
+/** Your friendly neighborhood file */
+export class File {
+  constructor(room: RoomLike, data: FileData);
+  room: RoomLike;
+  id: string;
+  name: string;
+  type: string;
+  size: number;
+  /** ms timestamp (local time) when the file goes dodo */
+  expires: number;
+  /** ms timestamp (local time) of the upload */
+  uploaded: number;
+  tags: FileTags;
+  assets: {[asset: string]: any};
+  uploader: string;
+  fromAccount?: boolean;
+  ip: string | null;
+  removed: boolean;
+  readonly white: boolean;
+  readonly system: boolean;
+  readonly url: string;
+  readonly expired: boolean;
+  /** ms till dodo */
+  readonly validFor: number;
+  readonly thumb: string | null;
+
+  infos(force?: boolean): Promise<FileInfos>;
+  setInfos(data: FileInfos): FileInfos;
+  getAsset(type: string): string | null;
+  delete(): Promise<void>;
+  fetch(options?: RequestInit): Promise<Response>;
+  download(dest: string, options?: DownloadOptions): Promise<DownloadResult>;
+  timeout(minutes: number): Promise<void>;
+  ban(options?: BanOptions): Promise<void>;
+  unban(options?: UnbanOptions): Promise<void>;
+  blacklist(options?: BlacklistOptions): Promise<void>;
+  whitelist(): Promise<void>;
+  toJSON(): FileData;
+  toString(): string;
+}
+
+/* Moderation */
+
+export interface BanSpec {
+  user?: string;
+  ip?: string;
+  session?: string;
+  [key: string]: any;
+}
+
+export interface BanOptions {
+  /** Duration, required */
+  hours?: number;
+  reason?: string;
+  purgeFiles?: boolean;
+  ban?: boolean;
+  hellban?: boolean;
+  mute?: boolean;
+}
+
+export interface UnbanOptions {
+  reason?: string;
+  ban?: boolean;
+  hellban?: boolean;
+  mute?: boolean;
+  timeout?: boolean;
+}
+
+export interface BlacklistOptions {
+  /** Duration, required */
+  hours?: number;
+  reason?: string;
+  ban?: boolean;
+  hellban?: boolean;
+  mute?: boolean;
+}
+
+/* Uploads */
+
+export type UploadStream = Readable | Buffer | string;
+
+interface UploadOptionsBase {
+  progress?: ProgressCallback;
+  highWaterMark?: number;
+}
+
+/** Upload a file from disk; name defaults to its base name */
+export interface FileUploadOptions extends UploadOptionsBase {
+  file: string;
+  name?: string;
+  stream?: UploadStream;
+}
+
+/** Upload a stream, buffer or string, which needs a name */
+export interface StreamUploadOptions extends UploadOptionsBase {
+  stream: UploadStream;
+  name: string;
+  file?: string;
+}
+
+export type UploadOptions = FileUploadOptions | StreamUploadOptions;
+
+export interface UploadResult {
+  id: string;
+  /** Local checksum of what was uploaded; missing for resumed uploads */
+  checksum?: string;
+}
+
+export interface UrlUploadOptions {
+  name?: string;
+  maxSize?: number;
+  retries?: number;
+  headers?: {[name: string]: string};
+  timeout?: number;
+  progress?: ProgressCallback;
+}
+
+export interface UploadManyOptions {
+  include?: string | string[];
+  exclude?: string | string[];
+  concurrency?: number;
+  stopOnError?: boolean;
+  progress?: (
+    delta: number, current: number, total: number, name: string) => void;
+}
+
+export interface UploadManyResult {
+  results: Array<UploadResult & {file: string | null, name: string}>;
+  failures: Array<{file: string | null, name: string, error: Error}>;
+}
+
+/* Iterators */
+
+export interface IteratorOptions<T> {
+  filter?: (item: T) => boolean;
+  signal?: AbortSignal;
+  /** Buffer at most this many items (default: 1000) */
+  limit?: number;
+  /** "drop" the oldest items when over the limit (default), or "error" */
+  overflow?: "drop" | "error";
+}
+
+export class EventIterator<T> implements AsyncIterableIterator<T> {
+  constructor(
+    sources: EventEmitter[],
+    events: string[],
+    options?: IteratorOptions<T> & {
+      map?: (source: EventEmitter, event: string, args: any[]) => T;
+    });
+  limit: number;
+  overflow: "drop" | "error";
+  dropped: number;
+  [Symbol.asyncIterator](): this;
+  next(): Promise<IteratorResult<T>>;
+  return(): Promise<IteratorResult<T>>;
+}
+
+export type FileEvent =
+  {type: "file", file: File, initial: boolean} |
+  {type: "delete_file", id: string};
+
+/* Rooms */
+
+export interface ReconnectOptions {
+  /** Give up after this many failed attempts in a row (default: never) */
+  retries?: number;
+  delay?: number;
+  maxDelay?: number;
+  factor?: number;
+  /** Shorten delays randomly by up to this fraction (0-1) */
+  jitter?: number;
+}
+
+export interface RateLimitOptions {
+  /** Calls per second (default: 3) */
+  rate?: number;
+  /** Calls that may go out at once (default: 6) */
+  burst?: number;
+}
+
+/** A cookie, as set by a server (or just name and value, for any server) */
+export interface Cookie {
+  name: string;
+  value: string;
+  domain?: string;
+  hostOnly?: boolean;
+  path?: string;
+  /** ms since the epoch, null for session cookies */
+  expires?: number | null;
+  secure?: boolean;
+  httpOnly?: boolean;
+}
+
+/**
+ * Cookies sent everywhere, by name, plus whatever the servers set, scoped by
+ * domain and path
+ */
+export class CookieJar extends Map<string, string> {
+  constructor(init?: string | Array<[string, string] | Cookie>);
+  scoped: Required<Cookie>[];
+  setCookie(header: string, url: string, now?: number): Required<Cookie> | null;
+  update(resp: Response, url?: string): void;
+  header(url: string, now?: number): string;
+  load(cookies: Array<[string, string] | Cookie>): this;
+  toString(): string;
+  toJSON(): Cookie[];
+}
+
+/**
+ * Hosts to reach directly: example.com, .example.com or *.example.com for
+ * subdomains too, host:port, or *; as a list or comma separated
+ */
+export type ProxyBypass = string | string[];
+
+export interface ProxySpec {
+  /** http://, socks5://, socks5h:// or socks:// URL, maybe with credentials */
+  url: string;
+  bypass?: ProxyBypass;
+}
+
+/** A URL in, an agent (or nothing) out */
+export type AgentSource = (url: string | URL | Url) => Agent | undefined;
+
+export interface ProxyOptions {
+  /** Proxy URL, or the URL with a bypass list */
+  proxy?: string | ProxySpec | null;
+  /** Or bring your own agent */
+  agent?: Agent | AgentSource | null;
+}
+
+export interface ProxyAgentOptions extends AgentOptions {
+  /** For https requests */
+  secure?: boolean;
+  bypass?: ProxyBypass;
+}
+
+/** An agent going through an HTTP CONNECT or SOCKS5 proxy */
+export class ProxyAgent extends Agent {
+  constructor(proxy: string, options?: ProxyAgentOptions);
+  readonly secure: boolean;
+  readonly protocol: "http:" | "https:";
+  proxy: {
+    protocol: string;
+    host: string;
+    port: number;
+    user: string;
+    password: string;
+    resolve: boolean;
+  };
+  bypass(host: string, port: number): boolean;
+  toString(): string;
+}
+
+/** Base URL overrides, for when things are not where the site is */
+export interface EndpointOverrides {
+  /** REST API (default: site/rest) */
+  rest?: string;
+  /** Websocket, ws(s) or http(s) (default: site/api) */
+  websocket?: string;
+  /** Downloads and assets (default: site) */
+  assets?: string;
+}
+
+export interface SiteOptions {
+  /** Talk to this server instead of the real site */
+  server?: string | null;
+  /** Host name (volafile.io) or base URL of the site */
+  site?: string | null;
+  endpoints?: EndpointOverrides | null;
+}
+
+/** Where everything lives; all URLs come without a trailing slash */
+export interface Endpoints {
+  /** Host name of the site */
+  readonly site: string;
+  readonly origin: string;
+  readonly rest: string;
+  /** Always ws: or wss: */
+  readonly websocket: string;
+  readonly assets: string;
+}
+
+/** What is stored about a session */
+export interface SessionData {
+  nick: string;
+  session: string;
+  cookies: Cookie[];
+}
+
+/** Where sessions live between runs */
+export interface SessionStore {
+  load(): SessionData | null | Promise<SessionData | null>;
+  save(data: SessionData): void | Promise<void>;
+  clear(): void | Promise<void>;
+}
+
+export class MemorySessionStore implements SessionStore {
+  data: SessionData | null;
+  load(): SessionData | null;
+  save(data: SessionData): void;
+  clear(): void;
+}
+
+/** Sessions in a JSON file, only readable by you */
+export class JSONSessionStore implements SessionStore {
+  constructor(file: string);
+  file: string;
+  load(): Promise<SessionData | null>;
+  save(data: SessionData): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export interface SessionOptions extends ProxyOptions, SiteOptions {
+  /** Existing session id to use */
+  session?: string | null;
+  /** Where to keep the session between runs */
+  store?: SessionStore | null;
+}
+
+export type SessionEvents = {
+  session: [session: string, nick: string];
+  logout: [];
+  error: [error: Error];
+};
+
+export type PasswordSource = string | (() => string | Promise<string>);
+
+/** Who you are, shared by as many rooms as you like */
+export class Session extends TypedEmitter<SessionEvents> {
+  constructor(nick: string, options?: SessionOptions);
+  nick: string;
+  server: string | null;
+  session: string | null;
+  cookies: CookieJar;
+  headers: {[name: string]: any};
+  store: SessionStore | null;
+  agent: AgentSource | null;
+  endpoints: Endpoints;
+  readonly origin: string;
+  readonly loggedIn: boolean;
+  use(session: string, nick?: string): void;
+  login(password: string, nick?: string): Promise<void>;
+  /** Restore the stored session if still valid, else log in */
+  resume(password?: PasswordSource): Promise<"restored" | "login" | null>;
+  save(): Promise<void>;
+  toJSON(): SessionData;
+  logout(): Promise<void>;
+  validate(): Promise<boolean>;
+  callREST(endpoint: string, params?: {[key: string]: any}): Promise<any>;
+  toString(): string;
+}
+
+export interface RoomOptions extends ProxyOptions, SiteOptions {
+  /** Room password */
+  password?: string;
+  /** Room key (aka session password) */
+  key?: string;
+  /** Session to use, shared with other rooms using it */
+  session?: Session | null;
+  /** Other room to take the session from */
+  other?: Room | null;
+  reconnect?: boolean | ReconnectOptions;
+  /** Pace outgoing calls; true for 3/s in bursts of 6 (default: off) */
+  rateLimit?: boolean | RateLimitOptions;
+  /** Emit file_expiring this many ms ahead (default: 5 min); 0 to disable */
+  expiryWarning?: number;
+  Message?: new (room: RoomLike, data: MessageData) => Message;
+  File?: new (room: RoomLike, data: FileData) => File;
+}
+
+export interface ChatOptions {
+  me?: boolean;
+  admin?: boolean;
+}
+
+/** Events of a Room, and what their listeners get */
+export interface RoomEvents {
+  open: [];
+  connected: [];
+  subscribed: [];
+  close: [reason: any];
+  error: [error: any];
+  disconnected: [data: any];
+  reconnecting: [attempt: number, delay: number];
+  reconnected: [attempts: number];
+  chat: [message: Message];
+  file: [file: File, initial: boolean];
+  [fileid: `file-${string}`]: [file: File, initial: boolean];
+  file_expiring: [file: File, left: number];
+  file_expired: [file: File];
+  received_files: [];
+  delete_file: [id: string];
+  fileinfo: [file: File, infos: FileInfos];
+  [fileinfo: `fileinfo-${string}`]: [file: File, infos: FileInfos];
+  users: [count: number];
+  config: [change: ConfigChange];
+  [config: `config_${string}`]: [value: any];
+  upload_blocked: [timeout: number];
+  userInfo: [info: {[key: string]: any}];
+  owner: [owner: boolean];
+  janitor: [janitor: boolean];
+  admin: [admin: boolean];
+  staff: [staff: boolean];
+  session: [session: string];
+  login: [data: any];
+  time: [time: number];
+  roomScore: [score: number];
+  submitChat: [data: any];
+  submitCommand: [data: any];
+  pro: [data: any];
+  room_old: [data: any];
+  upload: [status: any];
+  reconnectTimeout: [data: any];
+  removeMessages: [data: {msgids: string[], removedBy: string}];
+}
+
+/** What Message and File need from a room */
+export interface RoomLike extends EventEmitter {
+  id: string;
+  alias: string;
+  config: RoomConfig;
+  readonly origin: string;
+  readonly url: string;
+  readonly privileged: boolean;
+  headers?: {[name: string]: any};
+  /** Where downloads and assets live, if not at the origin */
+  endpoints?: Endpoints;
+  fixTime(time: number): number;
+  call(fn: string, ...args: any[]): any;
+  callWithCallback(fn: string, ...args: any[]): Promise<any>;
+}
+
+/** Yay, we vola */
+export class Room extends TypedEmitter<RoomEvents> {
+  /**
+   * @param id Room id (or alias or full url)
+   * @param nick Nickname
+   */
+  constructor(id: string, nick?: string, options?: RoomOptions);
+  id: string;
+  alias: string;
+  nick: string;
+  config: RoomConfig;
+  server: string | null;
+  session: string | null;
+  /** Login session, maybe shared with other rooms */
+  account: Session;
+  agent: AgentSource | null;
+  endpoints: Endpoints;
+  headers: {[name: string]: any};
+  userInfo: {[key: string]: any};
+  users: number;
+  connected: boolean;
+  closed: boolean;
+  owner: boolean;
+  admin: boolean;
+  janitor: boolean;
+  staff: boolean;
+  password: string;
+  key: string;
+  motd?: string;
+  name?: string;
+  adult?: boolean;
+  disabled?: boolean;
+  file_ttl?: number;
+  /** ms ahead of expiry to emit file_expiring at */
+  expiryWarning: number;
+  Message: new (room: RoomLike, data: MessageData) => Message;
+  File: new (room: RoomLike, data: FileData) => File;
+  readonly origin: string;
+  readonly url: string;
+  readonly files: File[];
+  readonly privileged: boolean;
+
+  login(password: string): Promise<void>;
+  changeNick(nick: string): void;
+  connect(): Promise<void>;
+  run(): Promise<any>;
+  close(): Promise<void>;
+  chat(msg: string | MessageBuilder, options?: ChatOptions): Promise<void>;
+  /** Find files by uploader, name, type, size, age, tags and whatnot */
+  findFiles(query?: FileSearch): File[];
+  /** Keep a query running, emitting match/unmatch as files come and go */
+  watchFiles(query?: FileQueryOptions): FileQuery;
+  /** Compose a message, mentioning files and rooms */
+  compose(...items: Array<string | File | RoomLike>): MessageBuilder;
+  getFile(id: string): File | null | undefined;
+  waitFile(id: string, timeout?: number): Promise<File> | null;
+  iterate<E extends keyof RoomEvents & string>(
+    event: E | E[],
+    options?: IteratorOptions<RoomEvents[E][0]>
+  ): EventIterator<RoomEvents[E][0]>;
+  iterate(event: string | string[], options?: IteratorOptions<any>):
+    EventIterator<any>;
+  messages(options?: IteratorOptions<Message>): EventIterator<Message>;
+  fileEvents(options?: IteratorOptions<FileEvent>): EventIterator<FileEvent>;
+  report(reason: string): Promise<void>;
+  deleteFiles(ids: string | string[]): Promise<void>;
+  whitelistFiles(ids: string | string[]): Promise<void>;
+  removeMessages(ids: string | string[]): Promise<void>;
+  blacklistFiles(
+    ids: string | string[], options: BlacklistOptions): Promise<void>;
+  ban(spec: string | BanSpec | BanSpec[], options: BanOptions): Promise<void>;
+  unban(
+    spec: string | BanSpec | BanSpec[], options: UnbanOptions): Promise<void>;
+  setConfig(key: string, value: any): Promise<any>;
+  transferOwner(newOwner: string): Promise<void>;
+  addJanitor(janitor: string): Promise<void>;
+  removeJanitor(janitor: string): Promise<void>;
+  uploadFile(options: FileUploadOptions): Promise<UploadResult>;
+  uploadFile(options: StreamUploadOptions): Promise<UploadResult>;
+  uploadFromUrl(url: string, options?: UrlUploadOptions):
+    Promise<UploadResult & {name: string}>;
+  uploadMany(
+    files: string | Array<string | UploadOptions>,
+    options?: UploadManyOptions): Promise<UploadManyResult>;
+  call(fn: string, ...args: any[]): Promise<void>;
+  callWithCallback(fn: string, ...args: any[]): Promise<any>;
+  fetch(url: string, options?: RequestInit): Promise<Response>;
+  callREST(endpoint: string, params?: {[key: string]: any}): Promise<any>;
+  ensureConfig(): Promise<void>;
+  fixTime(time: number): number;
+  toString(): string;
+}
+
+export type RoomSpec = string | (RoomOptions & {room: string, nick?: string});
+
+export interface ManyRoomsOptions extends RoomOptions {
+  Room?: new (id: string, nick?: string, options?: RoomOptions) => Room;
+}
+
+/** Events of ManyRooms: the room events, with the room first */
+export type ManyRoomsEvents = {
+  [E in keyof RoomEvents]: [room: Room, ...args: RoomEvents[E]];
+} & {
+  room_added: [room: Room];
+  room_removed: [room: Room];
+  room_failed: [room: Room, error: Error];
+};
+
+export type RoomState =
+  "idle" | "connecting" | "connected" | "reconnecting" | "failed" | "closed";
+
+export interface RoomStatus {
+  room: Room;
+  id: string;
+  alias: string;
+  nick: string;
+  state: RoomState;
+  error: Error | null;
+  /** When the room failed, in ms since the epoch */
+  failed: number | null;
+  users: number;
+}
+
+/** Lots of rooms, all at once */
+export class ManyRooms extends TypedEmitter<ManyRoomsEvents> {
+  constructor(rooms: RoomSpec[], nick: string, options?: ManyRoomsOptions);
+  nick: string;
+  server: string | null;
+  account: Session | null;
+  agent: AgentSource | null;
+  readonly rooms: Room[];
+  init(password?: PasswordSource): Promise<void>;
+  connect(): Promise<void>;
+  getRoom(room: Room | string): Room | null;
+  addRoom(spec: RoomSpec): Promise<Room>;
+  removeRoom(room: Room | string): Promise<boolean>;
+  status(): RoomStatus[];
+  run(): Promise<void>;
+  close(): Promise<void>;
+  iterate<E extends keyof RoomEvents & string>(
+    event: E | E[],
+    options?: IteratorOptions<[Room, RoomEvents[E][0]]>
+  ): EventIterator<[Room, RoomEvents[E][0]]>;
+  iterate(event: string | string[], options?: IteratorOptions<[Room, any]>):
+    EventIterator<[Room, any]>;
+  messages(options?: IteratorOptions<[Room, Message]>):
+    EventIterator<[Room, Message]>;
+  fileEvents(options?: IteratorOptions<[Room, FileEvent]>):
+    EventIterator<[Room, FileEvent]>;
+}
+
+/* Commands */
+
+export type RoleName =
+  "anyone" | "user" | "green" | "pro" | "donor" | "janitor" | "owner" |
+  "staff" | "admin";
+
+export type ArgType =
+  "string" | "number" | "integer" | "boolean" | ((value: string) => any);
+
+export interface ArgSpec {
+  name: string;
+  type?: ArgType;
+  optional?: boolean;
+  rest?: boolean;
+}
+
+export interface CommandOptions {
+  aliases?: string[];
+  description?: string;
+  /** `name`, `name?`, `...name` or full specs */
+  args?: Array<string | ArgSpec>;
+  role?: RoleName | ((message: Message) => boolean) | null;
+  /** Per-user cooldown in ms */
+  cooldown?: number;
+  hidden?: boolean;
+}
+
+export interface CommandContext {
+  room: RoomLike;
+  message: Message;
+  nick: string;
+  /** Name (or alias) used */
+  name: string;
+  command: Command;
+  /** Everything after the command name */
+  text: string;
+  args: {[name: string]: any};
+  argv: string[];
+  reply(msg: string, options?: ChatOptions): Promise<void>;
+}
+
+export type CommandHandler =
+  (ctx: CommandContext) => string | void | Promise<string | void>;
+
+/** A registered command, see CommandRouter.command() */
+export interface Command {
+  name: string;
+  aliases: string[];
+  description: string;
+  args: Array<Required<ArgSpec>>;
+  role: RoleName | null;
+  cooldown: number;
+  hidden: boolean;
+  handler: CommandHandler;
+  allowed(message: Message): boolean;
+  usage(prefix: string): string;
+  parse(text: string): [{[name: string]: any}, string[]];
+}
+
+export interface CommandRouterOptions {
+  prefix?: string;
+  help?: string | false;
+  replyErrors?: boolean;
+}
+
+export interface CommandRouterEvents {
+  denied: [ctx: CommandContext];
+  cooldown: [ctx: CommandContext, remaining: number];
+  command: [ctx: CommandContext];
+  error: [error: any, ctx: CommandContext | null];
+}
+
+export class CommandRouter extends TypedEmitter<CommandRouterEvents> {
+  constructor(options?: CommandRouterOptions);
+  prefix: string;
+  replyErrors: boolean;
+  commands: Map<string, Command>;
+  command(name: string, handler: CommandHandler): Command;
+  command(
+    name: string, options: CommandOptions, handler: CommandHandler): Command;
+  remove(name: string): void;
+  get(name: string): Command | null;
+  attach(target: Room | ManyRooms | DetachedRoom): this;
+  detach(target: Room | ManyRooms | DetachedRoom): void;
+  dispatch(message: Message): Promise<boolean>;
+}
+
+/* Auto moderation */
+
+export interface ChatMatch {
+  /** Strings match case-insensitive substrings */
+  text?: ValueSpec<string> | Array<ValueSpec<string>>;
+  /** Strings match case-insensitively */
+  nick?: ValueSpec<string> | Array<ValueSpec<string>>;
+  ip?: ValueSpec<string | null> | Array<ValueSpec<string | null>>;
+  /** Logged in */
+  user?: boolean;
+  channel?: ValueSpec<string> | Array<ValueSpec<string>>;
+  filter?: (message: Message) => boolean;
+}
+
+export interface ModerationContext<T = Message | File> {
+  rule: string;
+  action: string;
+  options: any;
+  dryRun: boolean;
+  room: RoomLike;
+  target: T;
+  error: any;
+}
+
+export type ModerationHandler<T> =
+  (target: T, options: null, ctx: ModerationContext<T>) => any;
+
+export type ChatAction =
+  "remove" |
+  {timeout: number} |
+  {ban: BanOptions} |
+  ModerationHandler<Message>;
+
+export type FileAction =
+  "delete" |
+  {timeout: number} |
+  {blacklist: BlacklistOptions} |
+  {ban: BanOptions} |
+  ModerationHandler<File>;
+
+export interface RateSpec {
+  count: number;
+  /** ms */
+  per: number;
+}
+
+export type RuleOptions = {
+  on: "chat";
+  match?: ChatMatch;
+  rate?: RateSpec | null;
+  actions: ChatAction | ChatAction[];
+} | {
+  on: "file";
+  match?: FileFilter;
+  rate?: RateSpec | null;
+  actions: FileAction | FileAction[];
+};
+
+/** A single moderation rule, as registered with an AutoModerator */
+export interface Rule {
+  readonly name: string;
+  readonly on: "chat" | "file";
+  readonly rate: RateSpec | null;
+  readonly actions: Array<{name: string, options: any, role: string | null}>;
+  matches(target: Message | File, now?: number): boolean;
+}
+
+export interface AutoModeratorOptions {
+  /** Only log what would have been done */
+  dryRun?: boolean;
+  /** Where dry runs log to (default: console.log) */
+  log?: (line: string) => void;
+  /** What to leave alone (default: messages of room staff) */
+  exempt?: ((target: Message | File) => boolean) | null;
+  /** Also check the file list sent when connecting */
+  initial?: boolean;
+}
+
+export interface AutoModeratorEvents {
+  match: [rule: Rule, target: Message | File];
+  action: [ctx: ModerationContext];
+  error: [error: any, ctx: ModerationContext];
+}
+
+/** Moderates rooms for you, according to your rules */
+export class AutoModerator extends TypedEmitter<AutoModeratorEvents> {
+  constructor(options?: AutoModeratorOptions);
+  dryRun: boolean;
+  log: (line: string) => void;
+  exempt: ((target: Message | File) => boolean) | null;
+  initial: boolean;
+  rules: Map<string, Rule>;
+  rule(name: string, options: RuleOptions): Rule;
+  remove(name: string): void;
+  attach(target: Room | ManyRooms): this;
+  detach(target: Room | ManyRooms): void;
+  check(target: Message | File): Promise<ModerationContext[]>;
+}
+
+/* Flood detection */
+
+export type FloodRole = "white" | "green" | "pro";
+
+/** A count within the default window, {count, per} (ms), or null to disable */
+export type FloodThreshold = number | {count: number, per?: number} | null;
+
+export interface FloodThresholds {
+  messages?: FloodThreshold;
+  repeats?: FloodThreshold;
+  uploads?: FloodThreshold;
+}
+
+export interface FloodDetectorOptions {
+  /** Per role thresholds, merged with the defaults */
+  thresholds?: {[role in FloodRole]?: FloodThresholds};
+  /** What not to count (default: messages of room staff) */
+  exempt?: ((target: Message | File) => boolean) | null;
+}
+
+export interface FloodInfo {
+  kind: "messages" | "repeats" | "uploads";
+  room: RoomLike;
+  nick: string;
+  ip: string | null;
+  role: FloodRole;
+  /** The nick: or ip: that crossed the threshold */
+  sender: string;
+  count: number;
+  per: number;
+  messages?: Message[];
+  files?: File[];
+}
+
+export interface FloodDetectorEvents {
+  flood: [info: FloodInfo];
+  spam: [info: FloodInfo];
+  error: [error: any];
+}
+
+/** Per nick and per ip behavior over time */
+export class FloodDetector extends TypedEmitter<FloodDetectorEvents> {
+  constructor(options?: FloodDetectorOptions);
+  thresholds: {
+    [role in FloodRole]: {
+      [kind in keyof FloodThresholds]-?: {count: number, per: number} | null
+    }
+  };
+  exempt: ((target: Message | File) => boolean) | null;
+  attach(target: Room | ManyRooms): this;
+  detach(target: Room | ManyRooms): void;
+  reset(): void;
+  check(
+    target: Message | File, now?: number): Array<["flood" | "spam", FloodInfo]>;
+}
+
+/* Presence */
+
+export interface PresenceRecord {
+  nick: string;
+  /** ms since the epoch */
+  first: number;
+  /** ms since the epoch */
+  last: number;
+  messages: number;
+  uploads: number;
+  /** Known IPs, most recent last (only seen by privileged sessions) */
+  ips: string[];
+  /** Alias of the room last seen in */
+  room: string | null;
+}
+
+/** Where a PresenceTracker keeps its records, by lowercased nick */
+export interface PresenceStore {
+  get(key: string): PresenceRecord | null | Promise<PresenceRecord | null>;
+  set(key: string, record: PresenceRecord): void | Promise<void>;
+  all(): PresenceRecord[] | Promise<PresenceRecord[]>;
+  flush(): void | Promise<void>;
+}
+
+export class MemoryPresenceStore implements PresenceStore {
+  records: Map<string, PresenceRecord>;
+  get(key: string): PresenceRecord | null;
+  set(key: string, record: PresenceRecord): void;
+  all(): PresenceRecord[];
+  flush(): void;
+}
+
+export class JSONPresenceStore implements PresenceStore {
+  constructor(file: string, options?: {interval?: number});
+  file: string;
+  /** Save at most this often, in ms */
+  interval: number;
+  records: Map<string, PresenceRecord>;
+  get(key: string): Promise<PresenceRecord | null>;
+  set(key: string, record: PresenceRecord): Promise<void>;
+  all(): Promise<PresenceRecord[]>;
+  flush(): Promise<void>;
+}
+
+export interface PresenceTrackerEvents {
+  error: [error: any];
+}
+
+/** Who was here, and when? */
+export class PresenceTracker extends TypedEmitter<PresenceTrackerEvents> {
+  constructor(options?: {store?: PresenceStore});
+  store: PresenceStore;
+  attach(target: Room | ManyRooms): this;
+  detach(target: Room | ManyRooms): void;
+  record(target: Message | File, time?: number): Promise<PresenceRecord | null>;
+  seen(nick: string): Promise<PresenceRecord | null>;
+  activeSince(time: number | Date): Promise<PresenceRecord[]>;
+  close(): Promise<void>;
+}
+
+/* Logs */
+
+export interface DetachedRoomOptions {
+  nick?: string;
+  site?: string;
+  endpoints?: EndpointOverrides;
+  Message?: new (room: RoomLike, data: MessageData) => Message;
+  File?: new (room: RoomLike, data: FileData) => File;
+}
+
+/** A room that isn't connected to anything */
+export class DetachedRoom extends TypedEmitter<RoomEvents> {
+  constructor(id: string, options?: DetachedRoomOptions);
+  id: string;
+  alias: string;
+  nick: string | null;
+  config: RoomConfig;
+  endpoints: Endpoints;
+  connected: false;
+  owner: boolean;
+  admin: boolean;
+  janitor: boolean;
+  staff: boolean;
+  Message: new (room: RoomLike, data: MessageData) => Message;
+  File: new (room: RoomLike, data: FileData) => File;
+  readonly origin: string;
+  readonly url: string;
+  readonly files: File[];
+  readonly privileged: boolean;
+  getFile(id: string): File | null;
+  fixTime(time: number): number;
+  call(fn: string, ...args: any[]): never;
+  callWithCallback(fn: string, ...args: any[]): Promise<never>;
+  toString(): string;
+}
+
+export interface EventLoggerOptions {
+  dir: string;
+  name?: string;
+  maxSize?: number;
+  daily?: boolean;
+  maxFiles?: number;
+}
+
+export interface LogRecord {
+  time: number;
+  room: string;
+  type: string;
+  data: any;
+  initial?: boolean;
+}
+
+export class EventLogger extends TypedEmitter<{error: [error: Error]}> {
+  constructor(room: Room | DetachedRoom, options: EventLoggerOptions);
+  room: Room | DetachedRoom;
+  dir: string;
+  name: string;
+  file: string | null;
+  log(type: string, data: any, initial?: boolean): void;
+  close(): Promise<void>;
+}
+
+export class LogReader extends TypedEmitter<{room: [room: DetachedRoom]}> {
+  constructor(paths: string | string[], options?: DetachedRoomOptions);
+  rooms: Map<string, DetachedRoom>;
+  getRoom(id: string): DetachedRoom;
+  replay(callback?: (
+    room: DetachedRoom,
+    type: string,
+    payload: any,
+    record: LogRecord) => void | Promise<void>
+  ): Promise<Map<string, DetachedRoom>>;
+}
+
+/* Archiving */
+
+export interface ArchiverOptions {
+  dir: string;
+  concurrency?: number;
+  verify?: boolean;
+  filter?: (file: File) => boolean;
+  manifest?: string;
+}
+
+export interface ArchiveResult extends DownloadResult {
+  duplicate?: boolean;
+}
+
+export interface ArchiverEvents {
+  archived: [file: File, result: ArchiveResult];
+  duplicate: [file: File, result: ArchiveResult];
+  failed: [file: File, error: any];
+  error: [error: any];
+}
+
+export class Archiver extends TypedEmitter<ArchiverEvents> {
+  constructor(room: Room, options: ArchiverOptions);
+  room: Room;
+  dir: string;
+  started: boolean;
+  manifest: {
+    files: {[id: string]: {checksum: string | null, path: string}};
+    checksums: {[checksum: string]: string};
+  };
+  start(): Promise<void>;
+  stop(): void;
+  idle(): Promise<void>;
+  has(file: File | string): boolean;
+  add(file: File): void;
+}
+
+/* Querying files */
+
+type ValueSpec<T> = T | RegExp | ((value: T) => boolean);
+
+/** {min, max}, both inclusive and optional; or an exact value */
+export type RangeSpec<T> = T | {min?: T, max?: T};
+
+export interface FileFilter {
+  id?: ValueSpec<string> | Array<ValueSpec<string>>;
+  /** Strings match case-insensitive substrings */
+  name?: ValueSpec<string> | Array<ValueSpec<string>>;
+  type?: ValueSpec<string> | Array<ValueSpec<string>>;
+  /** Strings match case-insensitively */
+  uploader?: ValueSpec<string> | Array<ValueSpec<string>>;
+  fromAccount?: boolean;
+  ip?: ValueSpec<string | null> | Array<ValueSpec<string | null>>;
+  size?: RangeSpec<number>;
+  uploaded?: RangeSpec<number | Date>;
+  expires?: RangeSpec<number | Date>;
+  tags?: {[tag: string]: ValueSpec<any> | Array<ValueSpec<any>>};
+  filter?: (file: File) => boolean;
+}
+
+export type FileSortKey =
+  "name" | "type" | "size" | "uploaded" | "expires" | "uploader" | "id";
+
+export interface FileQueryOptions extends FileFilter {
+  /** Field to sort by, "-" prefixed for descending order, or a comparator */
+  sort?: FileSortKey | `-${FileSortKey}` | ((a: File, b: File) => number);
+}
+
+export interface FileSearch extends FileQueryOptions {
+  offset?: number;
+  limit?: number;
+}
+
+export interface FileQueryEvents {
+  match: [file: File];
+  unmatch: [file: File];
+  close: [];
+}
+
+/** A query that stays up to date while files come and go */
+export class FileQuery extends TypedEmitter<FileQueryEvents> {
+  constructor(room: Room, query?: FileQueryOptions);
+  room: Room;
+  predicate: (file: File) => boolean;
+  /** Currently matching files */
+  readonly files: File[];
+  close(): void;
+  toString(): string;
+}
+
+/* Composing */
+
+export interface MessageBuilderOptions {
+  /** Only allow mentioning files currently in the room (default: true) */
+  strict?: boolean;
+}
+
+/** Puts together chat messages, split into as many as it takes */
+export class MessageBuilder {
+  constructor(room: Room, options?: MessageBuilderOptions);
+  room: Room;
+  strict: boolean;
+  parts: MessagePart[];
+  text(text: string): this;
+  line(): this;
+  mentionFile(file: File | string): this;
+  mentionRoom(room: RoomLike | string): this;
+  add(...items: Array<string | File | RoomLike>): this;
+  verify(): void;
+  build(): string;
+  split(): string[];
+  send(options?: ChatOptions): Promise<void>;
+  toString(): string;
+}
+
+/* Rendering */
+
+export namespace render {
+  function toHTML(message: Message, options?: RenderOptions): string;
+  function toMarkdown(message: Message, options?: RenderOptions): string;
+  function toANSI(message: Message, options?: ANSIRenderOptions): string;
+  function escapeHTML(str: string): string;
+  function escapeMarkdown(str: string): string;
+}
+
+/* Utilities */
+
+export namespace util {
+  const DEFAULT_SITE: string;
+  /** bases: base URLs of sites with rooms below some path */
+  function parseId(id: string, bases?: string[]): string | null;
+  function verifyNick(
+    nick: string, config?: {chat_max_alias_length?: number}): void;
+  function toServer(server?: string | null): string | null;
+  function toEndpoints(options?: SiteOptions): Endpoints;
+  function onSite(endpoints: Endpoints, url: string): boolean;
+  function sleep(time: number): Promise<void>;
+  function deadline(time: number): Promise<never>;
+  /** Whether this is a file (of its room's File class), not a message */
+  function isFile(target: Message | File): target is File;
+  /** Purple people, owners and janitors; the default exempt option */
+  function defaultExempt(target: Message | File): boolean;
+  function globToRegExp(glob: string): RegExp;
+  function splitMessage(text: string, max: number): string[];
+  function writeAtomically(
+    file: string,
+    data: string | Buffer,
+    options?: {mode?: number, encoding?: BufferEncoding}
+  ): Promise<void>;
+  function walkFiles(
+    dir: string,
+    options?: {include?: string | string[], exclude?: string | string[]}
+  ): Promise<string[]>;
+
+  class TeeTransform extends Transform {
+    constructor(tee: {write(chunk: Buffer): any}, options?: TransformOptions);
+  }
+  class ProgressTransform extends Transform {
+    constructor(options?: TransformOptions);
+  }
+  class SkipTransform extends Transform {
+    constructor(skip: number, options?: TransformOptions);
+  }
+  class LimitTransform extends Transform {
+    constructor(limit: number, options?: TransformOptions);
+  }
+  class WatchdogTransform extends Transform {
+    constructor(timeout: number, options?: TransformOptions);
+  }
+  class Limiter {
+    constructor(concurrency: number);
+    readonly pending: number;
+    run<T>(fn: () => T | Promise<T>): Promise<T>;
+    idle(): Promise<void>;
+  }
+}
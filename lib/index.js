@@ -1,9 +1,49 @@
 "use strict";
 
 const {Room, ManyRooms} = require("./room");
+const {Session} = require("./session");
+const {MemorySessionStore, JSONSessionStore} = require("./session");
+const {CookieJar} = require("./cookiejar");
+const {ProxyAgent} = require("./proxy");
 const util = require("./util");
 const {Message} = require("./message");
 const {File} = require("./file");
+const {CommandRouter} = require("./commands");
+const {EventLogger, LogReader, DetachedRoom} = require("./eventlog");
+const {Archiver} = require("./archiver");
+const {EventIterator} = require("./iterator");
+const render = require("./render");
+const {MessageBuilder} = require("./compose");
+const {FileQuery} = require("./query");
+const {AutoModerator} = require("./automod");
+const {FloodDetector} = require("./flood");
+const {PresenceTracker} = require("./presence");
+const {MemoryPresenceStore, JSONPresenceStore} = require("./presence");
 
-module.exports = { Room, ManyRooms, util, Message, File };
+module.exports = {
+  Room,
+  ManyRooms,
+  Session,
+  MemorySessionStore,
+  JSONSessionStore,
+  CookieJar,
+  ProxyAgent,
+  util,
+  render,
+  Message,
+  File,
+  CommandRouter,
+  EventLogger,
+  LogReader,
+  DetachedRoom,
+  Archiver,
+  EventIterator,
+  MessageBuilder,
+  FileQuery,
+  AutoModerator,
+  FloodDetector,
+  PresenceTracker,
+  MemoryPresenceStore,
+  JSONPresenceStore,
+};
 Object.assign(module.exports, require("./error"));
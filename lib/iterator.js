@@ -0,0 +1,186 @@
+"use strict";
+
+const {VolaError} = require("./error");
+
+const DEFAULT_LIMIT = 1000;
+
+/**
+ * Async iterator over events of one or more emitters (usually rooms).
+ *
+ * Events are buffered until consumed. When the buffer holds more than
+ * .limit items, either the oldest items are dropped (counted in .dropped),
+ * or the iterator fails, depending on the overflow option.
+ *
+ * Iteration finishes once all sources closed, or the signal was aborted,
+ * after the buffer was drained. An error event ends it by throwing that
+ * error, again after the buffer was drained.
+ *
+ * @property {number} dropped Number of items dropped due to overflow
+ */
+class EventIterator {
+  /**
+   * @param {EventEmitter[]} sources Emitters to listen to
+   * @param {string[]} events Event names to listen to
+   * @param {Object} [options]
+   * @param {function} [options.map] Turns (source, event, args) into the
+   *    item to yield (default: the first event argument)
+   * @param {function} [options.filter] Only yield items this returns true for
+   * @param {AbortSignal} [options.signal] Stop iterating when aborted
+   * @param {number} [options.limit] Maximum number of buffered items
+   * @param {string} [options.overflow] "drop" the oldest items (default), or
+   *    "error" out
+   */
+  constructor(sources, events, options) {
+    options = options || {};
+    const {
+      map = (source, event, args) => args[0],
+      filter = null,
+      signal = null,
+      limit = DEFAULT_LIMIT,
+      overflow = "drop",
+    } = options;
+    if (!(limit >= 1)) {
+      throw new VolaError("Invalid buffer limit");
+    }
+    if (overflow !== "drop" && overflow !== "error") {
+      throw new VolaError("Invalid overflow mode");
+    }
+    this.limit = limit;
+    this.overflow = overflow;
+    this.dropped = 0;
+    this._map = map;
+    this._filter = filter;
+    this._buffer = [];
+    this._waiting = [];
+    this._error = null;
+    this._done = false;
+    this._open = sources.length;
+    this._signal = signal;
+    this._listeners = [];
+
+    for (const source of sources) {
+      for (const event of events) {
+        this._listen(
+          source, event, (...args) => this._push(source, event, args));
+      }
+      this._listen(source, "close", () => {
+        if (!--this._open) {
+          this._finish(null);
+        }
+      });
+      this._listen(source, "error", ex => this._finish(ex));
+    }
+    if (signal) {
+      this._onabort = () => this._finish(null);
+      if (signal.aborted) {
+        this._finish(null);
+      }
+      else {
+        signal.addEventListener("abort", this._onabort);
+      }
+    }
+    if (!this._open) {
+      this._finish(null);
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  _listen(source, event, listener) {
+    source.on(event, listener);
+    this._listeners.push([source, event, listener]);
+  }
+
+  _push(source, event, args) {
+    let item;
+    try {
+      item = this._map(source, event, args);
+      if (this._filter && !this._filter(item)) {
+        return;
+      }
+    }
+    catch (ex) {
+      this._finish(ex);
+      return;
+    }
+    if (this._waiting.length) {
+      this._waiting.shift().resolve({value: item, done: false});
+      return;
+    }
+    this._buffer.push(item);
+    if (this._buffer.length <= this.limit) {
+      return;
+    }
+    if (this.overflow === "error") {
+      this._finish(new VolaError(
+        `Iterator buffer overflowed (limit: ${this.limit})`));
+      return;
+    }
+    this._buffer.shift();
+    this.dropped++;
+  }
+
+  _detach() {
+    for (const [source, event, listener] of this._listeners) {
+      source.removeListener(event, listener);
+    }
+    this._listeners.length = 0;
+    if (this._signal) {
+      this._signal.removeEventListener("abort", this._onabort);
+    }
+  }
+
+  _finish(ex) {
+    if (this._done) {
+      return;
+    }
+    this._done = true;
+    this._error = ex;
+    this._detach();
+    // Anybody still waiting has an empty buffer in front of them
+    const waiting = this._waiting;
+    this._waiting = [];
+    for (const w of waiting) {
+      this._settle(w.resolve, w.reject);
+    }
+  }
+
+  _settle(resolve, reject) {
+    if (this._error) {
+      const ex = this._error;
+      this._error = null;
+      reject(ex);
+      return;
+    }
+    resolve({value: undefined, done: true});
+  }
+
+  next() {
+    if (this._buffer.length) {
+      return Promise.resolve({value: this._buffer.shift(), done: false});
+    }
+    return new Promise((resolve, reject) => {
+      if (this._done) {
+        this._settle(resolve, reject);
+        return;
+      }
+      this._waiting.push({resolve, reject});
+    });
+  }
+
+  /**
+   * Stop iterating, dropping whatever is still buffered.
+   * Called by for-await when breaking out of the loop.
+   * @returns {Promise}
+   */
+  return() {
+    this._buffer.length = 0;
+    this._finish(null);
+    this._error = null;
+    return Promise.resolve({value: undefined, done: true});
+  }
+}
+
+module.exports = {EventIterator};
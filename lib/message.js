@@ -1,6 +1,7 @@
 "use strict";
 
 const {VolaError, VolaPrivilegeError} = require("./error");
+const render = require("./render");
 
 const ROLE_SYSTEM = Symbol("System");
 const ROLE_ADMIN = Symbol("Admin");
@@ -8,6 +9,8 @@ const ROLE_STAFF = Symbol("Staff");
 const ROLE_USER = Symbol("User");
 const ROLE_WHITE = Symbol("White");
 
+const RAW = Symbol("RAW");
+
 const FLAGS = {
   owner: false,
   janitor: false,
@@ -19,6 +22,40 @@ const FLAGS = {
   admin: false
 };
 
+/**
+ * Turn a wire message part into a typed part, which always has a .text
+ * representation. Parts of unknown types are kept, but flagged as .unknown
+ * @param {Object} part Wire part
+ * @returns {Object}
+ */
+function toPart(part) {
+  const {type = "unknown"} = part;
+  switch (type) {
+  case "text":
+    return {type, text: part.value || ""};
+
+  case "raw":
+    return {type, text: part.value || ""};
+
+  case "break":
+    return {type, text: "\n"};
+
+  case "file":
+    return {type, id: part.id, name: part.name || null, text: `@${part.id}`};
+
+  case "room":
+    return {type, id: part.id, name: part.name || null, text: `#${part.id}`};
+
+  case "url":
+    return {type, href: part.href, text: part.text || part.href || ""};
+
+  default: {
+    const text = part.value || part.text || part.id || part.href || "";
+    return Object.assign({}, part, {type, text: String(text), unknown: true});
+  }
+  }
+}
+
 /**
  * Somebody said something!
  * @property {string} nick Nickname
@@ -26,6 +63,7 @@ const FLAGS = {
  * @property {string[]} rooms Linked room ids
  * @property {string[]} files Linked file ids
  * @property {string[]} urls Links
+ * @property {Object[]} parts Typed message parts, see .toHTML() and friends
  * @property {string} message That's what she said!
  * @property {bool} owner Said by the owner
  * @property {bool} pro Said by a pro
@@ -39,6 +77,7 @@ class Message {
     this.room = room;
     this.nick = data.nick || null;
     this.data = data.data || {};
+    this[RAW] = data;
 
     const {ip = null, self = false, id = null, channel = ""} = this.data;
     this.channel = channel;
@@ -68,32 +107,26 @@ class Message {
     this.rooms = [];
     this.files = [];
     this.urls = [];
-    this.message = data.message.map(part => {
+    this.parts = data.message.map(toPart);
+    for (const part of this.parts) {
       switch (part.type) {
-      case "text":
-        return part.value;
-
-      case "break":
-        return "\n";
-
       case "file":
         this.files.push(part.id);
-        return `@${part.id}`;
+        break;
 
       case "room":
         this.rooms.push(part.id);
-        return `#${part.id}`;
+        break;
 
       case "url":
         this.urls.push(part.href);
-        return part.text;
-
-      case "raw":
-        return part.value;
-      default:
-        return null;
+        break;
       }
-    }).filter(e => e).join("");
+    }
+    this.message = this.parts.
+      filter(part => !part.unknown && part.text).
+      map(part => part.text).
+      join("");
 
     this.isReport = this.system &&
       this.nick === "Log" &&
@@ -172,6 +205,7 @@ class Message {
   /**
    * Timeout whoever said this
    * @param {number} minutes Duration
+   * @returns {Promise} Settles once the call was actually sent
    */
   timeout(minutes) {
     if (!this.room.privileged) {
@@ -185,38 +219,75 @@ class Message {
     if (!seconds || seconds <= 0) {
       throw new VolaError("Invalid timeout duration");
     }
-    this.room.call("timeoutChat", this.id, seconds);
+    return this.room.call("timeoutChat", this.id, seconds);
   }
 
   /**
    * Remove this message (requires mod)
+   * @returns {Promise} Settles once the call was actually sent
    */
   remove() {
     if (!this.id) {
-      return;
+      return Promise.resolve();
     }
-    this.room.removeMessages([this.id]);
+    return this.room.removeMessages([this.id]);
   }
 
   /**
    * Ban whoever said this
    * @param {object} options
+   * @returns {Promise} Settles once the call was actually sent
    */
   ban(options) {
     if (!this.white && !this.system) {
-      this.room.ban({user: this.nick, ip: this.ip}, options);
-    }
-    else {
-      this.room.ban({ip: this.ip}, options);
+      return this.room.ban({user: this.nick, ip: this.ip}, options);
     }
+    return this.room.ban({ip: this.ip}, options);
   }
 
   /**
    * Unban whoever said this
    * @param {object} options
+   * @returns {Promise} Settles once the call was actually sent
    */
   unban(options) {
-    this.room.unban(this.ip, options);
+    return this.room.unban(this.ip, options);
+  }
+
+  /**
+   * Render as HTML fragment, with links to files and rooms
+   * @param {Object} [options] See render.toHTML
+   * @returns {string}
+   */
+  toHTML(options) {
+    return render.toHTML(this, options);
+  }
+
+  /**
+   * Render as Markdown
+   * @param {Object} [options] See render.toMarkdown
+   * @returns {string}
+   */
+  toMarkdown(options) {
+    return render.toMarkdown(this, options);
+  }
+
+  /**
+   * Render for your terminal, in glorious color
+   * @param {Object} [options] See render.toANSI
+   * @returns {string}
+   */
+  toANSI(options) {
+    return render.toANSI(this, options);
+  }
+
+  /**
+   * Wire representation, which can be fed to the constructor again
+   * @returns {object}
+   */
+  toJSON() {
+    const {nick = null, message = [], options = {}} = this[RAW];
+    return {nick, message, options, data: this.data};
   }
 
   toString() {
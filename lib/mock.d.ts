@@ -0,0 +1,99 @@
+// Type definitions for volapi/lib/mock
+
+/// <reference types="node" />
+
+import {EventEmitter} from "events";
+import {MessageData} from "./index";
+
+export interface MockFile {
+  id: string;
+  name: string;
+  type: string;
+  size: number;
+  uploaded: number;
+  expires: number;
+  tags: {[key: string]: any};
+  assets: {[asset: string]: any};
+  data: Buffer;
+  checksum: string;
+  room: MockRoom;
+}
+
+export interface MockFileOptions {
+  name: string;
+  data?: Buffer | string;
+  uploader?: string;
+  user?: boolean;
+  ip?: string;
+  type?: string;
+  /** Hours till dodo (default: room file_ttl) */
+  ttl?: number;
+  tags?: {[key: string]: any};
+  id?: string;
+}
+
+export interface MockRoles {
+  user?: boolean;
+  owner?: boolean;
+  janitor?: boolean;
+  admin?: boolean;
+  staff?: boolean;
+  pro?: boolean;
+}
+
+/** A client connected to a MockServer */
+export interface MockClient {
+  server: MockServer;
+  room: MockRoom;
+  nick: string;
+  session: string | null;
+  readonly roles: MockRoles;
+  send(type: string, msg: any): void;
+}
+
+/** A room living on a MockServer */
+export class MockRoom {
+  constructor(server: MockServer, id: string, config?: {[key: string]: any});
+  server: MockServer;
+  id: string;
+  config: {[key: string]: any};
+  files: Map<string, MockFile>;
+  clients: Set<MockClient>;
+  readonly alias: string;
+  readonly publicConfig: {[key: string]: any};
+  chat(
+    nick: string, text: string, options?: {[key: string]: any}): MessageData;
+  addFile(options: MockFileOptions): MockFile;
+  removeFile(id: string): void;
+  setConfig(key: string, value: any): void;
+  send(type: string, msg: any): void;
+  roles(nick: string): MockRoles;
+  static wireFile(file: MockFile): any[];
+}
+
+export interface MockServerEvents {
+  call: [client: MockClient, fn: string, args: any[]];
+  connection: [client: MockClient];
+}
+
+/** A tiny volafile stand-in for testing your bots */
+export class MockServer extends EventEmitter {
+  constructor(options?: {host?: string});
+  host: string;
+  rooms: Map<string, MockRoom>;
+  files: Map<string, MockFile>;
+  readonly url: string;
+  listen(port?: number): Promise<string>;
+  close(): Promise<void>;
+  addRoom(id: string, config?: {[key: string]: any}): MockRoom;
+  getRoom(id: string): MockRoom | null;
+  addUser(nick: string, password: string, roles?: MockRoles): void;
+  dropConnections(): void;
+  blockUploads(timeout: number): void;
+  on<E extends keyof MockServerEvents>(
+    event: E, listener: (...args: MockServerEvents[E]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once<E extends keyof MockServerEvents>(
+    event: E, listener: (...args: MockServerEvents[E]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+}
@@ -0,0 +1,784 @@
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+const path = require("path");
+const EventEmitter = require("events");
+const {URL} = require("url");
+const {debug, error} = require("./debug");
+const {VolaError} = require("./error");
+
+const OK = 200;
+const PARTIAL = 206;
+const BAD_REQUEST = 400;
+const ACCESS_DENIED = 403;
+const NOT_FOUND = 404;
+const TOO_FAST = 429;
+const RANGE_NOT_SATISFIABLE = 416;
+
+const HOUR = 60 * 60 * 1000;
+
+const TYPES = new Map([
+  ["image", ["jpg", "jpeg", "png", "gif", "webp", "bmp"]],
+  ["video", ["mp4", "webm", "mkv", "avi", "mov"]],
+  ["audio", ["mp3", "ogg", "opus", "flac", "wav", "m4a"]],
+  ["archive", ["zip", "rar", "7z", "tar", "gz", "xz"]],
+  ["document", ["pdf", "txt", "epub", "doc", "docx"]],
+]);
+
+function requireEngine() {
+  // A server library, so only those testing against the mock need it
+  try {
+    return require("engine.io");
+  }
+  catch (ex) {
+    throw new VolaError(
+      "MockServer needs engine.io: npm install --save-dev engine.io@3");
+  }
+}
+
+function randomId(bytes = 5) {
+  return crypto.randomBytes(bytes).toString("hex");
+}
+
+function guessType(name) {
+  const ext = path.extname(name).slice(1).toLowerCase();
+  for (const [type, exts] of TYPES) {
+    if (exts.includes(ext)) {
+      return type;
+    }
+  }
+  return "other";
+}
+
+function extractMultipart(body, contentType, partial = false) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || "");
+  if (!m) {
+    return body;
+  }
+  const boundary = `--${m[1] || m[2]}`;
+  const first = body.indexOf(boundary);
+  if (first < 0) {
+    return partial ? Buffer.alloc(0) : body;
+  }
+  const start = body.indexOf("\r\n\r\n", first);
+  if (start < 0) {
+    return partial ? Buffer.alloc(0) : body;
+  }
+  const end = body.indexOf(`\r\n${boundary}`, start + 4);
+  return body.slice(start + 4, end < 0 ? body.length : end);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const broken = ex => {
+      // What made it so far, for resuming
+      ex.partial = Buffer.concat(chunks);
+      reject(ex);
+    };
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", broken);
+    req.on("close", () => {
+      if (!req.complete) {
+        broken(new Error("Request aborted"));
+      }
+    });
+  });
+}
+
+/**
+ * A room living on a {@link MockServer}
+ *
+ * @property {string} id Room id
+ * @property {object} config Room config as sent to clients
+ * @property {Map} files Current files, by id
+ */
+class MockRoom {
+  constructor(server, id, config) {
+    this.server = server;
+    this.id = id;
+    this.config = Object.assign({
+      room_id: id,
+      custom_room_id: id,
+      name: id,
+      motd: "",
+      owner: "",
+      janitors: [],
+      adult: false,
+      disabled: false,
+      file_ttl: 48,
+      checksum2: "mock",
+      chat_max_message_length: 300,
+      chat_max_alias_length: 12,
+    }, config);
+    this.files = new Map();
+    this.clients = new Set();
+  }
+
+  get alias() {
+    return this.config.custom_room_id;
+  }
+
+  get publicConfig() {
+    const rv = Object.assign({}, this.config);
+    delete rv.password;
+    return rv;
+  }
+
+  /**
+   * Let somebody say something
+   * @param {string} nick Who
+   * @param {string} text What
+   * @param {object} [options] Role flags, such as .user or .admin, and .ip
+   * @returns {object} What was sent
+   */
+  chat(nick, text, options = {}) {
+    const {ip = "127.0.0.1", channel = ""} = options;
+    const flags = Object.assign({}, options);
+    delete flags.ip;
+    delete flags.channel;
+    const data = {
+      nick,
+      message: String(text).split("\n").reduce((rv, value, i) => {
+        if (i) {
+          rv.push({type: "break"});
+        }
+        if (value) {
+          rv.push({type: "text", value});
+        }
+        return rv;
+      }, []),
+      options: flags,
+      data: {id: randomId(), ip, channel},
+    };
+    for (const client of this.clients) {
+      client.send("chat", Object.assign({}, data, {
+        data: Object.assign({}, data.data, {self: client.nick === nick}),
+      }));
+    }
+    return data;
+  }
+
+  /**
+   * Make a file appear
+   * @param {object} options
+   * @param {string} options.name File name
+   * @param {Buffer|string} [options.data] File contents
+   * @param {string} [options.uploader] Uploader nick
+   * @param {boolean} [options.user] Uploader was logged in
+   * @param {string} [options.ip] Uploader IP
+   * @param {string} [options.type] File type; derived from name if missing
+   * @param {number} [options.ttl] Hours till dodo (default: room file_ttl)
+   * @param {object} [options.tags] More tags
+   * @returns {object} The file record
+   */
+  addFile(options) {
+    const {
+      name,
+      data = "",
+      uploader = "Mock",
+      user = false,
+      ip = "127.0.0.1",
+      type = guessType(name),
+      ttl = this.config.file_ttl,
+      tags = {},
+    } = options;
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    const uploaded = Date.now();
+    const file = {
+      id: options.id || randomId(),
+      name,
+      type,
+      size: content.length,
+      uploaded,
+      expires: uploaded + ttl * HOUR,
+      tags: Object.assign({[user ? "user" : "nick"]: uploader, ip}, tags),
+      assets: {},
+      data: content,
+      checksum: crypto.createHash("md5").update(content).digest("hex"),
+      room: this,
+    };
+    this.files.set(file.id, file);
+    this.server.files.set(file.id, file);
+    this.send("files", {files: [MockRoom.wireFile(file)]});
+    return file;
+  }
+
+  /**
+   * Make a file disappear
+   * @param {string} id File id
+   */
+  removeFile(id) {
+    if (!this.files.delete(id)) {
+      return;
+    }
+    this.server.files.delete(id);
+    this.send("delete_file", id);
+  }
+
+  /**
+   * Change a config value and tell everybody
+   * @param {string} key
+   * @param {*} value
+   */
+  setConfig(key, value) {
+    this.config[key] = value;
+    this.send("changed_config", {key, value});
+  }
+
+  send(type, msg) {
+    for (const client of this.clients) {
+      client.send(type, msg);
+    }
+  }
+
+  roles(nick) {
+    const user = this.server.users.get((nick || "").toLowerCase());
+    if (!user || user.nick !== nick) {
+      return {};
+    }
+    const lower = nick.toLowerCase();
+    return {
+      user: true,
+      owner: this.config.owner.toLowerCase() === lower,
+      janitor: this.config.janitors.some(j => j.toLowerCase() === lower),
+      admin: !!user.admin,
+      staff: !!user.staff,
+      pro: !!user.pro,
+    };
+  }
+
+  static wireFile(file) {
+    return [
+      file.id,
+      file.name,
+      file.type,
+      file.size,
+      file.expires,
+      file.uploaded,
+      file.tags,
+      file.assets
+    ];
+  }
+}
+
+class MockClient {
+  constructor(server, room, socket, nick) {
+    this.server = server;
+    this.room = room;
+    this.socket = socket;
+    this.nick = nick;
+    this.session = null;
+    this.ack = -1;
+    this.lastAck = -1;
+  }
+
+  get roles() {
+    return this.session ? this.room.roles(this.nick) : {};
+  }
+
+  send(type, msg) {
+    this.socket.send(JSON.stringify([
+      this.lastAck,
+      [[0, [type, msg]], ++this.ack]
+    ]));
+  }
+
+  callback(id, err, val) {
+    this.send("callback", {id, args: [err, val]});
+  }
+
+  sendUserInfo() {
+    this.send("userInfo", Object.assign({nick: this.nick}, this.roles));
+  }
+
+  onmessage(raw) {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    }
+    catch (ex) {
+      error("mock: garbage from client", raw);
+      return;
+    }
+    if (!Array.isArray(data)) {
+      return;
+    }
+    data.shift();
+    for (const [envelope, ack] of data) {
+      this.lastAck = ack;
+      const [type, [kind, call] = []] = envelope;
+      if (type === 2) {
+        this.socket.close();
+        return;
+      }
+      if (kind !== "call" || !call) {
+        continue;
+      }
+      const {fn, args = []} = call;
+      debug("mock: call", fn, args);
+
+      /**
+       * A client called something on the server
+       * @event MockServer#call
+       * @type {MockClient} Calling client
+       * @type {string} Function name
+       * @type {Array} Arguments
+       */
+      this.server.emit("call", this, fn, args);
+      const {[`call_${fn}`]: handler = null} = this;
+      if (handler) {
+        handler.apply(this, args);
+      }
+    }
+  }
+
+  call_chat(nick, msg) {
+    this.room.chat(this.nick, msg, this.roles);
+  }
+
+  call_command(nick, command, arg) {
+    switch (command) {
+    case "nick":
+      if (this.session) {
+        return;
+      }
+      this.nick = arg;
+      this.send("chat_name", arg);
+      return;
+
+    case "me":
+      this.room.chat(this.nick, `*${arg}*`, this.roles);
+      return;
+
+    case "a":
+      if (this.roles.admin || this.roles.staff) {
+        this.room.chat(this.nick, arg, Object.assign({}, this.roles, {
+          channel: "admin"
+        }));
+      }
+      return;
+    }
+  }
+
+  call_useSession(session) {
+    const nick = this.server.sessions.get(session);
+    if (!nick) {
+      return;
+    }
+    this.session = session;
+    this.nick = nick;
+    this.send("session", session);
+    this.send("login", {nick});
+    this.sendUserInfo();
+  }
+
+  call_getFileinfo(id, cbid) {
+    const file = this.room.files.get(id);
+    if (!file) {
+      this.callback(cbid, {code: NOT_FOUND, message: "File not found"});
+      return;
+    }
+    this.callback(cbid, null, {
+      id,
+      name: file.name,
+      size: file.size,
+      checksum: file.checksum,
+    });
+  }
+
+  call_deleteFiles(ids) {
+    const {owner, janitor, admin} = this.roles;
+    if (!owner && !janitor && !admin) {
+      return;
+    }
+    for (const id of ids) {
+      this.room.removeFile(id);
+    }
+  }
+}
+
+/**
+ * A tiny volafile stand-in for testing your bots without bothering the real
+ * thing. Point a {@link Room} at it using the `server` option.
+ *
+ * Needs engine.io (3.x) installed, which volapi itself does not depend on.
+ *
+ * @example
+ * const server = new MockServer();
+ * server.addRoom("BEEPi");
+ * await server.listen();
+ * const room = new Room("BEEPi", "MrRobot", {server: server.url});
+ *
+ * @property {string} url Base URL once listening
+ * @property {Map} rooms Rooms, by id
+ */
+class MockServer extends EventEmitter {
+  /**
+   * A new server, not yet listening
+   * @param {Object} [options]
+   * @param {string} [options.host] Host to listen on (default: 127.0.0.1)
+   */
+  constructor(options) {
+    super();
+    const {host = "127.0.0.1"} = options || {};
+    this.host = host;
+    this.rooms = new Map();
+    this.files = new Map();
+    this.users = new Map();
+    this.sessions = new Map();
+    this.uploads = new Map();
+    this.uploadTimeout = 0;
+    this.http = http.createServer((req, res) => {
+      this._onrequest(req, res).catch(ex => {
+        error("mock: request failed", ex);
+        if (!res.headersSent) {
+          res.writeHead(500);
+        }
+        res.end();
+      });
+    });
+    this.eio = requireEngine().attach(this.http, {path: "/api"});
+    this.eio.on("connection", socket => this._onconnection(socket));
+  }
+
+  get url() {
+    const address = this.http.address();
+    if (!address) {
+      throw new VolaError("Server is not listening");
+    }
+    return `http://${this.host}:${address.port}`;
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port] Port (default: a random free one)
+   * @returns {string} The URL of the server
+   */
+  async listen(port = 0) {
+    await new Promise((resolve, reject) => {
+      this.http.once("error", reject);
+      this.http.listen(port, this.host, () => {
+        this.http.removeListener("error", reject);
+        resolve();
+      });
+    });
+    return this.url;
+  }
+
+  /**
+   * Stop listening and kick everybody
+   */
+  async close() {
+    this.eio.close();
+    await new Promise(resolve => this.http.close(() => resolve()));
+  }
+
+  /**
+   * Create a room
+   * @param {string} id Room id
+   * @param {object} [config] Config overrides, such as .password or .owner
+   * @returns {MockRoom}
+   */
+  addRoom(id, config) {
+    const room = new MockRoom(this, id, config);
+    this.rooms.set(id, room);
+    return room;
+  }
+
+  /**
+   * Find a room by id or alias
+   * @param {string} id
+   * @returns {MockRoom}
+   */
+  getRoom(id) {
+    const room = this.rooms.get(id);
+    if (room) {
+      return room;
+    }
+    for (const r of this.rooms.values()) {
+      if (r.alias === id) {
+        return r;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Register an account
+   * @param {string} nick
+   * @param {string} password
+   * @param {object} [roles] Such as .admin, .staff, .pro
+   */
+  addUser(nick, password, roles) {
+    this.users.set(nick.toLowerCase(), Object.assign({}, roles, {
+      nick,
+      password
+    }));
+  }
+
+  /**
+   * Pull the plug on every connected client
+   */
+  dropConnections() {
+    for (const room of this.rooms.values()) {
+      for (const client of room.clients) {
+        client.socket.close();
+      }
+    }
+  }
+
+  /**
+   * Make the next upload key request fail with a flood timeout
+   * @param {number} timeout Timeout in ms
+   */
+  blockUploads(timeout) {
+    this.uploadTimeout = timeout;
+  }
+
+  _onconnection(socket) {
+    const {searchParams: q} = new URL(socket.request.url, this.url);
+    const room = this.getRoom(q.get("room"));
+    if (!room) {
+      socket.close();
+      return;
+    }
+    const client = new MockClient(this, room, socket, q.get("nick"));
+    const {password = ""} = room.config;
+    if (password && q.get("password") !== password &&
+      q.get("key") !== room.config.key) {
+      client.send("401", "Wrong password");
+      socket.close();
+      return;
+    }
+    room.clients.add(client);
+    socket.on("message", data => client.onmessage(data));
+    socket.on("close", () => {
+      room.clients.delete(client);
+      room.send("user_count", room.clients.size);
+    });
+    socket.send(JSON.stringify({version: 1, ack: -1, session: randomId(8)}));
+    client.send("time", Date.now());
+    client.sendUserInfo();
+    client.send("subscribed", true);
+    client.send("files", {
+      set: true,
+      files: Array.from(room.files.values()).map(MockRoom.wireFile)
+    });
+    room.send("user_count", room.clients.size);
+
+    /**
+     * A client connected
+     * @event MockServer#connection
+     * @type {MockClient}
+     */
+    this.emit("connection", client);
+  }
+
+  async _onrequest(req, res) {
+    const url = new URL(req.url, this.url);
+    const q = url.searchParams;
+    const [, kind, rest = ""] = url.pathname.split(/^\/([^/]+)\/?/);
+    if (kind === "rest" && req.method === "GET") {
+      const {[`rest_${rest}`]: handler = null} = this;
+      if (!handler) {
+        this._json(res, {error: {code: NOT_FOUND, message: "No such API"}});
+        return;
+      }
+      this._json(res, handler.call(this, q));
+      return;
+    }
+    if (kind === "upload" && req.method === "POST") {
+      await this._upload(req, res, q);
+      return;
+    }
+    if (kind === "get" && req.method === "GET") {
+      this._download(req, res, rest.split("/")[0]);
+      return;
+    }
+    res.writeHead(NOT_FOUND);
+    res.end();
+  }
+
+  _json(res, data) {
+    res.writeHead(OK, {"Content-Type": "application/json"});
+    res.end(JSON.stringify(data));
+  }
+
+  rest_getRoomConfig(q) {
+    const room = this.getRoom(q.get("room"));
+    if (!room) {
+      return {error: {code: NOT_FOUND, message: "Room not found"}};
+    }
+    return room.publicConfig;
+  }
+
+  rest_login(q) {
+    const user = this.users.get((q.get("name") || "").toLowerCase());
+    if (!user || user.password !== q.get("password")) {
+      return {error: {code: ACCESS_DENIED, message: "Invalid login"}};
+    }
+    const session = randomId(16);
+    this.sessions.set(session, user.nick);
+    return {session, nick: user.nick};
+  }
+
+  rest_logout(q) {
+    this.sessions.delete(q.get("session"));
+    return {};
+  }
+
+  rest_getUserInfo(q) {
+    const nick = this.sessions.get(q.get("session"));
+    if (!nick) {
+      return {error: {code: ACCESS_DENIED, message: "Invalid session"}};
+    }
+    const {admin = false, staff = false, pro = false} =
+      this.users.get(nick.toLowerCase());
+    return {nick, admin, staff, pro};
+  }
+
+  rest_getUploadKey(q) {
+    const room = this.getRoom(q.get("room"));
+    if (!room) {
+      return {error: {code: NOT_FOUND, message: "Room not found"}};
+    }
+    if (this.uploadTimeout) {
+      const timeout = this.uploadTimeout;
+      this.uploadTimeout = 0;
+      return {error: {
+        code: TOO_FAST,
+        name: "TooFast",
+        message: "Slow down",
+        info: {timeout}
+      }};
+    }
+    const {password = ""} = room.config;
+    if (password && q.get("password") !== password &&
+      q.get("roomKey") !== room.config.key) {
+      return {error: {
+        code: ACCESS_DENIED,
+        name: "AccessDenied",
+        message: "Wrong password"
+      }};
+    }
+    const key = randomId(16);
+    const file_id = randomId();
+    this.uploads.set(key, {
+      room,
+      file_id,
+      nick: q.get("name"),
+      data: Buffer.alloc(0),
+      ended: false,
+    });
+    const {port} = this.http.address();
+    return {key, server: `${this.host}:${port}`, file_id};
+  }
+
+  rest_uploadStatus(q) {
+    const upload = this.uploads.get(q.get("key"));
+    if (!upload) {
+      return {error: {code: NOT_FOUND, message: "No such upload"}};
+    }
+    return {receivedBytes: upload.data.length, ended: upload.ended};
+  }
+
+  rest_setRoomConfig(q) {
+    const room = this.getRoom(q.get("room"));
+    if (!room) {
+      return {error: {code: NOT_FOUND, message: "Room not found"}};
+    }
+    const nick = this.sessions.get(q.get("session"));
+    const {owner, janitor, admin} = room.roles(nick);
+    if (!owner && !janitor && !admin) {
+      return {error: {code: ACCESS_DENIED, message: "Not allowed"}};
+    }
+    let config;
+    try {
+      config = JSON.parse(q.get("config"));
+    }
+    catch (ex) {
+      return {error: {code: BAD_REQUEST, message: "Invalid config"}};
+    }
+    for (const [key, value] of Object.entries(config)) {
+      room.setConfig(key, value);
+    }
+    return {};
+  }
+
+  async _upload(req, res, q) {
+    const upload = this.uploads.get(q.get("key"));
+    if (!upload || upload.ended) {
+      res.writeHead(ACCESS_DENIED);
+      res.end("Invalid upload key");
+      return;
+    }
+    const contentType = req.headers["content-type"];
+    const startAt = parseInt(q.get("startAt") || "0", 10);
+    const kept = upload.data.slice(0, startAt);
+    let body;
+    try {
+      body = await readBody(req);
+    }
+    catch (ex) {
+      // Like the real thing, keep what arrived, as reported by uploadStatus
+      upload.data = Buffer.concat([
+        kept, extractMultipart(ex.partial, contentType, true)]);
+      debug("mock: upload broke off at", upload.data.length);
+      return;
+    }
+    upload.data = Buffer.concat([kept, extractMultipart(body, contentType)]);
+    upload.ended = true;
+    const session = Array.from(this.sessions.keys()).find(
+      s => this.sessions.get(s) === upload.nick);
+    upload.room.addFile({
+      id: upload.file_id,
+      name: q.get("filename"),
+      data: upload.data,
+      uploader: upload.nick,
+      user: !!session,
+      ip: req.socket.remoteAddress,
+    });
+    res.writeHead(OK);
+    res.end("OK");
+  }
+
+  _download(req, res, id) {
+    const file = this.files.get(id);
+    if (!file || file.expires < Date.now()) {
+      res.writeHead(NOT_FOUND);
+      res.end();
+      return;
+    }
+    const {data} = file;
+    const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+    if (!range) {
+      res.writeHead(OK, {
+        "Content-Length": data.length,
+        "Accept-Ranges": "bytes",
+      });
+      res.end(data);
+      return;
+    }
+    const start = parseInt(range[1], 10);
+    const end = range[2] ? parseInt(range[2], 10) : data.length - 1;
+    if (start >= data.length || end < start) {
+      res.writeHead(RANGE_NOT_SATISFIABLE, {
+        "Content-Range": `bytes */${data.length}`,
+      });
+      res.end();
+      return;
+    }
+    const slice = data.slice(start, end + 1);
+    res.writeHead(PARTIAL, {
+      "Content-Length": slice.length,
+      "Content-Range": `bytes ${start}-${start + slice.length - 1}/${data.length}`,
+      "Accept-Ranges": "bytes",
+    });
+    res.end(slice);
+  }
+}
+
+module.exports = {MockServer, MockRoom};
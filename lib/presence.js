@@ -0,0 +1,314 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {promisify} = require("util");
+const EventEmitter = require("events");
+const {error} = require("./debug");
+const {VolaError} = require("./error");
+const {
+  writeAtomically, isFile, attachListeners, detachListeners, reportError
+} = require("./util");
+
+const readFile = promisify(fs.readFile);
+const mkdir = promisify(fs.mkdir);
+
+const MAX_IPS = 20;
+const DEFAULT_SAVE_INTERVAL = 5 * 1000;
+
+function copy(record) {
+  return record && Object.assign({}, record, {ips: record.ips.slice()});
+}
+
+/**
+ * Keeps presence records in memory, and forgets them when you quit.
+ *
+ * Stores map lowercased nicks to records. Roll your own by implementing
+ * .get(key), .set(key, record), .all() and .flush(), which may all return
+ * promises.
+ */
+class MemoryPresenceStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * @param {string} key Lowercased nick
+   * @returns {Object|null} Record
+   */
+  get(key) {
+    return this.records.get(key) || null;
+  }
+
+  /**
+   * @param {string} key Lowercased nick
+   * @param {Object} record
+   */
+  set(key, record) {
+    this.records.set(key, record);
+  }
+
+  /**
+   * @returns {Object[]} All the records
+   */
+  all() {
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Make sure everything is saved
+   */
+  flush() {
+    // Nothing to do
+  }
+}
+
+/**
+ * Keeps presence records in a JSON file.
+ * Changes are saved every once in a while, and when flushing.
+ * The file may contain IPs, so it's only readable by you.
+ */
+class JSONPresenceStore extends MemoryPresenceStore {
+  /**
+   * @param {string} file Where to keep the records
+   * @param {Object} [options]
+   * @param {number} [options.interval] Save at most this often, in ms
+   *    (default: 5 seconds)
+   */
+  constructor(file, options) {
+    if (!file) {
+      throw new VolaError("No file given");
+    }
+    super();
+    options = options || {};
+    const {interval = DEFAULT_SAVE_INTERVAL} = options;
+    this.file = file;
+    this.interval = interval;
+    this._loading = null;
+    this._timer = null;
+    this._dirty = false;
+    this._saving = Promise.resolve();
+  }
+
+  _load() {
+    if (!this._loading) {
+      this._loading = (async () => {
+        try {
+          const data = JSON.parse(await readFile(this.file, "utf-8"));
+          for (const key of Object.keys(data.users || {})) {
+            this.records.set(key, data.users[key]);
+          }
+        }
+        catch (ex) {
+          if (ex.code !== "ENOENT") {
+            throw ex;
+          }
+        }
+      })();
+    }
+    return this._loading;
+  }
+
+  async get(key) {
+    await this._load();
+    return super.get(key);
+  }
+
+  async set(key, record) {
+    await this._load();
+    super.set(key, record);
+    this._dirty = true;
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this._save().catch(ex => error("failed to save presence", ex));
+      }, this.interval);
+    }
+  }
+
+  async all() {
+    await this._load();
+    return super.all();
+  }
+
+  _save() {
+    // The timer and flush() may both be saving; one write at a time, each
+    // taking the records as they are by then, so the newest lands last
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      if (!this._dirty) {
+        return;
+      }
+      this._dirty = false;
+      const users = {};
+      for (const [key, record] of this.records) {
+        users[key] = record;
+      }
+      await mkdir(path.dirname(this.file), {recursive: true});
+      await writeAtomically(
+        this.file, JSON.stringify({users}), {mode: 0o600});
+    });
+    return this._saving;
+  }
+
+  async flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    await this._save();
+  }
+}
+
+/**
+ * Who was here, and when?
+ *
+ * Records when nicks were first and last seen chatting or uploading, how
+ * much they did of either, and their IPs (only known to privileged
+ * sessions).
+ *
+ * @example
+ * const presence = new PresenceTracker({
+ *   store: new JSONPresenceStore("presence.json"),
+ * });
+ * presence.attach(room);
+ * const rec = await presence.seen("MrRobot");
+ * if (rec) {
+ *   console.log(`Last seen ${new Date(rec.last)} in ${rec.room}`);
+ * }
+ */
+class PresenceTracker extends EventEmitter {
+  /**
+   * A new tracker, not yet attached to anything
+   * @param {Object} [options]
+   * @param {Object} [options.store] Where to keep records
+   *    (default: a MemoryPresenceStore)
+   */
+  constructor(options) {
+    super();
+    options = options || {};
+    const {store = new MemoryPresenceStore()} = options;
+    this.store = store;
+    this._attached = new Map();
+    this._pending = Promise.resolve();
+  }
+
+  /**
+   * Start tracking
+   * @param {Room|ManyRooms} target Something emitting chat and file events
+   * @returns {PresenceTracker} this
+   */
+  attach(target) {
+    attachListeners(this._attached, target, {
+      chat: message => this.record(message).catch(ex => this._failed(ex)),
+      file: (file, initial) => {
+        // The initial file list would count uploads again on every connect
+        if (!initial) {
+          this.record(file).catch(ex => this._failed(ex));
+        }
+      },
+    });
+    return this;
+  }
+
+  /**
+   * Stop tracking
+   * @param {Room|ManyRooms} target
+   */
+  detach(target) {
+    detachListeners(this._attached, target);
+  }
+
+  _failed(ex) {
+    /**
+     * The store failed
+     * @event PresenceTracker#error
+     * @type {Error}
+     */
+    reportError(this, "presence tracking failed", ex);
+  }
+
+  /**
+   * Record a message or upload
+   * @param {Message|File} target
+   * @param {number} [time] When it happened (default: now)
+   * @returns {Object} The updated record, or null if nothing was recorded
+   */
+  record(target, time) {
+    const upload = isFile(target);
+    const nick = upload ? target.uploader : target.nick;
+    if (!nick || (!upload && target.system)) {
+      return Promise.resolve(null);
+    }
+    time = time || Date.now();
+    const {room} = target;
+    const ip = room && room.privileged && target.ip;
+
+    // Updates are serialized, so they don't step on each other's toes
+    const rv = this._pending.then(async () => {
+      const key = nick.toLowerCase();
+      const record = (await this.store.get(key)) || {
+        nick,
+        first: time,
+        last: time,
+        messages: 0,
+        uploads: 0,
+        ips: [],
+        room: null,
+      };
+      record.nick = nick;
+      record.first = Math.min(record.first, time);
+      record.last = Math.max(record.last, time);
+      record[upload ? "uploads" : "messages"]++;
+      if (room) {
+        record.room = room.alias;
+      }
+      if (ip) {
+        // Most recent last
+        record.ips = record.ips.filter(i => i !== ip);
+        record.ips.push(ip);
+        record.ips = record.ips.slice(-MAX_IPS);
+      }
+      await this.store.set(key, record);
+      return copy(record);
+    });
+    this._pending = rv.catch(() => {});
+    return rv;
+  }
+
+  /**
+   * When was somebody last seen?
+   * @param {string} nick
+   * @returns {Object|null} Record with .nick, .first and .last (ms since the
+   *    epoch), .messages, .uploads, .ips and .room (last seen in)
+   */
+  async seen(nick) {
+    await this._pending;
+    return copy(await this.store.get(nick.toLowerCase()));
+  }
+
+  /**
+   * Who was around lately?
+   * @param {number|Date} time Since when
+   * @returns {Object[]} Records, most recently seen first
+   */
+  async activeSince(time) {
+    await this._pending;
+    const since = Number(time);
+    const records = await this.store.all();
+    return records.
+      filter(r => r.last >= since).
+      sort((a, b) => b.last - a.last).
+      map(copy);
+  }
+
+  /**
+   * Stop tracking everything and save what's left to save
+   */
+  async close() {
+    for (const target of Array.from(this._attached.keys())) {
+      this.detach(target);
+    }
+    await this._pending;
+    await this.store.flush();
+  }
+}
+
+module.exports = {PresenceTracker, MemoryPresenceStore, JSONPresenceStore};
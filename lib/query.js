@@ -0,0 +1,290 @@
+"use strict";
+
+const EventEmitter = require("events");
+const {VolaError} = require("./error");
+
+const SORT_KEYS = new Set([
+  "name", "type", "size", "uploaded", "expires", "uploader", "id"
+]);
+
+const PAGING = new Set(["sort", "offset", "limit"]);
+
+function matchValue(spec, value) {
+  if (Array.isArray(spec)) {
+    return spec.some(s => matchValue(s, value));
+  }
+  if (spec instanceof RegExp) {
+    // .search() does not care about lastIndex of /g regexps
+    return value !== undefined && value !== null &&
+      String(value).search(spec) !== -1;
+  }
+  if (typeof spec === "function") {
+    return !!spec(value);
+  }
+  return spec === value;
+}
+
+function matchSubstring(spec, value) {
+  if (typeof spec === "string") {
+    return !!value && value.toLowerCase().includes(spec.toLowerCase());
+  }
+  if (Array.isArray(spec)) {
+    return spec.some(s => matchSubstring(s, value));
+  }
+  return matchValue(spec, value);
+}
+
+function matchNocase(spec, value) {
+  if (typeof spec === "string") {
+    return !!value && spec.toLowerCase() === value.toLowerCase();
+  }
+  if (Array.isArray(spec)) {
+    return spec.some(s => matchNocase(s, value));
+  }
+  return matchValue(spec, value);
+}
+
+function matchRange(spec, value) {
+  if (typeof spec !== "object" || spec instanceof Date) {
+    return Number(spec) === Number(value);
+  }
+  const {min = null, max = null} = spec;
+  value = Number(value);
+  return (min === null || value >= Number(min)) &&
+    (max === null || value <= Number(max));
+}
+
+const MATCHERS = {
+  id: (spec, file) => matchValue(spec, file.id),
+  name: (spec, file) => matchSubstring(spec, file.name),
+  type: (spec, file) => matchValue(spec, file.type),
+  uploader: (spec, file) => matchNocase(spec, file.uploader),
+  fromAccount: (spec, file) => !!file.fromAccount === !!spec,
+  ip: (spec, file) => matchValue(spec, file.ip),
+  size: (spec, file) => matchRange(spec, file.size),
+  uploaded: (spec, file) => matchRange(spec, file.uploaded),
+  expires: (spec, file) => matchRange(spec, file.expires),
+  tags: (spec, file) => Object.keys(spec).every(
+    tag => matchValue(spec[tag], file.tags[tag])),
+  filter: (spec, file) => !!spec(file),
+};
+
+/**
+ * Turn a query into a predicate.
+ *
+ * Strings match exactly, except for name, which matches case-insensitive
+ * substrings, and uploader, which matches case-insensitively.
+ * RegExps and functions can be used instead of strings, and arrays match
+ * if any of their items match.
+ * Ranges are {min, max} objects (both inclusive and optional), with numbers
+ * or Dates.
+ *
+ * @param {Object} [query]
+ * @param {string|RegExp|function} [query.id]
+ * @param {string|RegExp|function} [query.name]
+ * @param {string|string[]} [query.type] image, video, audio, etc
+ * @param {string|string[]|RegExp} [query.uploader]
+ * @param {boolean} [query.fromAccount] Uploaded by a logged in user
+ * @param {string|string[]|RegExp} [query.ip] (requires mod)
+ * @param {Object} [query.size] Size range in bytes
+ * @param {Object} [query.uploaded] Upload time range
+ * @param {Object} [query.expires] Expiry time range
+ * @param {Object} [query.tags] Tag name to expected value
+ * @param {function} [query.filter] Your very own predicate
+ * @returns {function} Predicate taking a File
+ */
+function compileQuery(query) {
+  query = query || {};
+  const preds = [];
+  for (const key of Object.keys(query)) {
+    if (PAGING.has(key) || query[key] === undefined) {
+      continue;
+    }
+    const matcher = MATCHERS[key];
+    if (!matcher) {
+      throw new VolaError(`Unknown query field: ${key}`);
+    }
+    const spec = query[key];
+    preds.push(file => matcher(spec, file));
+  }
+  return file => preds.every(p => p(file));
+}
+
+/**
+ * Turn a sort spec into a comparator
+ * @param {string|function} sort Field to sort by, prefixed with a "-" for
+ *    descending order, or a comparator function
+ * @returns {function}
+ */
+function compileSort(sort) {
+  if (typeof sort === "function") {
+    return sort;
+  }
+  const desc = sort.startsWith("-");
+  const key = desc ? sort.slice(1) : sort;
+  if (!SORT_KEYS.has(key)) {
+    throw new VolaError(`Cannot sort by ${key}`);
+  }
+  const dir = desc ? -1 : 1;
+  return (a, b) => {
+    let [av, bv] = [a[key], b[key]];
+    if (typeof av === "string" || typeof bv === "string") {
+      av = (av || "").toLowerCase();
+      bv = (bv || "").toLowerCase();
+    }
+    else {
+      av = Number(av);
+      bv = Number(bv);
+    }
+    if (av < bv) {
+      return -dir;
+    }
+    if (av > bv) {
+      return dir;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Filter, sort and paginate some files
+ * @param {File[]} files
+ * @param {Object} [query] See {@link compileQuery}, plus .sort, .offset and
+ *    .limit
+ * @returns {File[]}
+ */
+function findFiles(files, query) {
+  query = query || {};
+  const {sort = null, offset = 0, limit = null} = query;
+  if (!(offset >= 0) || (limit !== null && !(limit >= 0))) {
+    throw new VolaError("Invalid pagination");
+  }
+  const pred = compileQuery(query);
+  const rv = files.filter(pred);
+  if (sort) {
+    rv.sort(compileSort(sort));
+  }
+  return rv.slice(offset, limit === null ? undefined : offset + limit);
+}
+
+/**
+ * A query that stays up to date while files come and go.
+ * Files already matching when creating the query are in .files, but do not
+ * emit match events.
+ *
+ * @property {Room} room The room being watched
+ * @property {function} predicate The compiled query
+ */
+class FileQuery extends EventEmitter {
+  /**
+   * @param {Room} room
+   * @param {Object} [query] See {@link compileQuery}, plus .sort
+   */
+  constructor(room, query) {
+    super();
+    query = query || {};
+    const {sort = null} = query;
+    this.room = room;
+    this.predicate = compileQuery(query);
+    this._sort = sort ? compileSort(sort) : null;
+    this._matches = new Map();
+    this._closed = false;
+    for (const file of room.files) {
+      if (this.predicate(file)) {
+        this._matches.set(file.id, file);
+      }
+    }
+
+    this._onfile = file => {
+      const matches = !file.expired && this.predicate(file);
+      const known = this._matches.has(file.id);
+      if (matches) {
+        this._matches.set(file.id, file);
+        if (!known) {
+          /**
+           * A file now matches the query
+           * @event FileQuery#match
+           * @type {File}
+           */
+          this.emit("match", file);
+        }
+      }
+      else if (known) {
+        this._unmatch(file.id);
+      }
+    };
+    this._ondelete = id => this._unmatch(id);
+    this._onexpired = file => this._unmatch(file.id);
+    this._onclose = () => this.close();
+    room.on("file", this._onfile);
+    room.on("delete_file", this._ondelete);
+    room.on("file_expired", this._onexpired);
+    room.on("close", this._onclose);
+  }
+
+  _unmatch(id) {
+    const file = this._matches.get(id);
+    if (!file) {
+      return;
+    }
+    this._matches.delete(id);
+    /**
+     * A file no longer matches the query, or is gone or expired
+     * @event FileQuery#unmatch
+     * @type {File}
+     */
+    this.emit("unmatch", file);
+  }
+
+  /**
+   * Currently matching files
+   * @returns {File[]}
+   */
+  get files() {
+    for (const [id, file] of this._matches) {
+      if (file.expired) {
+        this._unmatch(id);
+      }
+    }
+    const rv = Array.from(this._matches.values());
+    if (this._sort) {
+      rv.sort(this._sort);
+    }
+    return rv;
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    if (this._closed) {
+      return;
+    }
+    this._closed = true;
+    this.room.removeListener("file", this._onfile);
+    this.room.removeListener("delete_file", this._ondelete);
+    this.room.removeListener("file_expired", this._onexpired);
+    this.room.removeListener("close", this._onclose);
+    /**
+     * The query stopped watching, either by request or because the room
+     * closed
+     * @event FileQuery#close
+     */
+    this.emit("close");
+  }
+
+  toString() {
+    return `<FileQuery(${this.room.alias}, ${this._matches.size} files)>`;
+  }
+}
+
+module.exports = {
+  FileQuery,
+  compileQuery,
+  compileSort,
+  findFiles,
+  matchValue,
+  matchSubstring,
+  matchNocase,
+  matchRange,
+};
@@ -0,0 +1,153 @@
+"use strict";
+
+const {VolaError} = require("./error");
+
+const DEFAULT_RATE_LIMIT = Object.freeze({
+  rate: 3,
+  burst: 6,
+});
+
+function toRateLimit(rateLimit) {
+  if (!rateLimit) {
+    return null;
+  }
+  const o = Object.assign({}, DEFAULT_RATE_LIMIT,
+    typeof rateLimit === "object" ? rateLimit : {});
+  if (!(o.rate > 0)) {
+    throw new VolaError("Invalid rate limit rate");
+  }
+  if (!(o.burst >= 1)) {
+    throw new VolaError("Invalid rate limit burst");
+  }
+  return Object.freeze(o);
+}
+
+/**
+ * Classic token bucket
+ * @property {number} rate Tokens added per second
+ * @property {number} burst Maximum tokens in the bucket
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.last = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.burst, this.tokens + (now - this.last) * this.rate / 1000);
+    this.last = now;
+  }
+
+  /**
+   * Take a token, if there is one
+   * @returns {number} 0 if a token was taken, or ms until one is available
+   */
+  take() {
+    this._refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil((1 - this.tokens) * 1000 / this.rate);
+  }
+}
+
+/**
+ * Outgoing calls waiting for their turn
+ */
+class CallQueue {
+  /**
+   * @param {function} send Actually sends a call, returning a promise
+   * @param {Object|boolean} [rateLimit] Rate limit options, or true for
+   *    the defaults; no limit if not given
+   */
+  constructor(send, rateLimit) {
+    rateLimit = toRateLimit(rateLimit);
+    this.send = send;
+    this.bucket = rateLimit && new TokenBucket(rateLimit.rate, rateLimit.burst);
+    this.items = [];
+    this.paused = true;
+    this.sending = false;
+    this.timer = null;
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  /**
+   * Queue a call
+   * @param {string} fn
+   * @param {Array} args
+   * @returns {Promise} Settles when the call was sent (or dropped)
+   */
+  push(fn, args) {
+    let item;
+    const promise = new Promise((resolve, reject) => {
+      item = {fn, args, resolve, reject};
+    });
+    promise.catch(() => {});
+    this.items.push(item);
+    this._pump();
+    return promise;
+  }
+
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  resume() {
+    this.paused = false;
+    this._pump();
+  }
+
+  /**
+   * Drop everything still waiting
+   * @param {Error} reason Rejection reason for the pending calls
+   */
+  clear(reason) {
+    this.pause();
+    const {items} = this;
+    this.items = [];
+    for (const item of items) {
+      item.reject(reason);
+    }
+  }
+
+  async _pump() {
+    if (this.sending || this.timer) {
+      return;
+    }
+    this.sending = true;
+    try {
+      while (!this.paused && this.items.length) {
+        const wait = this.bucket ? this.bucket.take() : 0;
+        if (wait) {
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this._pump();
+          }, wait);
+          return;
+        }
+        const item = this.items.shift();
+        try {
+          item.resolve(await this.send(item.fn, item.args));
+        }
+        catch (ex) {
+          item.reject(ex);
+        }
+      }
+    }
+    finally {
+      this.sending = false;
+    }
+  }
+}
+
+module.exports = {CallQueue, TokenBucket};
@@ -0,0 +1,235 @@
+"use strict";
+
+const {URL} = require("url");
+const {DEFAULT_SITE} = require("./util");
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;",
+};
+
+const ANSI = {
+  reset: "\x1b[0m",
+  bold: "\x1b[1m",
+  dim: "\x1b[2m",
+  underline: "\x1b[4m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  magenta: "\x1b[35m",
+  cyan: "\x1b[36m",
+};
+
+// eslint-disable-next-line no-control-regex
+const CONTROL = /[\x00-\x1f\x7f-\x9f]/g;
+
+function escapeHTML(str) {
+  return String(str).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+function escapeMarkdown(str) {
+  return String(str).replace(/[\\`*_{}[\]()<>#|~!]/g, "\\$&");
+}
+
+function escapeControl(str) {
+  // Chat should not get to mess with your terminal
+  return String(str).replace(CONTROL, "");
+}
+
+function originOf(message, options) {
+  if (options.origin) {
+    return options.origin.replace(/\/+$/, "");
+  }
+  const {room} = message;
+  if (room && room.origin) {
+    return room.origin;
+  }
+  const {config = {}} = room || {};
+  return `https://${config.site || DEFAULT_SITE}`;
+}
+
+/**
+ * Where a part links to, if anywhere. Only http(s) links are considered,
+ * so nobody gets to sneak javascript: URLs into your page.
+ * @param {Object} part Message part
+ * @param {Object} message Message the part belongs to
+ * @param {string} origin Site origin
+ * @returns {string|null}
+ */
+function linkOf(part, message, origin) {
+  let href;
+  switch (part.type) {
+  case "file": {
+    const file = message.room && message.room.getFile ?
+      message.room.getFile(part.id) :
+      null;
+    if (file) {
+      href = file.url;
+      break;
+    }
+    const name = encodeURIComponent(part.name || "");
+    href = `${origin}/get/${encodeURIComponent(part.id)}/${name}`;
+    break;
+  }
+
+  case "room":
+    href = `${origin}/r/${encodeURIComponent(part.id)}`;
+    break;
+
+  case "url":
+    ({href} = part);
+    break;
+
+  default:
+    return null;
+  }
+  try {
+    const url = new URL(href, `${origin}/`);
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return null;
+    }
+    return url.toString();
+  }
+  catch (ex) {
+    return null;
+  }
+}
+
+/**
+ * Render a message as an HTML fragment. Files and rooms become links into
+ * the site, urls become links, unknown parts are kept as spans.
+ * @param {Message} message
+ * @param {Object} [options]
+ * @param {string} [options.origin] Site to link to (default: the room's)
+ * @returns {string}
+ */
+function toHTML(message, options) {
+  options = options || {};
+  const origin = originOf(message, options);
+  return message.parts.map(part => {
+    const text = escapeHTML(part.text);
+    const href = linkOf(part, message, origin);
+    switch (part.type) {
+    case "text":
+      return text;
+
+    case "raw":
+      return text;
+
+    case "break":
+      return "<br>";
+
+    case "file": {
+      const title = part.name ? ` title="${escapeHTML(part.name)}"` : "";
+      return href ?
+        `<a class="file" href="${escapeHTML(href)}"${title}>${text}</a>` :
+        `<span class="file"${title}>${text}</span>`;
+    }
+
+    case "room":
+      return href ?
+        `<a class="room" href="${escapeHTML(href)}">${text}</a>` :
+        `<span class="room">${text}</span>`;
+
+    case "url":
+      return href ?
+        `<a class="url" href="${escapeHTML(href)}" rel="nofollow noopener noreferrer">${text}</a>` :
+        text;
+
+    default:
+      return `<span class="unknown" data-type="${escapeHTML(part.type)}">${text}</span>`;
+    }
+  }).join("");
+}
+
+/**
+ * Render a message as Markdown
+ * @param {Message} message
+ * @param {Object} [options]
+ * @param {string} [options.origin] Site to link to (default: the room's)
+ * @returns {string}
+ */
+function toMarkdown(message, options) {
+  options = options || {};
+  const origin = originOf(message, options);
+  return message.parts.map(part => {
+    const text = escapeMarkdown(part.text);
+    switch (part.type) {
+    case "text":
+      return text;
+
+    case "raw":
+      return text;
+
+    case "break":
+      return "  \n";
+
+    default: {
+      const href = linkOf(part, message, origin);
+      // Parens would end the link target early
+      return href ?
+        `[${text}](${href.replace(/\(/g, "%28").replace(/\)/g, "%29")})` :
+        text;
+    }
+    }
+  }).join("");
+}
+
+/**
+ * Render a message for terminals, with colors
+ * @param {Message} message
+ * @param {Object} [options]
+ * @param {string} [options.origin] Site to link to (default: the room's)
+ * @param {boolean} [options.color] Use colors (default: true)
+ * @returns {string}
+ */
+function toANSI(message, options) {
+  options = options || {};
+  const {color = true} = options;
+  const origin = originOf(message, options);
+  const paint = (codes, text) => {
+    return color ? `${codes}${text}${ANSI.reset}` : text;
+  };
+  return message.parts.map(part => {
+    const text = escapeControl(part.text);
+    switch (part.type) {
+    case "text":
+      return text;
+
+    case "raw":
+      return text;
+
+    case "break":
+      return "\n";
+
+    case "file":
+      return paint(ANSI.cyan + ANSI.bold, text);
+
+    case "room":
+      return paint(ANSI.magenta + ANSI.bold, text);
+
+    case "url": {
+      const href = linkOf(part, message, origin);
+      const link = paint(ANSI.blue + ANSI.underline, text);
+      if (!href || href === part.text) {
+        return link;
+      }
+      return `${link} ${paint(ANSI.dim, `<${href}>`)}`;
+    }
+
+    default:
+      return paint(
+        ANSI.yellow, `[${escapeControl(part.type)}: ${text}]`);
+    }
+  }).join("");
+}
+
+module.exports = {
+  toHTML,
+  toMarkdown,
+  toANSI,
+  escapeHTML,
+  escapeMarkdown,
+};
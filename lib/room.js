@@ -5,27 +5,49 @@ const {promisify} = require("util");
 const crypto = require("crypto");
 const path = require("path");
 const EventEmitter = require("events");
-const {URLSearchParams} = require("url");
+const {URL, URLSearchParams} = require("url");
 const EIO = require("engine.io-client");
 const FormData = require("form-data");
 const fetch = require("node-fetch");
 const {File} = require("./file");
-const {parseId, deadline, sleep, verifyNick} = require("./util");
+const {parseId, deadline, sleep, verifyNick, toServer} = require("./util");
+const {toEndpoints, onSite} = require("./util");
+const {Limiter, walkFiles, abortController} = require("./util");
+const {SkipTransform, LimitTransform, WatchdogTransform} = require("./util");
 const {ProgressTransform, TeeTransform} = require("./util");
 const {debug} = require("./debug");
 const {VolaPrivilegeError, VolaError} = require("./error");
-const {CookieJar} = require("./cookiejar");
+const {Session} = require("./session");
+const {CookieJar, fetchWithCookies} = require("./cookiejar");
+const {toAgent} = require("./proxy");
 const {Handler} = require("./handler");
 const {Message} = require("./message");
+const {CallQueue} = require("./queue");
+const {EventIterator} = require("./iterator");
+const {MessageBuilder} = require("./compose");
+const {FileQuery, findFiles} = require("./query");
 
-const DEFAULT_SITE = "volafile.org";
 const HEADERS = {
   "User-Agent": "node-volapi/1.0",
 };
+const stat = promisify(fs.stat);
+
 const OK = 200;
+const PARTIAL = 206;
 const ACCESS_DENIED = 403;
 
 const FILES = Symbol("FILES");
+const EXPIRY = Symbol("EXPIRY");
+// setTimeout cannot wait any longer than this
+const MAX_TIMER = 0x7fffffff;
+const DEFAULT_EXPIRY_WARNING = 5 * 60 * 1000;
+const DEFAULT_RECONNECT = Object.freeze({
+  retries: Infinity,
+  delay: 1000,
+  maxDelay: 60 * 1000,
+  factor: 2,
+  jitter: 0.5,
+});
 const DEFAULT_CONFIG = Object.freeze({
   janitors: [],
   disabled: false,
@@ -78,6 +100,116 @@ function toBanSpec(spec) {
   return spec;
 }
 
+function toReconnectOptions(reconnect) {
+  if (!reconnect) {
+    return null;
+  }
+  const o = Object.assign({}, DEFAULT_RECONNECT,
+    typeof reconnect === "object" ? reconnect : {});
+  if (!(o.retries >= 0)) {
+    throw new VolaError("Invalid reconnect retries");
+  }
+  if (!(o.delay > 0) || !(o.maxDelay >= o.delay) || !(o.factor >= 1)) {
+    throw new VolaError("Invalid reconnect delays");
+  }
+  if (!(o.jitter >= 0 && o.jitter <= 1)) {
+    throw new VolaError("Invalid reconnect jitter");
+  }
+  return Object.freeze(o);
+}
+
+/**
+ * Open a file for uploading
+ * @param {string} file
+ * @param {number} [highWaterMark]
+ * @param {number} [start] Offset to start reading at
+ * @returns {fs.ReadStream} Once open, so that files that cannot be read fail
+ *    right here instead of emitting errors nobody listens to yet
+ */
+function openFile(file, highWaterMark, start) {
+  return new Promise((resolve, reject) => {
+    const options = {encoding: null, start};
+    if (highWaterMark) {
+      options.highWaterMark = highWaterMark;
+    }
+    const stream = fs.createReadStream(file, options);
+    stream.once("error", reject);
+    stream.once("open", () => {
+      stream.removeListener("error", reject);
+      resolve(stream);
+    });
+  });
+}
+
+async function uploadSize(upload) {
+  const {stream = null, file = null} = upload;
+  if (typeof stream === "string") {
+    return Buffer.byteLength(stream);
+  }
+  if (Buffer.isBuffer(stream)) {
+    return stream.length;
+  }
+  if (!stream && file) {
+    return (await stat(file)).size;
+  }
+  return 0;
+}
+
+function nameFromResponse(resp, url) {
+  const disposition = resp.headers.get("content-disposition") || "";
+  let m = /filename\*\s*=\s*(?:[\w-]+'[^']*')?([^;]+)/i.exec(disposition);
+  let name = null;
+  if (m) {
+    try {
+      name = decodeURIComponent(m[1].trim().replace(/^"|"$/g, ""));
+    }
+    catch (ex) {
+      // ignored
+    }
+  }
+  if (!name) {
+    m = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(disposition);
+    if (m) {
+      name = (m[1] || m[2]).trim();
+    }
+  }
+  if (!name) {
+    try {
+      name = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+    }
+    catch (ex) {
+      // ignored
+    }
+  }
+  name = path.basename((name || "").replace(/\\/g, "/"));
+  return name || "upload";
+}
+
+function toDelay(ms) {
+  return Math.max(0, Math.min(ms, MAX_TIMER));
+}
+
+function expiryTimer(fn, ms) {
+  // Files going dodo some day is no reason to keep the process alive
+  return setTimeout(fn, toDelay(ms)).unref();
+}
+
+function endpointsOf(options, account) {
+  const {server = null, site = null, endpoints = null} = options;
+  if (server || site || endpoints || !account) {
+    return toEndpoints(options);
+  }
+  // Same place the session talks to then
+  return account.endpoints;
+}
+
+function toFileEvent(event, args) {
+  if (event === "file") {
+    return {type: event, file: args[0], initial: !!args[1]};
+  }
+  return {type: event, id: args[0]};
+}
+
 /**
  * Yay, we vola
  *
@@ -89,6 +221,9 @@ function toBanSpec(spec) {
  * @property {boolean} janitor Maintenance personnel
  * @property {boolean} staff (((Trusted))) you are
  * @property {File[]} files Current set of files in here
+ * @property {Session} account Login session, maybe shared with other rooms
+ * @property {Object} endpoints Where the site, REST API, websocket and
+ *    assets live, see {@link toEndpoints}
  * @property {string} alias Room alias (custom name); might be same as .id
  * @property {string} id Room id
  * @property {string} motd MOTD
@@ -104,41 +239,101 @@ class Room extends EventEmitter {
    * @param {Object} [options] Room options
    * @param {string} [options.password] Room password
    * @param {string} [options.key] Room key (aka session password)
-   * @param {Room} [options.other] Other room (to take login info from)
+   * @param {Session} [options.session] Session to use, shared with whatever
+   *    other rooms use it too
+   * @param {Room} [options.other] Other room (to take the session from)
+   * @param {boolean|Object} [options.reconnect] Reconnect automatically when
+   *    an established connection drops, instead of closing the room
+   * @param {number} [options.reconnect.retries] Give up after this many
+   *    failed attempts in a row (default: never)
+   * @param {number} [options.reconnect.delay] Initial delay in ms
+   * @param {number} [options.reconnect.maxDelay] Maximum delay in ms
+   * @param {number} [options.reconnect.factor] Backoff factor
+   * @param {number} [options.reconnect.jitter] Shorten delays randomly by up
+   *    to this fraction (0-1)
+   * @param {boolean|Object} [options.rateLimit] Pace outgoing calls, so the
+   *    flood protection won't kick you out; true for 3 calls a second in
+   *    bursts of up to 6. Not paced by default
+   * @param {number} [options.rateLimit.rate] Calls per second
+   * @param {number} [options.rateLimit.burst] Calls that may go out at once
+   * @param {string} [options.server] Talk to this server (e.g.
+   *    http://localhost:8080) instead of the real site. Mostly useful for
+   *    testing against a {@link MockServer}
+   * @param {string} [options.site] Other site, as host name (volafile.io)
+   *    or base URL (default: volafile.org, or whatever the session uses)
+   * @param {Object} [options.endpoints] Base URLs of the .rest API, the
+   *    .websocket and the .assets host, when not where the site is
+   * @param {number} [options.expiryWarning] Emit file_expiring this many ms
+   *    before a file expires (default: 5 minutes); 0 to disable
+   * @param {string|Object} [options.proxy] Go through this proxy
+   *    (http://, socks5:// or socks5h://, with credentials in the URL if
+   *    need be), or {url, bypass} with a list of hosts to reach directly.
+   *    Applies to REST calls, uploads, downloads and the websocket
+   *    (default: whatever the session uses)
+   * @param {http.Agent|function} [options.agent] Or bring your own agent,
+   *    or function taking a URL and returning one
    */
   constructor(id, nick, options) {
     options = options || {};
-    const {password = "", key = "", other = null} = options;
-    id = parseId(id);
+    const {password = "", key = "", other = null, session = null} = options;
+    const {expiryWarning = DEFAULT_EXPIRY_WARNING} = options;
+    const reconnect = toReconnectOptions(options.reconnect);
+    const server = toServer(options.server);
+    const agent = toAgent(options);
+    const endpoints = endpointsOf(
+      options, session || (other && other.account));
+    id = parseId(id, [endpoints.origin]);
     if (!id) {
       throw new VolaError("No room id provided");
     }
     super();
 
-    this.config = {site: DEFAULT_SITE, loaded: false};
+    this.endpoints = endpoints;
+    this.config = {site: endpoints.site, loaded: false};
+    this.server = server;
     gettable(this, "password");
     gettable(this, "key");
 
     this.alias = this.id = id;
-    this.nick = (other && other.nick) || nick;
+    this.account = session || (other && other.account) ||
+      new Session(nick, {
+        server,
+        site: options.site,
+        endpoints: options.endpoints,
+        agent,
+      });
+    this.agent = agent || this.account.agent;
+    this.nick = (other && other.nick) ||
+      (this.account.loggedIn && this.account.nick) ||
+      nick || this.account.nick;
     verifyNick(this.nick);
+    this.session = this.account.session;
     this.time_delta = 0;
     this._uploadCount = 0;
+    this._uploadBlockedUntil = 0;
     this.password = password;
     this.key = key;
 
     this.ack = this.sack = this.last_sack = -1;
     this.users = 0;
     this[FILES] = new Map();
-    this.headers = Object.assign({}, (other && other.headers || HEADERS));
-    if (!this.headers.Cookie) {
-      this.headers.Cookie = new CookieJar("allow-download=1");
-    }
+    this[EXPIRY] = new Map();
+    this.expiryWarning = expiryWarning;
+    // The cookie jar is shared, so cookies stay in sync
+    this.headers = Object.assign({}, this.account.headers);
     this.userInfo = {};
     this.janitor = this.owner = this.admin = this.connected = false;
     this.handler = new Handler(this);
     this.closed = false;
     this._closing = null;
+    this._reconnect = reconnect;
+    this._reconnecting = false;
+    this._reconnectWake = null;
+    this._everConnected = false;
+    this._shutdown = false;
+    this._connecting = false;
+    this.queue = new CallQueue(
+      (fn, args) => this.sendCall(fn, args), options.rateLimit);
 
     const {Message: MessageCtor = Message} = options;
     this.Message = MessageCtor || Message;
@@ -146,22 +341,40 @@ class Room extends EventEmitter {
     const {File: FileCtor = File} = options;
     this.File = FileCtor || File;
 
+    this._onsession = (session, nick) => {
+      this.session = session;
+      this.nick = nick;
+      if (this.connected) {
+        this.call("useSession", session).
+          catch(ex => debug("failed to use session", ex));
+      }
+    };
+    this.account.on("session", this._onsession);
+
     this.on("file", file => {
       this[FILES].set(file.id, file);
+      this._scheduleExpiry(file);
     });
     this.on("delete_file", fid => {
-      let file = this[FILES].get(fid);
+      const file = this[FILES].get(fid);
       if (file) {
         file.removed = true;
         this[FILES].delete(fid);
       }
+      this._unscheduleExpiry(fid);
     });
   }
 
+  /**
+   * Scheme and host this room talks to
+   * @returns {string}
+   */
+  get origin() {
+    return this.endpoints.origin;
+  }
+
   get url() {
-    const {config = {}} = this;
-    const {site = "volafile.org"} = config;
-    return `https://${site}/r/${this.alias}`;
+    return `${this.origin}/r/${this.alias}`;
   }
 
   get files() {
@@ -180,20 +393,8 @@ class Room extends EventEmitter {
    */
   async login(password) {
     await this.ensureConfig();
-    const resp = await this.callREST("login", {
-      name: this.nick,
-      password
-    });
-    if (resp.error) {
-      throw new VolaError(`Failed to log in: ${resp.error.message || resp.error}`);
-    }
-    this.session = resp.session;
-    this.headers.Cookie.set("session", this.session);
-    debug(this.headers);
-    this.nick = resp.nick;
-    if (this.connected) {
-      this.call("useSession", this.session);
-    }
+    // Rooms sharing the session get the news by way of the session event
+    await this.account.login(password, this.nick);
   }
 
   changeNick(nick) {
@@ -205,6 +406,23 @@ class Room extends EventEmitter {
    * Without this life is boring!
    */
   async connect() {
+    this._connecting = true;
+    try {
+      await this._connect();
+    }
+    catch (ex) {
+      if (!this._reconnecting) {
+        // Nobody is going to send what was queued while connecting
+        this.queue.clear(new VolaError("Room failed to connect"));
+      }
+      throw ex;
+    }
+    finally {
+      this._connecting = false;
+    }
+  }
+
+  async _connect() {
     for (let attempt = 1; ; ++attempt) {
       let resolve;
       let reject;
@@ -213,10 +431,12 @@ class Room extends EventEmitter {
         reject = rej;
         this.prependOnceListener("connected", resolve);
         this.prependOnceListener("error", reject);
+        this.prependOnceListener("disconnected", reject);
       });
       try {
         await this.openConnection();
         await messageWaiter;
+        this._everConnected = true;
         return;
       }
       catch (ex) {
@@ -229,12 +449,19 @@ class Room extends EventEmitter {
       finally {
         this.removeListener("connected", resolve);
         this.removeListener("error", reject);
+        this.removeListener("disconnected", reject);
       }
     }
   }
 
   async openConnection() {
+    if (this._shutdown) {
+      throw new VolaError("Room is closed");
+    }
     await this.ensureConfig();
+    if (this._shutdown) {
+      throw new VolaError("Room is closed");
+    }
     this.id = this.config.room_id;
     debug(this.config);
     const params = new URLSearchParams({
@@ -249,28 +476,42 @@ class Room extends EventEmitter {
     else if (this.key) {
       params.append("key", this.key);
     }
-    const url = `wss://${this.config.site}/api/?${params}`;
+    const {websocket} = this.endpoints;
+    const url = `${websocket}/?${params}`;
     const extraHeaders = Object.assign({
-      Origin: `https://${this.config.site}`,
+      Origin: this.origin,
       Referer: this.url,
     }, this.headers);
+    if (extraHeaders.Cookie instanceof CookieJar) {
+      extraHeaders.Cookie = extraHeaders.Cookie.header(url);
+    }
     debug(url);
+    if (this.eio) {
+      // Stale socket of a previous connection
+      this.eio.removeAllListeners();
+    }
     await new Promise((resolve, reject) => {
       this.closed = false;
-      this.eio = new EIO(url, {
-        path: "/api",
+      const eio = this.eio = new EIO(url, {
+        path: new URL(websocket).pathname,
         extraHeaders,
         transports: ["websocket"],
+        agent: this.agent ? this.agent(url) : false,
       });
-      this.eio.on("ping", async () => {
+      eio.on("ping", async () => {
         try {
           this.sendAck();
           await Promise.race([
             deadline(20 * 1000),
-            new Promise(resolve => this.eio.once("pong", resolve)),
+            new Promise(resolve => eio.once("pong", resolve)),
           ]);
         }
         catch (ex) {
+          if (this._shouldReconnect()) {
+            debug("ping timeout, dropping connection", ex);
+            eio.close();
+            return;
+          }
           this.emit("error", ex);
           try {
             await this.close();
@@ -280,12 +521,17 @@ class Room extends EventEmitter {
           }
         }
       });
-      this.eio.on("open", () => {
+      eio.on("open", () => {
         if (this.closed) {
           return;
         }
-        this.eio.on("error", data => {
+        eio.on("error", data => {
           this.closed = true;
+          if (this._shouldReconnect()) {
+            // A close event follows, which will take care of reconnecting
+            debug("connection error", data);
+            return;
+          }
 
           /**
            * This Room is rekt
@@ -294,9 +540,28 @@ class Room extends EventEmitter {
            */
           this.emit("error", data);
           this.removeAllListeners();
+          this.queue.clear(new VolaError("Room closed"));
+          this._release();
         });
-        this.eio.on("close", data => {
+        eio.on("close", data => {
           this.closed = true;
+          this.connected = false;
+          this.queue.pause();
+          if (this._shouldReconnect()) {
+            const start = !this._reconnecting;
+            this._reconnecting = true;
+
+            /**
+             * Connection dropped, but the Room will try to reconnect
+             * @event Room#disconnected
+             * @type {object} Close data per socket
+             */
+            this.emit("disconnected", data);
+            if (start) {
+              this._reconnectLoop().catch(console.error);
+            }
+            return;
+          }
 
           /**
          * This Room is no mo
@@ -305,6 +570,9 @@ class Room extends EventEmitter {
          */
           this.emit("close", data);
           this.removeAllListeners();
+          this.queue.clear(new VolaError("Room closed"));
+          this._clearExpiry();
+          this._release();
           reject(data);
         });
 
@@ -315,23 +583,112 @@ class Room extends EventEmitter {
         this.emit("open");
         resolve();
       });
-      this.eio.on("message", data => {
+      eio.on("message", data => {
         if (this.closed) {
           return;
         }
         this.handler.onmessage(data);
       });
-      this.eio.once("close", data => {
+      eio.once("close", data => {
         this.closed = true;
         reject(data);
       });
-      this.eio.once("error", data => {
+      eio.once("error", data => {
         this.closed = true;
         reject(data);
       });
     });
   }
 
+  _shouldReconnect() {
+    return !!this._reconnect && this._everConnected && !this._shutdown;
+  }
+
+  _reconnectDelay(attempt) {
+    const {delay, maxDelay, factor, jitter} = this._reconnect;
+    const base = Math.min(maxDelay, delay * Math.pow(factor, attempt - 1));
+    return Math.round(base * (1 - jitter * Math.random()));
+  }
+
+  async _reconnectLoop() {
+    this._reconnecting = true;
+    let reason = null;
+    try {
+      for (let attempt = 1; attempt <= this._reconnect.retries; ++attempt) {
+        const delay = this._reconnectDelay(attempt);
+
+        /**
+         * The Room will try to reconnect after a delay
+         * @event Room#reconnecting
+         * @type {number} Attempt number
+         * @type {number} Delay in ms before the attempt is made
+         */
+        this.emit("reconnecting", attempt, delay);
+        await new Promise(resolve => {
+          const tid = setTimeout(resolve, delay);
+          this._reconnectWake = () => {
+            clearTimeout(tid);
+            resolve();
+          };
+        });
+        this._reconnectWake = null;
+        if (this._shutdown) {
+          break;
+        }
+
+        // The server starts counting from scratch on a new connection.
+        // useSession will be sent again when the connection is established.
+        this.ack = this.sack = this.last_sack = -1;
+        const stale = new Set(this[FILES].keys());
+        const seen = file => stale.delete(file.id);
+        this.on("file", seen);
+        try {
+          await this.connect();
+        }
+        catch (ex) {
+          debug("reconnect attempt failed", attempt, ex);
+          reason = ex;
+          if (this._shutdown) {
+            break;
+          }
+          continue;
+        }
+        finally {
+          this.removeListener("file", seen);
+        }
+        if (this._shutdown) {
+          // Closed while connecting, so do not keep the new connection either
+          await this.close();
+          break;
+        }
+
+        // The new file list arrives together with the connected event,
+        // so anything not announced again is gone by now.
+        for (const fid of stale) {
+          this.emit("delete_file", fid);
+        }
+
+        /**
+         * The Room is connected again
+         * @event Room#reconnected
+         * @type {number} Number of attempts it took
+         */
+        this.emit("reconnected", attempt);
+        return;
+      }
+    }
+    finally {
+      this._reconnecting = false;
+      this._reconnectWake = null;
+    }
+    this.closed = true;
+    this.emit("close", reason);
+    this.removeAllListeners();
+    this.queue.clear(new VolaError("Room closed"));
+    this._clearExpiry();
+    this._release();
+  }
+
   /**
    * Run until this room somehow closes.
    * @returns {reason}
@@ -349,6 +706,13 @@ class Room extends EventEmitter {
    */
   async close() {
     this.closed = true;
+    this._shutdown = true;
+    this.queue.clear(new VolaError("Room closed"));
+    this._clearExpiry();
+    this._release();
+    if (this._reconnectWake) {
+      this._reconnectWake();
+    }
     if (!this.eio) {
       return;
     }
@@ -367,18 +731,30 @@ class Room extends EventEmitter {
     if (!this.eio) {
       return;
     }
-    await this.sendClose();
+    if (this.connected) {
+      await this.sendClose();
+    }
     this.eio.close();
     delete this.eio;
   }
 
   /**
    * Say something profound!
-   * @param {string} msg MUST BE PROFOUND!
+   * @param {string|MessageBuilder} msg MUST BE PROFOUND! Composed messages
+   *    get split if they are too long
    * @param {object} [options] Such as .me and .admin
+   * @returns {Promise} Settles once the message was actually sent
    * @throws {VolaError}
    */
   chat(msg, options = {}) {
+    if (msg instanceof MessageBuilder) {
+      const chunks = msg.split();
+      if (!chunks.length) {
+        throw new VolaError("Empty message");
+      }
+      return Promise.all(chunks.map(c => this.chat(c, options))).
+        then(() => {});
+    }
     if (typeof (msg) !== "string") {
       throw new VolaError("Not a string message");
     }
@@ -393,14 +769,21 @@ class Room extends EventEmitter {
       if (!this.admin && !this.staff) {
         throw new VolaError("Cannot /achat");
       }
-      this.call("command", this.nick, "a", msg);
-    }
-    else if (me) {
-      this.call("command", this.nick, "me", msg);
+      return this.call("command", this.nick, "a", msg);
     }
-    else {
-      this.call("chat", this.nick, msg);
+    if (me) {
+      return this.call("command", this.nick, "me", msg);
     }
+    return this.call("chat", this.nick, msg);
+  }
+
+  /**
+   * Compose a message, mentioning files and rooms
+   * @param {...(string|File|Room)} items Initial message contents
+   * @returns {MessageBuilder}
+   */
+  compose(...items) {
+    return new MessageBuilder(this).add(...items);
   }
 
   /**
@@ -435,17 +818,95 @@ class Room extends EventEmitter {
     ]);
   }
 
+  /**
+   * Find files by uploader, name, type, size, age, tags and whatnot.
+   * @example
+   * // The ten biggest videos MrRobot uploaded in the last hour
+   * room.findFiles({
+   *   uploader: "MrRobot",
+   *   type: "video",
+   *   uploaded: {min: Date.now() - 60 * 60 * 1000},
+   *   sort: "-size",
+   *   limit: 10,
+   * });
+   * @param {Object} [query] See {@link compileQuery}
+   * @param {string|function} [query.sort] Field to sort by, "-" prefixed for
+   *    descending order, or a comparator
+   * @param {number} [query.offset] Skip this many files
+   * @param {number} [query.limit] Return at most this many files
+   * @returns {File[]}
+   */
+  findFiles(query) {
+    return findFiles(this.files, query);
+  }
+
+  /**
+   * Keep a query running, emitting match/unmatch as files come and go.
+   * @param {Object} [query] See {@link compileQuery}, plus .sort
+   * @returns {FileQuery} Don't forget to .close() it when done
+   */
+  watchFiles(query) {
+    return new FileQuery(this, query);
+  }
+
+  /**
+   * Iterate over an event (or some events) of this room, asynchronously.
+   * Events are buffered until consumed. Finishes when the room closes, or
+   * throws when the room errors out.
+   * @example
+   * for await (const count of room.iterate("users")) {
+   *   console.log("users", count);
+   * }
+   * @param {string|string[]} event Event name(s)
+   * @param {Object} [options]
+   * @param {function} [options.filter] Only yield what this returns true for
+   * @param {AbortSignal} [options.signal] Stop iterating when aborted
+   * @param {number} [options.limit] Buffer at most this many events
+   *    (default: 1000)
+   * @param {string} [options.overflow] Either "drop" the oldest buffered
+   *    events when over the limit (default), or "error" out
+   * @returns {EventIterator} Yielding the first argument of each event
+   */
+  iterate(event, options) {
+    return new EventIterator(
+      [this], Array.isArray(event) ? event : [event], options);
+  }
+
+  /**
+   * Iterate over chat messages
+   * @param {Object} [options] See {@link Room#iterate}
+   * @returns {EventIterator} Yielding {@link Message}s
+   */
+  messages(options) {
+    return this.iterate("chat", options);
+  }
+
+  /**
+   * Iterate over new and deleted files
+   * @param {Object} [options] See {@link Room#iterate}
+   * @returns {EventIterator} Yielding {type: "file", file, initial} and
+   *    {type: "delete_file", id} objects
+   */
+  fileEvents(options) {
+    options = Object.assign({}, options, {
+      map: (room, event, args) => toFileEvent(event, args)
+    });
+    return new EventIterator([this], ["file", "delete_file"], options);
+  }
+
   /**
    * Report a room
    * @param {string} reason
+   * @returns {Promise} Settles once the call was actually sent
    */
   report(reason) {
-    this.call("submitReport", {reason});
+    return this.call("submitReport", {reason});
   }
 
   /**
    * Cleaning the flow
    * @param {string[]} ids
+   * @returns {Promise} Settles once the call was actually sent
    * @throws {VolaPrivilegeError}
    */
   deleteFiles(ids) {
@@ -455,12 +916,13 @@ class Room extends EventEmitter {
     if (!Array.isArray(ids)) {
       ids = [ids];
     }
-    this.call("deleteFiles", ids);
+    return this.call("deleteFiles", ids);
   }
 
   /**
    * Everybody should upload THIS!
    * @param {string[]} ids
+   * @returns {Promise} Settles once the call was actually sent
    * @throws {VolaPrivilegeError}
    */
   whitelistFiles(ids) {
@@ -470,12 +932,13 @@ class Room extends EventEmitter {
     if (!Array.isArray(ids)) {
       ids = [ids];
     }
-    this.call("whitelistFiles", ids);
+    return this.call("whitelistFiles", ids);
   }
 
   /**
    * Remove messages
    * @param {string[]} ids
+   * @returns {Promise} Settles once the call was actually sent
    */
   removeMessages(ids) {
     if (!this.admin) {
@@ -484,13 +947,14 @@ class Room extends EventEmitter {
     if (!Array.isArray(ids)) {
       ids = [ids];
     }
-    this.call("removeMessages", ids);
+    return this.call("removeMessages", ids);
   }
 
   /**
    * Nobody should upload THIS!
    * @param {string[]} ids
    * @param {object} [options]
+   * @returns {Promise} Settles once the call was actually sent
    * @throws{VolaPrivilegeError}
    */
   blacklistFiles(ids, options) {
@@ -509,13 +973,14 @@ class Room extends EventEmitter {
     if (!Array.isArray(ids)) {
       ids = [ids];
     }
-    this.call("blacklistFiles", ids, options);
+    return this.call("blacklistFiles", ids, options);
   }
 
   /**
    * Ban some moron
    * @param {object} spec
    * @param {object} [options]
+   * @returns {Promise} Settles once the call was actually sent
    * @throws {VolaPrivilegeError}
    * @throws {VolaError}
    */
@@ -537,13 +1002,14 @@ class Room extends EventEmitter {
     if (!o.ban && !o.hellban && !o.mute && !o.purgeFiles) {
       throw new VolaError("You gotta do something to a moron");
     }
-    this.call("banUser", spec, o);
+    return this.call("banUser", spec, o);
   }
 
   /**
    * Unban some moron
    * @param {Object} spec
    * @param {object} [options]
+   * @returns {Promise} Settles once the call was actually sent
    * @throws {VolaPrivilegeError}
    * @throws {VolaError}
    */
@@ -561,7 +1027,7 @@ class Room extends EventEmitter {
     if (!o.ban && !o.hellban && !o.mute && !o.timeout) {
       throw new VolaError("You gotta do something to a moron");
     }
-    this.call("unbanUser", spec, o);
+    return this.call("unbanUser", spec, o);
   }
 
   async setConfig(key, value) {
@@ -657,19 +1123,8 @@ class Room extends EventEmitter {
     options = options || {};
     let {name = null, stream = null} = options;
     const {file = null, progress = null, highWaterMark = 0} = options;
-    if (!stream) {
-      if (!file) {
-        throw new VolaError("Need to provide a .stream or a .file");
-      }
-      stream = fs.createReadStream(file, highWaterMark ? {
-        encoding: null,
-        highWaterMark
-      } : {
-        encoding: null,
-      });
-    }
-    else if (typeof stream === "string") {
-      stream = Buffer.from(stream, "utf-8");
+    if (!stream && !file) {
+      throw new VolaError("Need to provide a .stream or a .file");
     }
     if (!name) {
       if (!file) {
@@ -681,6 +1136,12 @@ class Room extends EventEmitter {
     if (progress && typeof progress !== "function") {
       throw new VolaError("progress must be a function");
     }
+    if (!stream) {
+      stream = await openFile(file, highWaterMark);
+    }
+    else if (typeof stream === "string") {
+      stream = Buffer.from(stream, "utf-8");
+    }
     const key_info = await this._getUploadKey();
 
     let resumed = 0;
@@ -708,12 +1169,7 @@ class Room extends EventEmitter {
         if (!file || ex.toString().match(/user\s*abort/i)) {
           throw ex;
         }
-        const {key, server} = key_info;
-        const qs = {
-          key,
-          c: ++this._uploadCount
-        };
-        const resume = await this.callREST(`https://${server}/rest/uploadStatus`, qs);
+        const resume = await this._uploadStatus(key_info);
         if (resume.ended) {
           throw ex;
         }
@@ -721,21 +1177,236 @@ class Room extends EventEmitter {
           throw ex;
         }
         key_info.startAt = resume.receivedBytes;
-        stream = fs.createReadStream(file, highWaterMark ? {
-          encoding: null,
-          highWaterMark,
-          start: key_info.startAt,
-        } : {
-          encoding: null,
-          start: key_info.startAt,
-        });
+        stream = await openFile(file, highWaterMark, key_info.startAt);
         key_info.resumed = ++resumed;
       }
     }
   }
 
+  /**
+   * Uploads a remote http(s) resource to this room, without storing it
+   * locally first. Broken transfers are resumed with a Range request,
+   * continuing where the upload server says it left off.
+   * @param {string} url What to upload
+   * @param {object} [options] Upload options
+   * @param {string} [options.name] Name to upload with. If not given, it
+   *    will be derived from the Content-Disposition, or the URL.
+   * @param {Number} [options.maxSize] Refuse resources larger than this
+   * @param {Number} [options.retries] Give up after this many broken
+   *    transfers (default: 3)
+   * @param {object} [options.headers] Extra headers for the remote request
+   * @param {Number} [options.timeout] Consider the transfer broken when no
+   *    data arrived for this many ms (default: 30s)
+   * @param {callback} [options.progress] Upload progress callback.
+   * @returns {Object} Upload result, containing the file `.id` and
+   *    optionally the `.checksum` of what was uploaded, and the `.name`
+   */
+  async uploadFromUrl(url, options) {
+    options = options || {};
+    const {
+      maxSize = 0,
+      retries = 3,
+      headers = {},
+      timeout = 30 * 1000,
+      progress = null,
+    } = options;
+    if (progress && typeof progress !== "function") {
+      throw new VolaError("progress must be a function");
+    }
+    let resp = await this._fetchRemote(url, headers, 0);
+    const name = options.name || nameFromResponse(resp, url);
+    const length = +resp.headers.get("content-length");
+    if (maxSize && length > maxSize) {
+      resp.body.resume();
+      throw new VolaError(`Remote resource too large (${length} bytes)`);
+    }
+    const key_info = await this._getUploadKey();
+
+    let offset = 0;
+    for (let attempt = 1; ; ++attempt) {
+      try {
+        const body = await this._remoteBody(resp, offset, maxSize, timeout);
+        const rv = await this._uploadFile(name, body, progress, key_info);
+        if (key_info.resumed) {
+          delete rv.checksum;
+        }
+        rv.name = name;
+        return rv;
+      }
+      catch (ex) {
+        // Whatever is left of it, a new request is needed
+        resp.body.destroy();
+        if (attempt > retries ||
+          ex.toString().match(/user\s*abort|exceeds limit/i)) {
+          throw ex;
+        }
+        const resume = await this._uploadStatus(key_info);
+        if (resume.ended || !Number.isSafeInteger(resume.receivedBytes)) {
+          throw ex;
+        }
+        offset = key_info.startAt = resume.receivedBytes;
+        key_info.resumed = attempt;
+        resp = await this._fetchRemote(url, headers, offset);
+      }
+    }
+  }
+
+  async _fetchRemote(url, headers, offset) {
+    const {protocol} = new URL(url);
+    if (protocol !== "http:" && protocol !== "https:") {
+      throw new VolaError("Only http(s) URLs can be uploaded");
+    }
+    headers = Object.assign({}, HEADERS, headers);
+    if (offset) {
+      headers.Range = `bytes=${offset}-`;
+    }
+    const resp = await fetch(url, {
+      method: "GET",
+      headers,
+      agent: this.agent || undefined,
+    });
+    if (resp.status !== OK && resp.status !== PARTIAL) {
+      resp.body.resume();
+      throw new VolaError(`Failed to fetch ${url}: ${resp.status} ${resp.statusText}`);
+    }
+    return resp;
+  }
+
+  async _remoteBody(resp, offset, maxSize, timeout) {
+    let {body} = resp;
+    let length = +resp.headers.get("content-length");
+    const through = transform => {
+      body.on("error", ex => transform.destroy(ex));
+      body = body.pipe(transform);
+    };
+    if (timeout) {
+      through(new WatchdogTransform(timeout));
+    }
+    if (offset && resp.status === OK) {
+      // No range support over there, so throw away what we already have
+      through(new SkipTransform(offset));
+      length -= offset;
+    }
+    if (maxSize) {
+      through(new LimitTransform(maxSize - offset));
+    }
+    if (isFinite(length) && length > 0) {
+      body.knownLength = length;
+      return body;
+    }
+    // Need to know the length for the form, so slurp it
+    const chunks = [];
+    await new Promise((resolve, reject) => {
+      body.on("data", chunk => chunks.push(chunk));
+      body.on("end", resolve);
+      body.on("error", reject);
+    });
+    return Buffer.concat(chunks);
+  }
+
+  async _uploadStatus(key_info) {
+    const {key, server} = key_info;
+    const qs = {
+      key,
+      c: ++this._uploadCount
+    };
+    return await this.callREST(
+      `${this._uploadOrigin(server)}/rest/uploadStatus`, qs);
+  }
+
+  /**
+   * Uploads a bunch of files, or whole directories, to this room
+   * @param {string|Array} files A directory, or a list of files, directories
+   *    and/or {@link Room#uploadFile} options objects
+   * @param {Object} [options] Batch options
+   * @param {string|string[]} [options.include] Only upload files found in
+   *    directories when they match one of these globs
+   * @param {string|string[]} [options.exclude] Skip files found in
+   *    directories when they match one of these globs
+   *    Globs without a slash match file names, others match the path
+   *    relative to the directory given.
+   * @param {Number} [options.concurrency] Uploads at once (default: 2)
+   * @param {boolean} [options.stopOnError] Do not start any more uploads
+   *    once one failed
+   * @param {callback} [options.progress] Batch progress callback, called with
+   *    (delta, current, total, name)
+   * @returns {Object} `.results` holding the uploadFile results plus the
+   *    `.file` and `.name` of each upload, and `.failures` holding the
+   *    `.file`, `.name` and `.error` of each failed one
+   */
+  async uploadMany(files, options) {
+    options = options || {};
+    const {
+      include = null,
+      exclude = null,
+      concurrency = 2,
+      stopOnError = false,
+      progress = null,
+    } = options;
+    if (progress && typeof progress !== "function") {
+      throw new VolaError("progress must be a function");
+    }
+    if (!Array.isArray(files)) {
+      files = [files];
+    }
+    const uploads = [];
+    for (const f of files) {
+      if (typeof f !== "string") {
+        uploads.push(Object.assign({}, f));
+      }
+      else if ((await stat(f)).isDirectory()) {
+        for (const file of await walkFiles(f, {include, exclude})) {
+          uploads.push({file});
+        }
+      }
+      else {
+        uploads.push({file: f});
+      }
+    }
+    let total = 0;
+    for (const upload of uploads) {
+      total += await uploadSize(upload);
+    }
+
+    let current = 0;
+    let failed = false;
+    const limiter = new Limiter(concurrency);
+    const outcomes = await Promise.all(uploads.map(upload => limiter.run(
+      async () => {
+        const {file = null} = upload;
+        const name = upload.name || (file && path.basename(file));
+        if (failed && stopOnError) {
+          return {file, name, error: new VolaError("Batch aborted")};
+        }
+        if (progress) {
+          upload.progress = delta => {
+            current += delta;
+            progress(delta, Math.min(current, total), total, name);
+          };
+        }
+        try {
+          const rv = await this.uploadFile(upload);
+          return Object.assign({file, name}, rv);
+        }
+        catch (ex) {
+          failed = true;
+          return {file, name, error: ex};
+        }
+      })));
+    return {
+      results: outcomes.filter(o => !o.error),
+      failures: outcomes.filter(o => o.error),
+    };
+  }
+
   async _getUploadKey() {
     for (;;) {
+      // Blocks apply to the whole room, so concurrent uploads wait it out
+      // together instead of running into the block one by one
+      const blocked = this._uploadBlockedUntil - Date.now();
+      if (blocked > 0) {
+        await sleep(blocked);
+      }
       const qs = {
         name: this.nick,
         room: this.id,
@@ -760,8 +1431,9 @@ class Room extends EventEmitter {
            * @event Room#upload_blocked
            * @type {Number} Number of ms the block is active
            */
+          this._uploadBlockedUntil = Math.max(
+            this._uploadBlockedUntil, Date.now() + timeout);
           this.emit("upload_blocked", timeout);
-          await sleep(timeout);
           continue;
         }
         if (error.code === ACCESS_DENIED) {
@@ -773,125 +1445,155 @@ class Room extends EventEmitter {
     }
   }
 
-  _uploadFile(name, body, progress_callback, key_info) {
-    // eslint-disable-next-line no-async-promise-executor
-    return new Promise(async (resolve, reject) => {
-      let stream = body;
-      const error = err => {
+  async _uploadFile(name, body, progress_callback, key_info) {
+    let stream = body;
+    // Without its body, the request would just sit there, so abort it
+    const aborter = abortController();
+    let error;
+    const broken = new Promise((_, reject) => {
+      error = err => {
         reject(err);
+        aborter.abort();
       };
-      try {
-        const {startAt = 0, resumed = 0} = key_info;
-        const checksum = crypto.createHash("md5");
-        let form = new FormData();
-        checksum.on("error", error);
-        if (Buffer.isBuffer(stream)) {
-          form.append("file", stream, name);
-          checksum.end(stream);
-        }
-        else {
-          const opts = {
-            filename: name,
-          };
-          if (stream.knownLength) {
-            opts.knownLength = stream.knownLength;
-          }
-          else if ("httpModule" in stream) {
-            const {response = {}} = stream;
-            const {headers = {}} = response;
-            let {"content-length": length} = headers;
-            length = +length;
-            if (isFinite(length) && length) {
-              opts.knownLength = length;
-            }
-          }
-          stream.on("error", error);
-          stream = stream.pipe(new TeeTransform(checksum));
-          form.append("file", stream, opts);
-        }
+    });
+    broken.catch(() => {});
+    const unlessBroken = promise => Promise.race([broken, promise]);
 
-        const {key, server, file_id} = key_info;
-        const length = await promisify(form.getLength.bind(form))();
-        const headers = Object.assign({
-          "Origin": `https://${this.config.site}`,
-          "Referer": this.url,
-          "Connection": "close",
-          "Content-Length": length,
-        }, this.headers, form.getHeaders());
-        if (stream.on) {
-          stream.on("error", error);
-        }
-        form.on("error", error);
-        if (progress_callback) {
-          const progress = new ProgressTransform();
-          let cur = startAt;
-          progress.on("progress", delta => {
-            cur += delta;
-            progress_callback(delta, cur, length, server, resumed);
-          });
-          progress.on("error", error);
-          form = form.pipe(progress);
-        }
-        const params = new URLSearchParams({
-          room: this.id,
-          key,
-          filename: name
-        });
-        if (startAt > 0) {
-          params.append("startAt", startAt);
-        }
-        if (this.password) {
-          params.append("password", this.password);
-        }
-        else if (this.key) {
-          params.append("roomKey", this.key);
-        }
-        const url = `https://${server}/upload?${params}`;
-        if (body.resume) {
-          body.resume();
-        }
-        const req = await this.fetch(url, {
-          method: "POST",
-          body: form,
-          headers
-        });
-        const resp = await req.text();
-        if (req.status !== OK) {
-          throw new VolaError(`Upload failed! ${resp}`);
-        }
-        if (!Buffer.isBuffer(stream)) {
-          checksum.end();
-        }
-        resolve({
-          id: file_id,
-          checksum: checksum.read().toString("hex")
-        });
+    const {startAt = 0, resumed = 0} = key_info;
+    const checksum = crypto.createHash("md5");
+    let form = new FormData();
+    checksum.on("error", error);
+    if (Buffer.isBuffer(stream)) {
+      form.append("file", stream, name);
+      checksum.end(stream);
+    }
+    else {
+      const opts = {
+        filename: name,
+      };
+      if (stream.knownLength) {
+        opts.knownLength = stream.knownLength;
       }
-      catch (ex) {
-        reject(ex);
+      else if ("httpModule" in stream) {
+        const {response = {}} = stream;
+        const {headers = {}} = response;
+        let {"content-length": length} = headers;
+        length = +length;
+        if (isFinite(length) && length) {
+          opts.knownLength = length;
+        }
       }
+      stream.on("error", error);
+      stream = stream.pipe(new TeeTransform(checksum));
+      form.append("file", stream, opts);
+    }
+
+    const {key, server, file_id} = key_info;
+    const length = await unlessBroken(
+      promisify(form.getLength.bind(form))());
+    const headers = Object.assign({
+      "Origin": this.origin,
+      "Referer": this.url,
+      "Connection": "close",
+      "Content-Length": length,
+    }, this.headers, form.getHeaders());
+    if (stream.on) {
+      stream.on("error", error);
+    }
+    form.on("error", error);
+    if (progress_callback) {
+      const progress = new ProgressTransform();
+      let cur = startAt;
+      progress.on("progress", delta => {
+        cur += delta;
+        progress_callback(delta, cur, length, server, resumed);
+      });
+      progress.on("error", error);
+      form = form.pipe(progress);
+    }
+    const params = new URLSearchParams({
+      room: this.id,
+      key,
+      filename: name
     });
+    if (startAt > 0) {
+      params.append("startAt", startAt);
+    }
+    if (this.password) {
+      params.append("password", this.password);
+    }
+    else if (this.key) {
+      params.append("roomKey", this.key);
+    }
+    const url = `${this._uploadOrigin(server)}/upload?${params}`;
+    if (body.resume) {
+      body.resume();
+    }
+    const req = await unlessBroken(this.fetch(url, {
+      method: "POST",
+      body: form,
+      headers,
+      signal: aborter.signal,
+    }));
+    const resp = await unlessBroken(req.text());
+    if (req.status !== OK) {
+      throw new VolaError(`Upload failed! ${resp}`);
+    }
+    if (!Buffer.isBuffer(stream)) {
+      checksum.end();
+    }
+    return {
+      id: file_id,
+      checksum: checksum.read().toString("hex")
+    };
   }
 
+  _uploadOrigin(server) {
+    const {protocol} = new URL(this.origin);
+    return `${protocol}//${server}`;
+  }
+
+  /**
+   * Call something on the server. Calls are queued while (re)connecting and
+   * paced according to the rateLimit option.
+   * @param {string} fn Remote function
+   * @param {...*} args Arguments
+   * @returns {Promise} Settles once the call was actually sent
+   * @throws {VolaError} If the room is not connected, nor connecting
+   */
   call(fn, ...args) {
-    if (!this.connected) {
+    if (this._shutdown ||
+      (!this.connected && !this._connecting && !this._reconnecting)) {
       throw new VolaError("Room is not connected");
     }
+    return this.queue.push(fn, args);
+  }
+
+  sendCall(fn, args) {
+    if (!this.connected || !this.eio) {
+      return Promise.reject(new VolaError("Room is not connected"));
+    }
     const call = JSON.stringify([
       this.sack,
       [[0, ["call", { fn, args }]], ++this.ack]
     ]);
     this.last_sack = this.sack;
     debug("calling", call);
-    if (this.eio) {
-      this.eio.send(call);
-    }
+    const {eio} = this;
+    return new Promise((resolve, reject) => {
+      const closed = () => reject(new VolaError("Connection closed"));
+      eio.once("close", closed);
+      eio.send(call, null, () => {
+        eio.removeListener("close", closed);
+        resolve();
+      });
+    });
   }
 
   callWithCallback(fn, ...args) {
     const [id, promise] = this.handler.registerCallback();
     args.push(id);
-    this.call(fn, ...args);
+    this.call(fn, ...args).catch(ex => this.handler.rejectCallback(id, ex));
     return promise;
   }
 
@@ -924,25 +1626,33 @@ class Room extends EventEmitter {
     }
   }
 
-  fetch(url, options = {}) {
-    if (!url.includes(this.config.site)) {
-      throw new VolaError(`Only use this method with ${this.config.site} resources`);
+  /**
+   * Fetch something from the site, with cookies
+   * @param {string} url
+   * @param {Object} [options] fetch options
+   * @returns {Response}
+   */
+  async fetch(url, options = {}) {
+    if (!onSite(this.endpoints, url)) {
+      throw new VolaError(`Only use this method with ${this.endpoints.site} resources`);
     }
     let {headers = {}} = options;
     headers = Object.assign({}, this.headers, headers);
-    return fetch(url, Object.assign({}, options, {headers}));
+    return await fetchWithCookies(url, Object.assign({
+      agent: this.agent || undefined,
+    }, options, {headers}));
   }
 
   async callREST(endpoint, params) {
     params = new URLSearchParams(params);
     for (let attempt = 1; ; ++attempt) {
-      const u = new URL(endpoint, `https://${this.config.site}/rest/`);
+      const u = new URL(endpoint, `${this.endpoints.rest}/`);
       u.search = params;
       const resp = await this.fetch(
         u.toString(), {
           method: "GET",
           headers: {
-            Origin: `https://${this.config.site}`,
+            Origin: this.origin,
             Referer: this.url
           }
         });
@@ -987,7 +1697,10 @@ class Room extends EventEmitter {
       // Lain decided it's sane to return an empty password
       delete config.password;
     }
-    Object.assign(this.config, DEFAULT_CONFIG, config || {}, {loaded: true});
+    Object.assign(this.config, DEFAULT_CONFIG, config || {}, {
+      site: this.endpoints.site,
+      loaded: true,
+    });
     if ("room_id" in this.config) {
       this.id = this.config.room_id;
     }
@@ -1004,113 +1717,509 @@ class Room extends EventEmitter {
 
   expireFiles() {
     const expired = [];
-    this[FILES].forEach((file, fid) => {
+    this[FILES].forEach(file => {
       if (file.expired) {
-        expired.push(fid);
+        expired.push(file);
       }
     });
-    for (const e of expired) {
-      this[FILES].delete(e);
+    for (const file of expired) {
+      this._expire(file);
     }
   }
 
+  _expire(file) {
+    this[FILES].delete(file.id);
+    this._unscheduleExpiry(file.id);
+    /**
+     * A file went dodo
+     * @event Room#file_expired
+     * @type {File}
+     */
+    this.emit("file_expired", file);
+  }
+
+  _scheduleExpiry(file) {
+    this._unscheduleExpiry(file.id);
+    if (this.closed) {
+      return;
+    }
+    const timers = {};
+    // Timers may fire a tad early, and long waits need to be chunked
+    const expire = () => {
+      const left = file.validFor;
+      if (left >= 0) {
+        timers.expired = expiryTimer(expire, left + 1);
+        return;
+      }
+      this._expire(file);
+    };
+    timers.expired = expiryTimer(expire, file.validFor + 1);
+
+    const warning = this.expiryWarning;
+    const warn = () => {
+      const left = file.validFor;
+      if (left > warning) {
+        timers.expiring = expiryTimer(warn, left - warning);
+        return;
+      }
+      if (left >= 0) {
+        /**
+         * A file is about to go dodo
+         * @event Room#file_expiring
+         * @type {File}
+         * @type {number} ms left
+         */
+        this.emit("file_expiring", file, left);
+      }
+    };
+    if (warning > 0) {
+      timers.expiring = expiryTimer(warn, file.validFor - warning);
+    }
+    this[EXPIRY].set(file.id, timers);
+  }
+
+  _unscheduleExpiry(fid) {
+    const timers = this[EXPIRY].get(fid);
+    if (!timers) {
+      return;
+    }
+    clearTimeout(timers.expired);
+    clearTimeout(timers.expiring);
+    this[EXPIRY].delete(fid);
+  }
+
+  _clearExpiry() {
+    for (const fid of Array.from(this[EXPIRY].keys())) {
+      this._unscheduleExpiry(fid);
+    }
+  }
+
+  _release() {
+    // Shared sessions outlive rooms
+    this.account.removeListener("session", this._onsession);
+  }
+
   toString() {
     return `<Room(${this.id} (${this.alias}), ${this.nick})>`;
   }
 }
 
+// Events of ManyRooms itself, which are not forwarded from the rooms
+const OWN_EVENTS = new Set([
+  "newListener", "removeListener", "room_added", "room_removed", "room_failed"
+]);
+
+/**
+ * Lots of rooms, all at once.
+ *
+ * Room events are re-emitted with the room first, for rooms added later
+ * too. Every room reconnects (with the reconnect option) or fails on its
+ * own, and running goes on until closed, until all rooms failed for good,
+ * or until no rooms are left.
+ */
 class ManyRooms extends EventEmitter {
+  /**
+   * @param {Array} room_ids Room ids, or {room, nick, ...options} objects
+   * @param {string} nick Default nick
+   * @param {Object} [options] Options for all the rooms,
+   *    see {@link Room#constructor}
+   * @param {Session} [options.session] Session for all the rooms
+   *    (default: a new one, see {@link ManyRooms#init})
+   * @param {string|Object} [options.proxy] Proxy for all the rooms, and the
+   *    session when there is no other one
+   */
   constructor(room_ids, nick, options) {
     super();
     options = options || {};
     this.nick = nick;
-    const {Room: RoomCtor = Room} = options;
+    const {Room: RoomCtor = Room, server = null, session = null} = options;
     this.Room = RoomCtor;
+    this.server = server;
     verifyNick(this.nick);
-    this._room_opts = room_ids.map(e => {
-      if (typeof e === "string") {
-        e = {room: e};
+    // One set of agents for everybody, so connections get reused
+    this.agent = toAgent(options);
+    this._options = Object.assign({}, options, {
+      agent: this.agent,
+      proxy: null,
+    });
+    this._room_specs = (room_ids || []).slice();
+    this.account = session;
+    this._rooms = null;
+    this._forwarded = new Map();
+    this._failures = new Map();
+    this._connected = false;
+    this._closing = null;
+    this._done = null;
+
+    this.on("newListener", eventName => {
+      if (OWN_EVENTS.has(eventName) || this._forwarded.has(eventName)) {
+        return;
+      }
+      this._forwarded.set(eventName, new Map());
+      for (const room of this._rooms || []) {
+        this._forward(room, eventName);
       }
-      return Object.assign({}, e, options);
     });
-    if (!this._room_opts.length) {
-      throw new VolaError("No room ids given");
+    this.on("removeListener", eventName => {
+      if (this.listenerCount(eventName)) {
+        return;
+      }
+      const listeners = this._forwarded.get(eventName);
+      if (!listeners) {
+        return;
+      }
+      this._forwarded.delete(eventName);
+      for (const [room, listener] of listeners) {
+        room.removeListener(eventName, listener);
+      }
+    });
+  }
+
+  _roomOptions(spec) {
+    if (typeof spec === "string") {
+      spec = {room: spec};
     }
-    this.baseRoom = null;
+    return Object.assign({}, spec, this._options);
   }
 
+  /**
+   * Make a room; override to make them differently
+   * @param {Object} options Room options, including .room and .nick
+   * @param {Session|Room} [other] Session for the room, or another room to
+   *    take the session from (see the other option of {@link Room})
+   * @returns {Room}
+   */
   makeRoom(options, other) {
     const {nick = null, room} = options;
     delete options.nick;
     delete options.room;
-    if (other) {
+    if (other instanceof Room) {
       options.other = other;
     }
+    else if (other && !options.session) {
+      options.session = other;
+    }
     return new this.Room(room, nick, options);
   }
 
+  _forward(room, eventName) {
+    const listener = (...args) => {
+      this.emit(eventName, room, ...args);
+    };
+    room.on(eventName, listener);
+    this._forwarded.get(eventName).set(room, listener);
+  }
+
+  _unforward(room) {
+    for (const [eventName, listeners] of this._forwarded) {
+      const listener = listeners.get(room);
+      if (listener) {
+        room.removeListener(eventName, listener);
+        listeners.delete(room);
+      }
+    }
+  }
+
+  _track(room) {
+    this._rooms.push(room);
+    for (const eventName of this._forwarded.keys()) {
+      this._forward(room, eventName);
+    }
+  }
+
+  /**
+   * Set up the rooms, all sharing the same session
+   * @param {string|function} [password] Log in with this password first, or
+   *    only when needed if the session has a store (see {@link Session#resume})
+   */
   async init(password) {
-    const baseRoom = new Room("BEEPi", this.nick); // yeahyeah
-    if (password) {
-      await baseRoom.login(password);
+    if (!this.account) {
+      const {site = null, endpoints = null} = this._options;
+      this.account = new Session(this.nick, {
+        server: this.server,
+        site,
+        endpoints,
+        agent: this.agent,
+      });
+    }
+    await this.account.resume(password);
+    this._rooms = [];
+    for (const spec of this._room_specs) {
+      this._track(this.makeRoom(this._roomOptions(spec), this.account));
     }
-    this.baseRoom = baseRoom;
-    this._rooms = this._room_opts.map(
-      opts => this.makeRoom(opts, this.baseRoom));
+  }
 
-    const events = new Map();
-    this.on("newListener", eventName => {
-      if (events.has(eventName)) {
-        return;
+  /**
+   * Connect all rooms.
+   * Rooms failing to connect are reported as room_failed, and the others
+   * carry on.
+   * @throws {Error} When no room could be connected at all
+   */
+  async connect() {
+    const rooms = this._initedRooms();
+    this._connected = true;
+    const errors = [];
+    await Promise.all(rooms.map(room => this._connectRoom(room).catch(ex => {
+      errors.push(ex);
+    })));
+    if (rooms.length && errors.length === rooms.length) {
+      throw errors[0];
+    }
+  }
+
+  async _connectRoom(room) {
+    try {
+      await room.connect();
+    }
+    catch (ex) {
+      this._failed(room, ex);
+      throw ex;
+    }
+    // .run() settles when the room is gone for good, reconnects included
+    room.run().then(
+      () => this._failed(room, new VolaError("Room closed")),
+      ex => this._failed(room, ex));
+  }
+
+  _failed(room, ex) {
+    if (this._closing || !this._rooms.includes(room) ||
+      this._failures.has(room)) {
+      return;
+    }
+    this._failures.set(room, {error: ex, time: Date.now()});
+
+    /**
+     * A room closed or errored, and will not be back
+     * @event ManyRooms#room_failed
+     * @type {Room}
+     * @type {Error}
+     */
+    this.emit("room_failed", room, ex);
+    this._checkAlive();
+  }
+
+  _checkAlive() {
+    if (!this._done) {
+      return;
+    }
+    if (this._closing) {
+      this._done();
+      return;
+    }
+    const rooms = this._rooms;
+    if (!rooms.length) {
+      this._done();
+      return;
+    }
+    if (rooms.every(room => this._failures.has(room))) {
+      this._done(new VolaError("All rooms failed"));
+    }
+  }
+
+  /**
+   * The rooms, in order of addition
+   * @returns {Room[]}
+   */
+  get rooms() {
+    return (this._rooms || []).slice();
+  }
+
+  /**
+   * Find a room
+   * @param {Room|string} room Room, room id, alias or URL
+   * @returns {Room|null}
+   */
+  getRoom(room) {
+    const rooms = this._rooms || [];
+    if (room && typeof room === "object") {
+      return rooms.includes(room) ? room : null;
+    }
+    const id = parseId(room, rooms.map(r => r.endpoints.origin));
+    return rooms.find(r => r.id === id || r.alias === id) || null;
+  }
+
+  /**
+   * Add another room.
+   * It gets connected right away when the others were connected already.
+   * @param {string|Object} spec Room id, or {room, nick, ...options}
+   * @returns {Room} The new room
+   * @throws {Error} When already in that room, or the room failed to connect
+   *    (it is still kept around as failed then)
+   */
+  async addRoom(spec) {
+    this._initedRooms();
+    if (this._closing) {
+      throw new VolaError("Closed");
+    }
+    const room = this.makeRoom(this._roomOptions(spec), this.account);
+    if (this.getRoom(room.id)) {
+      throw new VolaError(`Already in ${room.id}`);
+    }
+    this._track(room);
+
+    /**
+     * A room was added
+     * @event ManyRooms#room_added
+     * @type {Room}
+     */
+    this.emit("room_added", room);
+    if (this._connected) {
+      await this._connectRoom(room);
+    }
+    return room;
+  }
+
+  /**
+   * Leave a room, closing it. Leaving the last one ends {@link ManyRooms#run}.
+   * @param {Room|string} room Room, room id, alias or URL
+   * @returns {boolean} Whether there was such a room
+   */
+  async removeRoom(room) {
+    this._initedRooms();
+    room = this.getRoom(room);
+    if (!room) {
+      return false;
+    }
+    this._rooms.splice(this._rooms.indexOf(room), 1);
+    this._failures.delete(room);
+    this._unforward(room);
+
+    /**
+     * A room was removed
+     * @event ManyRooms#room_removed
+     * @type {Room}
+     */
+    this.emit("room_removed", room);
+    this._checkAlive();
+    try {
+      await room.close();
+    }
+    catch (ex) {
+      // ignore
+    }
+    return true;
+  }
+
+  /**
+   * How are the rooms doing?
+   * @returns {Object[]} Per room: .room, .id, .alias, .nick, .state
+   *    (idle, connecting, connected, reconnecting, failed or closed), .error
+   *    and .failed (time of failure) when failed, and .users
+   */
+  status() {
+    return this._initedRooms().map(room => {
+      const failure = this._failures.get(room);
+      let state = "idle";
+      if (failure) {
+        state = "failed";
       }
-      const listeners = new Map(this._rooms.map(room => {
-        const listener = (...args) => {
-          this.emit(eventName, room, ...args);
-        };
-        room.on(eventName, listener);
-        return [room, listener];
-      }));
-      events.set(eventName, listeners);
-    });
-    this.on("removeListener", eventName => {
-      if (this.listenerCount(eventName)) {
-        return;
+      else if (this._closing || room._shutdown) {
+        state = "closed";
       }
-      const listeners = events.get(eventName);
-      if (!listeners) {
-        return;
+      else if (room._reconnecting) {
+        state = "reconnecting";
       }
-      events.delete(eventName);
-      for (const [room, listener] of listeners) {
-        room.removeListener(eventName, listener);
+      else if (room.connected) {
+        state = "connected";
       }
+      else if (room._connecting) {
+        state = "connecting";
+      }
+      return {
+        room,
+        id: room.id,
+        alias: room.alias,
+        nick: room.nick,
+        state,
+        error: failure ? failure.error : null,
+        failed: failure ? failure.time : null,
+        users: room.users,
+      };
     });
   }
 
-  async connect() {
-    await Promise.all(this._rooms.map(room => room.connect()));
+  /**
+   * Like {@link Room#iterate}, but for all rooms. Finishes once all rooms
+   * closed. Rooms added later are not iterated.
+   * @param {string|string[]} event Event name(s)
+   * @param {Object} [options] See {@link Room#iterate}
+   * @returns {EventIterator} Yielding [room, payload] tuples
+   */
+  iterate(event, options) {
+    options = Object.assign({}, options, {
+      map: (room, event, args) => [room, args[0]]
+    });
+    return new EventIterator(
+      this._initedRooms(), Array.isArray(event) ? event : [event], options);
+  }
+
+  _initedRooms() {
+    if (!this._rooms) {
+      throw new VolaError("Not initialized yet, call .init() first");
+    }
+    return this._rooms.slice();
   }
 
+  /**
+   * Iterate over chat messages of all rooms
+   * @param {Object} [options] See {@link Room#iterate}
+   * @returns {EventIterator} Yielding [room, Message] tuples
+   */
+  messages(options) {
+    return this.iterate("chat", options);
+  }
+
+  /**
+   * Iterate over new and deleted files of all rooms
+   * @param {Object} [options] See {@link Room#iterate}
+   * @returns {EventIterator} Yielding [room, fileEvent] tuples,
+   *    see {@link Room#fileEvents}
+   */
+  fileEvents(options) {
+    options = Object.assign({}, options, {
+      map: (room, event, args) => [room, toFileEvent(event, args)]
+    });
+    return new EventIterator(
+      this._initedRooms(), ["file", "delete_file"], options);
+  }
+
+  /**
+   * Run until closed, until all rooms failed, or until all rooms were
+   * removed (right away when there are none)
+   * @throws {VolaError} When all rooms failed
+   */
   async run() {
+    this._initedRooms();
     try {
-      await Promise.race(this._rooms.map(room => room.run()));
+      await new Promise((resolve, reject) => {
+        this._done = ex => (ex ? reject(ex) : resolve());
+        this._checkAlive();
+      });
     }
     finally {
+      this._done = null;
       await this.close();
     }
     this.removeAllListeners();
     this._rooms.length = 0;
   }
 
+  /**
+   * Close all rooms, which also ends .run()
+   */
   async close() {
-    await Promise.all(this._rooms.map(async room => {
-      try {
-        await room.close();
-      }
-      catch (ex) {
-        // ignore
-      }
-    }));
+    if (!this._closing) {
+      this._closing = Promise.all((this._rooms || []).map(async room => {
+        try {
+          await room.close();
+        }
+        catch (ex) {
+          // ignore
+        }
+      }));
+      this._checkAlive();
+    }
+    await this._closing;
   }
 }
 
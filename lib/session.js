@@ -0,0 +1,403 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const {promisify} = require("util");
+const EventEmitter = require("events");
+const {URL, URLSearchParams} = require("url");
+const {debug} = require("./debug");
+const {VolaError} = require("./error");
+const {CookieJar, fetchWithCookies} = require("./cookiejar");
+const {verifyNick, toServer, toEndpoints} = require("./util");
+const {sleep, writeAtomically, reportError} = require("./util");
+const {toAgent} = require("./proxy");
+
+const readFile = promisify(fs.readFile);
+const mkdir = promisify(fs.mkdir);
+const unlink = promisify(fs.unlink);
+
+const HEADERS = {
+  "User-Agent": "node-volapi/1.0",
+};
+
+// Server errors are retried, but not forever
+const REST_ATTEMPTS = 5;
+
+const UNAUTHORIZED = 401;
+const ACCESS_DENIED = 403;
+
+/**
+ * Does the site say the session expired, or never existed?
+ * @param {Object|string} err Error of a REST call
+ * @returns {boolean}
+ */
+function isSessionGone(err) {
+  const {code = null, message = ""} =
+    typeof err === "object" ? err : {message: `${err}`};
+  return code === UNAUTHORIZED || code === ACCESS_DENIED ||
+    /session/i.test(message);
+}
+
+/**
+ * Keeps a session around for as long as you keep the process around.
+ *
+ * Roll your own store by implementing .load(), .save(data) and .clear(),
+ * which may all return promises.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.data = null;
+  }
+
+  /**
+   * @returns {Object|null} What was saved last
+   */
+  load() {
+    return this.data;
+  }
+
+  /**
+   * @param {Object} data Session data, see {@link Session#toJSON}
+   */
+  save(data) {
+    this.data = data;
+  }
+
+  /**
+   * Forget all about it
+   */
+  clear() {
+    this.data = null;
+  }
+}
+
+/**
+ * Keeps a session in a JSON file, only readable by you, so that you don't
+ * have to log in again after every restart.
+ */
+class JSONSessionStore {
+  /**
+   * @param {string} file Where to keep the session
+   */
+  constructor(file) {
+    if (!file) {
+      throw new VolaError("No file given");
+    }
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await readFile(this.file, "utf-8"));
+    }
+    catch (ex) {
+      if (ex.code === "ENOENT") {
+        return null;
+      }
+      throw ex;
+    }
+  }
+
+  async save(data) {
+    await mkdir(path.dirname(this.file), {recursive: true, mode: 0o700});
+    await writeAtomically(this.file, JSON.stringify(data), {mode: 0o600});
+  }
+
+  async clear() {
+    try {
+      await unlink(this.file);
+    }
+    catch (ex) {
+      if (ex.code !== "ENOENT") {
+        throw ex;
+      }
+    }
+  }
+}
+
+/**
+ * Who you are, as far as vola is concerned.
+ *
+ * Logs in and out, and keeps the cookies. Pass it to as many rooms as you
+ * like (the session option), and they will all follow along when logging in.
+ *
+ * With a store, sessions survive restarts: .resume() picks up the stored
+ * session, and only logs in again when that one expired.
+ *
+ * @property {string} nick Account name (or just a nick, when not logged in)
+ * @property {string|null} session Session id, when logged in
+ * @property {CookieJar} cookies
+ * @property {Object} headers Headers to send along with requests
+ *
+ * @example
+ * const session = new Session("MrRobot");
+ * await session.login("hunter2");
+ * const room = new Room("BEEPi", null, {session});
+ * const other = new Room("other", null, {session});
+ *
+ * @example
+ * const session = new Session("MrRobot", {
+ *   store: new JSONSessionStore("session.json"),
+ * });
+ * await session.resume(() => readPasswordFromSomewhere());
+ */
+class Session extends EventEmitter {
+  /**
+   * @param {string} nick Account name
+   * @param {Object} [options]
+   * @param {string} [options.server] Talk to this server instead of the real
+   *    site, see {@link Room#constructor}
+   * @param {string} [options.site] Other site, see {@link toEndpoints}
+   * @param {Object} [options.endpoints] Base URL overrides; only .rest
+   *    matters here, but rooms using the session go by all of them
+   * @param {string} [options.session] Existing session id to use
+   * @param {Object} [options.store] Where to keep the session between runs,
+   *    such as a {@link JSONSessionStore}
+   * @param {string|Object} [options.proxy] Proxy for REST calls, and rooms
+   *    using the session, see {@link Room#constructor}
+   * @param {http.Agent|function} [options.agent] Or an agent
+   */
+  constructor(nick, options) {
+    options = options || {};
+    const {server = null, session = null, store = null} = options;
+    verifyNick(nick);
+    super();
+    // Every room listens, and there may be lots of them
+    this.setMaxListeners(0);
+    this.nick = nick;
+    this.server = toServer(server);
+    this.endpoints = toEndpoints(options);
+    this.session = null;
+    this.cookies = new CookieJar("allow-download=1");
+    this.headers = Object.assign({Cookie: this.cookies}, HEADERS);
+    this.store = store;
+    this.agent = toAgent(options);
+    this._saving = Promise.resolve();
+    if (session) {
+      this.use(session);
+    }
+  }
+
+  /**
+   * Scheme and host of the site
+   * @returns {string}
+   */
+  get origin() {
+    return this.endpoints.origin;
+  }
+
+  get loggedIn() {
+    return !!this.session;
+  }
+
+  /**
+   * Use some session id you got from somewhere
+   * @param {string} session
+   * @param {string} [nick] Account name belonging to the session
+   */
+  use(session, nick) {
+    if (!session || typeof session !== "string") {
+      throw new VolaError("Not a valid session");
+    }
+    if (nick) {
+      verifyNick(nick);
+      this.nick = nick;
+    }
+    this.session = session;
+    this.cookies.set("session", session);
+
+    /**
+     * There is a new session, which rooms should be using now
+     * @event Session#session
+     * @type {string} Session id
+     * @type {string} Account name
+     */
+    this.emit("session", session, this.nick);
+  }
+
+  /**
+   * So you got a password?
+   * @param {string} password
+   * @param {string} [nick] Log in as somebody else than .nick
+   * @throws {VolaError} o_O
+   */
+  async login(password, nick) {
+    const resp = await this.callREST("login", {
+      name: nick || this.nick,
+      password
+    });
+    if (resp.error) {
+      throw new VolaError(`Failed to log in: ${resp.error.message || resp.error}`);
+    }
+    this.use(resp.session, resp.nick);
+    await this.save();
+  }
+
+  /**
+   * Pick up the stored session, if it is still any good, or log in.
+   * Stored sessions of other accounts are ignored.
+   * @param {string|function} [password] Password, or (async) function
+   *    returning it, only asked for when there is no usable session
+   * @returns {string|null} How the session came to be: restored or login;
+   *    null if there is neither a stored session nor a password
+   * @throws {VolaError} When the site cannot tell whether the stored session
+   *    is still good, or logging in fails
+   */
+  async resume(password) {
+    const data = this.store ? await this.store.load() : null;
+    if (data && data.session && data.nick &&
+      data.nick.toLowerCase() === this.nick.toLowerCase()) {
+      this.cookies.load(data.cookies || []);
+      this.use(data.session, data.nick);
+      if (await this.validate()) {
+        return "restored";
+      }
+    }
+    if (typeof password === "function") {
+      password = await password();
+    }
+    if (!password) {
+      return null;
+    }
+    await this.login(password);
+    return "login";
+  }
+
+  /**
+   * Store the session now. Happens by itself when logging in or out.
+   */
+  async save() {
+    this._saving = this._saving.then(async () => {
+      if (!this.store) {
+        return;
+      }
+      try {
+        if (this.session) {
+          await this.store.save(this.toJSON());
+        }
+        else {
+          await this.store.clear();
+        }
+      }
+      catch (ex) {
+        this._failed(ex);
+      }
+    });
+    await this._saving;
+  }
+
+  _failed(ex) {
+    /**
+     * The store failed
+     * @event Session#error
+     * @type {Error}
+     */
+    reportError(this, "failed to store session", ex);
+  }
+
+  /**
+   * Enough for today. Rooms already using the session stay logged in until
+   * they reconnect.
+   */
+  async logout() {
+    if (!this.session) {
+      return;
+    }
+    try {
+      await this.callREST("logout", {session: this.session});
+    }
+    finally {
+      await this._forget();
+    }
+  }
+
+  /**
+   * Is the session still any good? Forgets about it when the site says it
+   * is not.
+   * @returns {boolean}
+   * @throws {VolaError} When the site cannot tell right now
+   */
+  async validate() {
+    if (!this.session) {
+      return false;
+    }
+    const resp = await this.callREST("getUserInfo", {session: this.session});
+    if (resp.error && isSessionGone(resp.error)) {
+      debug("session is no good", resp.error);
+      await this._forget();
+      return false;
+    }
+    if (resp.error) {
+      throw new VolaError(
+        `Failed to validate session: ${resp.error.message || resp.error}`);
+    }
+    if (resp.nick) {
+      this.nick = resp.nick;
+    }
+    return true;
+  }
+
+  _forget() {
+    this.session = null;
+    this.cookies.delete("session");
+
+    /**
+     * Not logged in anymore
+     * @event Session#logout
+     */
+    this.emit("logout");
+    return this.save();
+  }
+
+  /**
+   * What there is to store about the session
+   * @returns {Object} .nick, .session and .cookies
+   *    (see {@link CookieJar#toJSON})
+   */
+  toJSON() {
+    return {
+      nick: this.nick,
+      session: this.session,
+      cookies: this.cookies.toJSON(),
+    };
+  }
+
+  /**
+   * Call the REST API of the site
+   * @param {string} endpoint
+   * @param {Object} [params]
+   * @returns {Object} Whatever the site said
+   * @throws {VolaError} When the site keeps failing
+   */
+  async callREST(endpoint, params) {
+    params = new URLSearchParams(params);
+    for (let attempt = 1; ; ++attempt) {
+      const u = new URL(endpoint, `${this.endpoints.rest}/`);
+      u.search = params;
+      const resp = await fetchWithCookies(u.toString(), {
+        method: "GET",
+        agent: this.agent || undefined,
+        headers: Object.assign({}, this.headers, {
+          Origin: this.origin,
+          Referer: `${this.origin}/`,
+        })
+      });
+      if (resp.status >= 500) {
+        resp.body.resume();
+        if (attempt >= REST_ATTEMPTS) {
+          throw new VolaError(
+            `${endpoint} failed: ${resp.status} ${resp.statusText}`);
+        }
+        await sleep(100 * attempt);
+        continue;
+      }
+      return await resp.json();
+    }
+  }
+
+  toString() {
+    return `<Session(${this.nick}, ${this.loggedIn ? "logged in" : "anon"})>`;
+  }
+}
+
+module.exports = {Session, MemorySessionStore, JSONSessionStore};
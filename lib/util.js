@@ -1,18 +1,53 @@
 "use strict";
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {promisify} = require("util");
 const {URL} = require("url");
+const EventEmitter = require("events");
 const {Transform} = require("stream");
 const {VolaError} = require("./error");
+const {error} = require("./debug");
+
+const readdir = promisify(fs.readdir);
+const writeFile = promisify(fs.writeFile);
+const rename = promisify(fs.rename);
+const unlink = promisify(fs.unlink);
+
+const DEFAULT_SITE = "volafile.org";
+const HTTP_PROTOCOLS = {names: ["http:", "https:"], desc: "http(s)"};
+const WS_PROTOCOLS = {
+  names: ["ws:", "wss:", "http:", "https:"],
+  desc: "ws(s) or http(s)",
+};
 
 const RE_EXTRACT_ID = /^\/r\/([a-z0-9_-]+)$/i;
 const RE_MATCH_ID = /^[a-z0-9_-]+$/i;
 
-function parseId(id) {
+/**
+ * Room id from an id, alias or room URL
+ * @param {string} id
+ * @param {string[]} [bases] Base URLs of sites, for rooms living below
+ *    some path (see {@link toEndpoints})
+ * @returns {string|null}
+ */
+function parseId(id, bases) {
   if (!id) {
     return null;
   }
   try {
     const url = new URL(id);
+    for (const base of bases || []) {
+      if (!id.startsWith(`${base}/`)) {
+        continue;
+      }
+      const m = id.slice(base.length).replace(/[?#].*$/, "").
+        match(RE_EXTRACT_ID);
+      if (m) {
+        return m[1];
+      }
+    }
     if (!url.pathname) {
       throw new VolaError("Not a valid room URL");
     }
@@ -54,19 +89,255 @@ function verifyNick(nick, config = {}) {
   }
 }
 
+/**
+ * Normalize a server URL to its origin
+ * @param {string} [server]
+ * @returns {string|null}
+ */
+function toServer(server) {
+  if (!server) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(server);
+  }
+  catch (ex) {
+    throw new VolaError("Invalid server URL");
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    throw new VolaError("Server URL must be http(s)");
+  }
+  return url.origin;
+}
+
+function toBase(url, protocols, what) {
+  let u;
+  try {
+    u = new URL(url);
+  }
+  catch (ex) {
+    throw new VolaError(`Invalid ${what} URL`);
+  }
+  if (!protocols.names.includes(u.protocol)) {
+    throw new VolaError(`${what} URL must be ${protocols.desc}`);
+  }
+  return `${u.origin}${u.pathname.replace(/\/+$/, "")}`;
+}
+
+/**
+ * Work out where everything lives on a site
+ * @param {Object} [options]
+ * @param {string} [options.site] Host name (volafile.io) or base URL
+ *    (https://staging.example.com/vola) of the site (default: volafile.org)
+ * @param {string} [options.server] Server URL, winning over the site
+ * @param {Object} [options.endpoints] Base URL overrides
+ * @param {string} [options.endpoints.rest] REST API (default: site/rest)
+ * @param {string} [options.endpoints.websocket] Websocket
+ *    (default: site/api, as ws(s))
+ * @param {string} [options.endpoints.assets] Downloads and assets
+ *    (default: site)
+ * @returns {Object} .site (host name), .origin (base URL), .rest,
+ *    .websocket and .assets
+ */
+function toEndpoints(options) {
+  options = options || {};
+  const {site = null, server = null, endpoints = {}} = options;
+  let origin;
+  if (server) {
+    origin = toServer(server);
+  }
+  else if (site && site.includes("://")) {
+    origin = toBase(site, HTTP_PROTOCOLS, "Site");
+  }
+  else {
+    origin = toBase(`https://${site || DEFAULT_SITE}`, HTTP_PROTOCOLS, "Site");
+  }
+  const {
+    rest = `${origin}/rest`,
+    websocket = `${origin}/api`,
+    assets = origin,
+  } = endpoints || {};
+  return Object.freeze({
+    site: new URL(origin).hostname,
+    origin,
+    rest: toBase(rest, HTTP_PROTOCOLS, "REST"),
+    websocket: toBase(websocket, WS_PROTOCOLS, "Websocket").
+      replace(/^http/, "ws"),
+    assets: toBase(assets, HTTP_PROTOCOLS, "Asset"),
+  });
+}
+
+/**
+ * Does the URL belong to the site, i.e. the site's host or any of its
+ * subdomains (where the upload servers live), or below any endpoint?
+ * @param {Object} endpoints See {@link toEndpoints}
+ * @param {string} url
+ * @returns {boolean}
+ */
+function onSite(endpoints, url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  }
+  catch (ex) {
+    return false;
+  }
+  const {site, origin, rest, websocket, assets} = endpoints;
+  if (host === site || host.endsWith(`.${site}`)) {
+    return true;
+  }
+  return [origin, rest, websocket, assets].some(base => {
+    return url.startsWith(base) && /^([/?#]|$)/.test(url.slice(base.length));
+  });
+}
+
 function sleep(time) {
   return new Promise(resolve => setTimeout(resolve, time));
 }
 
 function deadline(time) {
+  // Whatever races the deadline keeps the process alive, if anything should
   const rv = new Promise((_, reject) => setTimeout(() => {
     reject(new Error(`Deadline of ${time} expired`));
-  }, time));
+  }, time).unref());
   rv.catch(() => {});
   return rv;
 }
 
 
+// Just enough of AbortSignal for node-fetch, on node before 15
+class AbortSignal extends EventEmitter {
+  constructor() {
+    super();
+    this.aborted = false;
+  }
+
+  addEventListener(event, listener) {
+    this.on(event, listener);
+  }
+
+  removeEventListener(event, listener) {
+    this.removeListener(event, listener);
+  }
+}
+
+/**
+ * An AbortController, the real one if there is one
+ * @returns {AbortController}
+ */
+function abortController() {
+  if (typeof AbortController === "function") {
+    return new AbortController();
+  }
+  const signal = new AbortSignal();
+  return {
+    signal,
+    abort() {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        signal.emit("abort", {type: "abort"});
+      }
+    },
+  };
+}
+
+/**
+ * Is this a file (and not a message)?
+ * Rooms make files of their own class (File option), which need not
+ * derive from File.
+ * @param {Message|File} target
+ * @returns {boolean}
+ */
+function isFile(target) {
+  const {room = null} = target || {};
+  return !!room && typeof room.File === "function" &&
+    target instanceof room.File;
+}
+
+/**
+ * Exempts purple people, owners and janitors from moderation and such
+ * @param {Message|File} target
+ * @returns {boolean}
+ */
+function defaultExempt(target) {
+  // Vola does not tell who uploaded a file with which powers
+  if (isFile(target)) {
+    return false;
+  }
+  return !!(target.purple || target.owner || target.janitor);
+}
+
+/**
+ * Listen to chat and file events of a Room or ManyRooms, for things that
+ * get attached to any number of them.
+ * @param {Map} attached Listeners per target, kept by the caller
+ * @param {Room|ManyRooms} target
+ * @param {Object} handlers .chat(message) and/or .file(file, initial)
+ * @returns {boolean} Whether it was attached, and not before
+ */
+function attachListeners(attached, target, handlers) {
+  if (attached.has(target)) {
+    return false;
+  }
+  // ManyRooms emits (room, ...), Room just the rest
+  const payload = args => {
+    const [first, second] = args;
+    const fromMany = !!second && typeof second === "object" &&
+      second.room === first;
+    return fromMany ? args.slice(1) : args;
+  };
+  const listeners = {};
+  if (handlers.chat) {
+    listeners.chat = (...args) => handlers.chat(payload(args)[0]);
+  }
+  if (handlers.file) {
+    listeners.file = (...args) => {
+      const [file, initial = false] = payload(args);
+      handlers.file(file, !!initial);
+    };
+  }
+  for (const [event, listener] of Object.entries(listeners)) {
+    target.on(event, listener);
+  }
+  attached.set(target, listeners);
+  return true;
+}
+
+/**
+ * Stop listening to what was attached with attachListeners
+ * @param {Map} attached Listeners per target, kept by the caller
+ * @param {Room|ManyRooms} target
+ * @returns {boolean} Whether it was attached
+ */
+function detachListeners(attached, target) {
+  const listeners = attached.get(target);
+  if (!listeners) {
+    return false;
+  }
+  for (const [event, listener] of Object.entries(listeners)) {
+    target.removeListener(event, listener);
+  }
+  attached.delete(target);
+  return true;
+}
+
+/**
+ * Hand an error to the error listeners of an emitter, or log it when there
+ * are none, as an unheard error event would take the process down
+ * @param {EventEmitter} emitter
+ * @param {string} what Log message
+ * @param {Error} ex
+ * @param {...*} args More error event arguments
+ */
+function reportError(emitter, what, ex, ...args) {
+  if (emitter.listenerCount("error")) {
+    emitter.emit("error", ex, ...args);
+    return;
+  }
+  error(what, ex);
+}
+
 class TeeTransform extends Transform {
   constructor(tee, options) {
     super(options);
@@ -115,11 +386,332 @@ class ProgressTransform extends Transform {
   }
 }
 
+/**
+ * Drops the first bytes of a stream
+ */
+class SkipTransform extends Transform {
+  constructor(skip, options) {
+    super(options);
+    this.skip = skip;
+  }
+
+  _transform(chunk, encoding, cb) {
+    if (this.skip >= chunk.length) {
+      this.skip -= chunk.length;
+      cb();
+      return;
+    }
+    if (this.skip) {
+      chunk = chunk.slice(this.skip);
+      this.skip = 0;
+    }
+    cb(null, chunk);
+  }
+}
+
+/**
+ * Errors out once a stream grows larger than a limit
+ */
+class LimitTransform extends Transform {
+  constructor(limit, options) {
+    super(options);
+    this.limit = limit;
+    this.seen = 0;
+  }
+
+  _transform(chunk, encoding, cb) {
+    this.seen += chunk.length;
+    if (this.seen > this.limit) {
+      cb(new VolaError(`Stream exceeds limit of ${this.limit} bytes`));
+      return;
+    }
+    cb(null, chunk);
+  }
+}
+
+/**
+ * Errors out when a stream stalls for too long, such as when the other side
+ * of a connection went away without saying goodbye
+ */
+class WatchdogTransform extends Transform {
+  constructor(timeout, options) {
+    super(options);
+    this.timeout = timeout;
+    this.timer = null;
+    this.on("pipe", () => this._arm());
+  }
+
+  _arm() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.destroy(new VolaError(`Stream stalled for ${this.timeout}ms`));
+    }, this.timeout);
+  }
+
+  _transform(chunk, encoding, cb) {
+    this._arm();
+    cb(null, chunk);
+  }
+
+  _flush(cb) {
+    clearTimeout(this.timer);
+    cb();
+  }
+
+  _destroy(err, cb) {
+    clearTimeout(this.timer);
+    cb(err);
+  }
+}
+
+/**
+ * Write a file so that readers see either the old or the new contents,
+ * never half of it
+ * @param {string} file
+ * @param {string|Buffer} data
+ * @param {Object} [options] fs.writeFile options, such as .mode
+ */
+async function writeAtomically(file, data, options) {
+  // A new temp file every time: concurrent writes cannot mix, and the mode
+  // only applies to files that are created
+  const tmp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  try {
+    await writeFile(tmp, data, Object.assign({}, options, {flag: "wx"}));
+    await rename(tmp, file);
+  }
+  catch (ex) {
+    await unlink(tmp).catch(() => {});
+    throw ex;
+  }
+}
+
+/**
+ * Split a text into chunks no longer than max, on line breaks if possible,
+ * else on whitespace, else wherever (for ridiculously long words).
+ * @param {string} text
+ * @param {number} max Maximum chunk length
+ * @returns {string[]}
+ */
+function splitMessage(text, max) {
+  if (!(max >= 1)) {
+    throw new VolaError("Invalid maximum length");
+  }
+  const rv = [];
+  let rest = text.trim();
+  while (rest.length > max) {
+    const window = rest.slice(0, max + 1);
+    let cut = window.lastIndexOf("\n");
+    if (cut <= 0) {
+      cut = max;
+      while (cut > 0 && !/\s/.test(window[cut])) {
+        cut--;
+      }
+    }
+    if (cut <= 0) {
+      cut = max;
+      // Do not tear surrogate pairs apart
+      const code = rest.charCodeAt(cut - 1);
+      if (cut > 1 && code >= 0xd800 && code <= 0xdbff) {
+        cut--;
+      }
+    }
+    const chunk = rest.slice(0, cut).trim();
+    if (chunk) {
+      rv.push(chunk);
+    }
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) {
+    rv.push(rest);
+  }
+  return rv;
+}
+
+/**
+ * Turn a glob such as `**\/*.{jpg,png}` into a RegExp.
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let rv = "";
+  let braces = 0;
+  for (let i = 0; i < glob.length; ++i) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        // **/ matches any number of directories, including none
+        const slash = glob[i + 2] === "/";
+        rv += slash ? "(?:.*/)?" : ".*";
+        i += slash ? 2 : 1;
+      }
+      else {
+        rv += "[^/]*";
+      }
+    }
+    else if (c === "?") {
+      rv += "[^/]";
+    }
+    else if (c === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end < 0) {
+        rv += "\\[";
+        continue;
+      }
+      const cls = glob.slice(i + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\");
+      rv += `[${cls}]`;
+      i = end;
+    }
+    else if (c === "{") {
+      ++braces;
+      rv += "(?:";
+    }
+    else if (c === "}" && braces) {
+      --braces;
+      rv += ")";
+    }
+    else if (c === "," && braces) {
+      rv += "|";
+    }
+    else {
+      rv += c.replace(/[.+^${}()|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${rv}$`);
+}
+
+function toMatcher(globs) {
+  if (!globs) {
+    return null;
+  }
+  const res = (Array.isArray(globs) ? globs : [globs]).map(g => {
+    // Patterns without a slash match the name anywhere in the tree
+    return [g.includes("/"), globToRegExp(g)];
+  });
+  return rel => res.some(([full, re]) => {
+    return re.test(full ? rel : path.posix.basename(rel));
+  });
+}
+
+/**
+ * Find all files in a directory tree
+ * @param {string} dir Directory to walk
+ * @param {Object} [options]
+ * @param {string|string[]} [options.include] Only files matching these globs
+ * @param {string|string[]} [options.exclude] No files matching these globs
+ * @returns {string[]} Paths of the files found, sorted
+ */
+async function walkFiles(dir, options) {
+  const {include = null, exclude = null} = options || {};
+  const included = toMatcher(include);
+  const excluded = toMatcher(exclude);
+  const rv = [];
+  const walk = async rel => {
+    const entries = await readdir(path.join(dir, rel), {withFileTypes: true});
+    for (const entry of entries) {
+      const erel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(erel);
+      }
+      else if (entry.isFile() &&
+        (!included || included(erel)) &&
+        (!excluded || !excluded(erel))) {
+        rv.push(path.join(dir, erel));
+      }
+    }
+  };
+  await walk("");
+  return rv.sort();
+}
+
+/**
+ * Runs async functions, but not too many at once
+ */
+class Limiter {
+  /**
+   * @param {number} concurrency Maximum number of functions running at once
+   */
+  constructor(concurrency) {
+    if (!(concurrency >= 1)) {
+      throw new VolaError("Invalid concurrency");
+    }
+    this.concurrency = concurrency;
+    this.running = 0;
+    this.queue = [];
+    this.waiters = [];
+  }
+
+  /**
+   * Number of functions running or waiting to run
+   * @returns {number}
+   */
+  get pending() {
+    return this.running + this.queue.length;
+  }
+
+  /**
+   * Run a function once there is a free slot
+   * @param {function} fn Async function to run
+   * @returns {Promise} Whatever fn returns
+   */
+  run(fn) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({fn, resolve, reject});
+      this._next();
+    });
+  }
+
+  /**
+   * Wait until nothing is running or waiting anymore
+   * @returns {Promise}
+   */
+  idle() {
+    if (!this.pending) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  _next() {
+    while (this.running < this.concurrency && this.queue.length) {
+      const {fn, resolve, reject} = this.queue.shift();
+      ++this.running;
+      Promise.resolve().then(fn).then(resolve, reject).then(() => {
+        --this.running;
+        this._next();
+      });
+    }
+    if (!this.pending) {
+      const {waiters} = this;
+      this.waiters = [];
+      waiters.forEach(resolve => resolve());
+    }
+  }
+}
+
 module.exports = {
+  DEFAULT_SITE,
   parseId,
   verifyNick,
+  toServer,
+  toEndpoints,
+  onSite,
   sleep,
   deadline,
+  abortController,
+  isFile,
+  defaultExempt,
+  attachListeners,
+  detachListeners,
+  reportError,
   TeeTransform,
-  ProgressTransform
+  ProgressTransform,
+  SkipTransform,
+  LimitTransform,
+  WatchdogTransform,
+  Limiter,
+  globToRegExp,
+  walkFiles,
+  splitMessage,
+  writeAtomically,
 };
@@ -0,0 +1,64 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {Archiver} = require("../lib");
+const {startServer, connectRoom, once, sleep} = require("./helpers");
+
+describe("Archiver", () => {
+  let server;
+  let room;
+  let dir;
+
+  beforeEach(async () => {
+    server = await startServer();
+    room = await connectRoom(server);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-archiver-"));
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it("downloads the same data only once, even at once", async () => {
+    const archiver = new Archiver(room, {dir, concurrency: 2});
+    const archived = [];
+    const duplicates = [];
+    archiver.on("archived", file => archived.push(file.name));
+    archiver.on("duplicate", file => duplicates.push(file.name));
+    await archiver.start();
+    const mroom = server.getRoom("BEEPi");
+    mroom.addFile({name: "a.txt", data: "same"});
+    mroom.addFile({name: "b.txt", data: "same"});
+    while (archived.length + duplicates.length < 2) {
+      await sleep(10);
+    }
+    archiver.stop();
+    assert.strictEqual(archived.length, 1);
+    assert.strictEqual(duplicates.length, 1);
+    const data = fs.readdirSync(dir).filter(f => f.endsWith(".txt"));
+    assert.strictEqual(data.length, 1);
+  });
+
+  it("reports manifests it failed to save", async () => {
+    const archiver = new Archiver(room, {
+      dir,
+      manifest: path.join(dir, "missing", "manifest.json"),
+    });
+    const errors = [];
+    archiver.on("error", ex => errors.push(ex));
+    await archiver.start();
+    const archived = once(archiver, "archived");
+    server.getRoom("BEEPi").addFile({name: "a.txt", data: "a"});
+    await archived;
+    await archiver.idle();
+    archiver.stop();
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].code, "ENOENT");
+  });
+});
@@ -0,0 +1,230 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {
+  AutoModerator, Room, Session, VolaPrivilegeError
+} = require("../lib");
+const {startServer, connectRoom, once, call, sleep} = require("./helpers");
+
+describe("AutoModerator rules", () => {
+  const mod = new AutoModerator();
+
+  it("refuses rules that make no sense", () => {
+    assert.throws(() => mod.rule("", {on: "chat", actions: ["remove"]}),
+      /Rules need a name/);
+    assert.throws(() => mod.rule("x", {on: "users", actions: ["remove"]}),
+      /on chat or file/);
+    assert.throws(() => mod.rule("x", {on: "chat"}), /Rules need actions/);
+    assert.throws(() => mod.rule("x", {on: "chat", actions: ["explode"]}),
+      /Unknown action: explode/);
+    assert.throws(() => mod.rule("x", {on: "chat", actions: ["delete"]}),
+      /Cannot delete on chat/);
+    assert.throws(() => mod.rule("x", {on: "file", actions: [{timeout: 0}]}),
+      /Invalid options for timeout/);
+    assert.throws(() => mod.rule("x", {
+      on: "file",
+      actions: [{ban: {hours: 1}, timeout: 1}],
+    }), /single name/);
+    assert.throws(() => mod.rule("x", {
+      on: "chat",
+      match: {colour: "red"},
+      actions: ["remove"],
+    }), /Unknown chat rule field: colour/);
+    assert.throws(() => mod.rule("x", {
+      on: "chat",
+      rate: {count: 0, per: 1000},
+      actions: ["remove"],
+    }), /Invalid rate/);
+    assert.strictEqual(mod.rules.size, 0);
+  });
+
+  it("refuses duplicate names, until removed", () => {
+    const rule = mod.rule("dupe", {on: "chat", actions: ["remove"]});
+    assert.ok(Object.isFrozen(rule));
+    assert.throws(() => mod.rule("dupe", {on: "chat", actions: ["remove"]}),
+      /already registered/);
+    mod.remove("dupe");
+    mod.rule("dupe", {on: "chat", actions: ["remove"]});
+    mod.remove("dupe");
+  });
+
+  it("fires rated rules per sender, once often enough", () => {
+    const rule = mod.rule("rated", {
+      on: "chat",
+      match: {text: ["spam", "eggs"]},
+      rate: {count: 3, per: 1000},
+      actions: ["remove"],
+    });
+    mod.remove("rated");
+    const msg = (nick, message) => ({nick, message, ip: null});
+    const now = Date.now();
+    assert.strictEqual(rule.matches(msg("A", "SPAM"), now), false);
+    assert.strictEqual(rule.matches(msg("B", "green eggs"), now), false);
+    assert.strictEqual(rule.matches(msg("A", "ham"), now), false);
+    assert.strictEqual(rule.matches(msg("a", "more spam"), now + 1), false);
+    assert.strictEqual(rule.matches(msg("A", "spam!"), now + 2), true);
+    // Starts counting from scratch
+    assert.strictEqual(rule.matches(msg("A", "spam"), now + 3), false);
+    // Old hits do not count anymore
+    assert.strictEqual(rule.matches(msg("B", "eggs"), now + 1001), false);
+    assert.strictEqual(rule.matches(msg("B", "eggs"), now + 1002), false);
+  });
+});
+
+describe("AutoModerator", () => {
+  let server;
+  let mroom;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+    mroom = server.getRoom("BEEPi");
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  async function connectAdmin() {
+    server.addUser("Boss", "hunter3", {admin: true});
+    const session = new Session("Boss", {server: server.url});
+    await session.login("hunter3");
+    room = new Room("BEEPi", "Boss", {server: server.url, session});
+    await room.connect();
+    while (!room.admin) {
+      await sleep(10);
+    }
+    return room;
+  }
+
+  it("only tells what it would do in a dry run", async () => {
+    room = await connectRoom(server);
+    const logged = [];
+    const mod = new AutoModerator({dryRun: true, log: l => logged.push(l)});
+    mod.rule("no-exe", {
+      on: "file",
+      match: {name: /\.exe$/},
+      actions: ["delete", {blacklist: {hours: 24, reason: "malware"}}],
+    });
+    mod.attach(room);
+    const actions = [];
+    mod.on("action", ctx => actions.push(ctx));
+    const added = once(room, "file");
+    const {id} = mroom.addFile({name: "free.exe", uploader: "Shady"});
+    await added;
+    while (actions.length < 2) {
+      await sleep(10);
+    }
+    assert.ok(mroom.files.has(id));
+    assert.deepStrictEqual(actions.map(a => [a.action, a.dryRun, a.error]), [
+      ["delete", true, null],
+      ["blacklist", true, null],
+    ]);
+    assert.deepStrictEqual(logged, [
+      "[dry run] BEEPi: no-exe would delete (but lacking privileged " +
+        `privileges): @${id} (free.exe) by Shady`,
+      "[dry run] BEEPi: no-exe would blacklist " +
+        "{\"hours\":24,\"reason\":\"malware\"} (but lacking admin " +
+        `privileges): @${id} (free.exe) by Shady`,
+    ]);
+    mod.detach(room);
+  });
+
+  it("reports actions it is not allowed to take", async () => {
+    room = await connectRoom(server);
+    const mod = new AutoModerator();
+    mod.rule("no-exe", {on: "file", actions: ["delete"]});
+    const failed = once(mod, "error");
+    mod.attach(room);
+    mroom.addFile({name: "free.exe"});
+    const [ex, ctx] = await failed;
+    assert.ok(ex instanceof VolaPrivilegeError);
+    assert.strictEqual(ex.message, "delete requires privileged privileges");
+    assert.strictEqual(ctx.error, ex);
+    assert.strictEqual(ctx.rule, "no-exe");
+    mod.detach(room);
+  });
+
+  it("acts, when allowed to", async () => {
+    await connectAdmin();
+    const mod = new AutoModerator();
+    const seen = [];
+    mod.rule("no-exe", {
+      on: "file",
+      match: {name: /\.exe$/, uploader: "shady"},
+      actions: [
+        "delete",
+        function note(file, options, ctx) {
+          seen.push([file.name, options, ctx.rule]);
+        },
+      ],
+    });
+    mod.on("error", ex => assert.fail(ex));
+    mod.attach(room);
+    const deleted = call(server, "deleteFiles");
+    const {id} = mroom.addFile({name: "free.exe", uploader: "Shady"});
+    assert.deepStrictEqual(await deleted, [[id]]);
+    assert.ok(!mroom.files.has(id));
+    while (!seen.length) {
+      await sleep(10);
+    }
+    assert.deepStrictEqual(seen, [["free.exe", null, "no-exe"]]);
+
+    const banned = call(server, "banUser");
+    mod.rule("shouting", {
+      on: "chat",
+      match: {text: /^[A-Z ]{5,}$/},
+      actions: [{ban: {hours: 1, reason: "shouting"}}],
+    });
+    mroom.chat("Loud", "STOP IT", {ip: "10.0.0.2"});
+    const [specs, options] = await banned;
+    assert.deepStrictEqual(specs, [{ip: "10.0.0.2"}]);
+    assert.strictEqual(options.ban, true);
+    assert.strictEqual(options.reason, "shouting");
+    mod.detach(room);
+  });
+
+  it("leaves staff, itself and the initial files alone", async () => {
+    mroom.addFile({name: "old.exe"});
+    const mod = new AutoModerator();
+    const matched = [];
+    mod.on("match", (rule, target) => {
+      matched.push(target.name || target.message);
+    });
+    mod.rule("files", {on: "file", actions: [() => {}]});
+    mod.rule("chat", {on: "chat", actions: [() => {}]});
+    room = new Room("BEEPi", "MrRobot", {server: server.url});
+    mod.attach(room);
+    await room.connect();
+
+    mroom.chat("Owner", "mine", {owner: true});
+    mroom.chat("Jani", "cleaning", {janitor: true});
+    await room.chat("me");
+    const done = once(room, "file");
+    mroom.chat("Someone", "hi");
+    mroom.addFile({name: "new.exe"});
+    await done;
+    await sleep(10);
+    assert.deepStrictEqual(matched, ["hi", "new.exe"]);
+
+    const checked = await mod.check(room.files.find(f => f.name === "old.exe"));
+    assert.deepStrictEqual(checked.map(c => c.rule), ["files"]);
+    mod.detach(room);
+  });
+
+  it("checks the initial files, if told to", async () => {
+    mroom.addFile({name: "old.exe"});
+    const mod = new AutoModerator({initial: true});
+    mod.rule("files", {on: "file", actions: [() => {}]});
+    const matched = once(mod, "match");
+    room = new Room("BEEPi", "MrRobot", {server: server.url});
+    mod.attach(room);
+    await room.connect();
+    const [rule, file] = await matched;
+    assert.strictEqual(rule.name, "files");
+    assert.strictEqual(file.name, "old.exe");
+    mod.detach(room);
+  });
+});
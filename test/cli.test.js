@@ -0,0 +1,273 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {
+  main, CLI, parseArgs, humanSize, humanDuration
+} = require("../lib/cli");
+const {startServer, once, call} = require("./helpers");
+
+function output() {
+  return {
+    isTTY: false,
+    text: "",
+    write(data) {
+      this.text += data;
+      return true;
+    },
+  };
+}
+
+describe("parseArgs", () => {
+  const spec = {
+    nick: "string",
+    json: "boolean",
+    hours: "number",
+    output: "string",
+  };
+
+  it("understands long and short options", () => {
+    assert.deepStrictEqual(
+      parseArgs(["files", "-n", "Robot", "--json", "BEEPi", "-o=out"], spec),
+      {
+        args: ["files", "BEEPi"],
+        options: {nick: "Robot", json: true, output: "out"},
+      });
+  });
+
+  it("understands booleans, numbers and --", () => {
+    assert.deepStrictEqual(
+      parseArgs(["--no-json", "--hours=2.5", "--", "--nick"], spec),
+      {args: ["--nick"], options: {json: false, hours: 2.5}});
+    assert.deepStrictEqual(
+      parseArgs(["--json=no"], spec).options, {json: false});
+  });
+
+  it("refuses what it does not understand", () => {
+    assert.throws(() => parseArgs(["--nope"], spec), /Unknown option/);
+    assert.throws(() => parseArgs(["--no-nick"], spec), /Unknown option/);
+    assert.throws(() => parseArgs(["--nick"], spec), /needs a value/);
+    assert.throws(() => parseArgs(["--hours", "x"], spec), /needs a number/);
+  });
+});
+
+describe("humanSize and humanDuration", () => {
+  it("prints sizes", () => {
+    assert.strictEqual(humanSize(0), "0 B");
+    assert.strictEqual(humanSize(1023), "1023 B");
+    assert.strictEqual(humanSize(1536), "1.5 KiB");
+    assert.strictEqual(humanSize(3 * 1024 * 1024 * 1024), "3.0 GiB");
+  });
+
+  it("prints durations", () => {
+    assert.strictEqual(humanDuration(0), "expired");
+    assert.strictEqual(humanDuration(5 * 60000), "5m");
+    assert.strictEqual(humanDuration(90 * 60000), "1h 30m");
+    assert.strictEqual(humanDuration(50 * 3600000), "2d 2h");
+  });
+});
+
+describe("volapi", () => {
+  let server;
+  let mroom;
+  let dir;
+  let env;
+
+  beforeEach(async () => {
+    server = await startServer();
+    mroom = server.getRoom("BEEPi");
+    server.addUser("Robot", "hunter2");
+    server.addUser("Boss", "hunter3", {admin: true});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-cli-"));
+    env = {VOLAPI_SESSION_FILE: path.join(dir, "session.json")};
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  async function volapi(...argv) {
+    const stdout = output();
+    const stderr = output();
+    const code = await main(argv.concat(["--server", server.url]), {
+      stdout,
+      stderr,
+      env,
+    });
+    return {code, stdout: stdout.text, stderr: stderr.text};
+  }
+
+  function json(rv) {
+    assert.strictEqual(rv.code, 0, rv.stderr);
+    return JSON.parse(rv.stdout);
+  }
+
+  it("prints usage", async () => {
+    const help = await volapi("--help");
+    assert.strictEqual(help.code, 0);
+    assert.match(help.stdout, /^Usage: volapi <command>/);
+
+    const none = await volapi();
+    assert.strictEqual(none.code, 2);
+    assert.match(none.stderr, /^Usage: volapi <command>/);
+
+    const noroom = await volapi("files");
+    assert.strictEqual(noroom.code, 2);
+    assert.strictEqual(noroom.stderr, "Usage: volapi files <room>\n");
+
+    const bad = await volapi("files", "BEEPi", "--verify");
+    assert.strictEqual(bad.code, 2);
+    assert.match(bad.stderr, /Unknown option: --verify/);
+  });
+
+  it("logs in, uses the stored session and logs out", async () => {
+    env.VOLAPI_PASSWORD = "hunter2";
+    assert.deepStrictEqual(json(await volapi("login", "-n", "Robot", "-j")), {
+      nick: "Robot",
+      sessionFile: env.VOLAPI_SESSION_FILE,
+    });
+    delete env.VOLAPI_PASSWORD;
+
+    const used = call(server, "useSession");
+    assert.strictEqual((await volapi("files", "BEEPi")).code, 0);
+    const [session] = await used;
+    assert.strictEqual(server.sessions.get(session), "Robot");
+
+    const out = await volapi("logout");
+    assert.strictEqual(out.stdout, "Logged out\n");
+    assert.ok(!fs.existsSync(env.VOLAPI_SESSION_FILE));
+  });
+
+  it("wants a password to log in", async () => {
+    const rv = await volapi("login", "--nick", "Robot", "--json");
+    assert.strictEqual(rv.code, 1);
+    assert.deepStrictEqual(JSON.parse(rv.stdout), {
+      error: "Need $VOLAPI_PASSWORD and a --nick ($VOLAPI_NICK)"
+    });
+    assert.match(rv.stderr, /^volapi: Need \$VOLAPI_PASSWORD/);
+  });
+
+  it("lists files", async () => {
+    assert.strictEqual((await volapi("files", "BEEPi")).stdout, "No files\n");
+    const file = mroom.addFile({name: "a.txt", data: "abc"});
+    mroom.addFile({name: "b.txt", data: "x".repeat(2048)});
+
+    const [a, b] = json(await volapi("files", "BEEPi", "--json"));
+    assert.strictEqual(a.id, file.id);
+    assert.strictEqual(a.name, "a.txt");
+    assert.strictEqual(a.size, 3);
+    assert.strictEqual(b.name, "b.txt");
+
+    const lines = (await volapi("files", "BEEPi")).stdout.trim().split("\n");
+    assert.strictEqual(lines.length, 3);
+    assert.match(lines[0], /^ID\s+SIZE\s+EXPIRES\s+UPLOADER\s+NAME$/);
+    assert.match(lines[1], new RegExp(`^${file.id}\\s+3 B\\s+\\d+h \\d+m`));
+    assert.match(lines[2], /2\.0 KiB.*b\.txt$/);
+  });
+
+  it("uploads and downloads", async () => {
+    const src = path.join(dir, "src.txt");
+    fs.writeFileSync(src, "hello world");
+    const [up] = json(await volapi(
+      "upload", "BEEPi", src, "--name", "hello.txt", "--json"));
+    assert.strictEqual(up.name, "hello.txt");
+    assert.ok(mroom.files.get(up.id));
+
+    const out = path.join(dir, "out");
+    fs.mkdirSync(out);
+    const [down] = json(await volapi(
+      "download", "BEEPi", up.id, "-o", out, "--verify", "--json"));
+    assert.strictEqual(down.id, up.id);
+    assert.strictEqual(down.size, 11);
+    assert.strictEqual(fs.readFileSync(down.path, "utf-8"), "hello world");
+
+    const missing = await volapi("download", "BEEPi", "nope");
+    assert.strictEqual(missing.code, 1);
+    assert.strictEqual(missing.stderr, "volapi: No such file: nope\n");
+  });
+
+  it("refuses to --name several uploads", async () => {
+    const rv = await volapi("upload", "BEEPi", "a", "b", "--name", "c");
+    assert.strictEqual(rv.code, 1);
+    assert.match(rv.stderr, /--name only works for a single file/);
+  });
+
+  it("moderates when logged in as somebody who may", async () => {
+    const file = mroom.addFile({name: "bad.exe"});
+    const anon = await volapi("delete", "BEEPi", file.id);
+    assert.strictEqual(anon.code, 1);
+    assert.ok(mroom.files.has(file.id));
+
+    env.VOLAPI_PASSWORD = "hunter3";
+    const called = call(server, "deleteFiles");
+    const deleted = json(await volapi(
+      "delete", "BEEPi", file.id, "-n", "Boss", "-j"));
+    assert.deepStrictEqual(deleted, {ok: true, deleted: [file.id]});
+    assert.deepStrictEqual(await called, [[file.id]]);
+    assert.ok(!mroom.files.has(file.id));
+
+    const banned = call(server, "banUser");
+    const rv = await volapi(
+      "ban", "BEEPi", "user:Moron", "1.2.3.4", "--hours", "2",
+      "--mute", "-n", "Boss");
+    assert.strictEqual(rv.stdout, "Done\n");
+    const [specs, options] = await banned;
+    assert.deepStrictEqual(specs, [{user: "Moron"}, {ip: "1.2.3.4"}]);
+    assert.strictEqual(options.hours, 2);
+    assert.strictEqual(options.mute, true);
+    assert.strictEqual(options.ban, false);
+  });
+
+  it("shows and changes the config", async () => {
+    mroom.config.motd = "hi";
+    assert.deepStrictEqual(
+      json(await volapi("config", "BEEPi", "motd", "-j")), {motd: "hi"});
+    assert.strictEqual(
+      (await volapi("config", "BEEPi", "motd")).stdout, "motd: \"hi\"\n");
+
+    env.VOLAPI_PASSWORD = "hunter3";
+    const rv = await volapi(
+      "config", "BEEPi", "file_ttl", "24", "-n", "Boss", "-j");
+    assert.deepStrictEqual(json(rv), {ok: true, file_ttl: 24});
+    assert.strictEqual(mroom.config.file_ttl, 24);
+  });
+
+  it("tails the chat and uploads", async () => {
+    const stdout = output();
+    const cli = new CLI({stdout, stderr: output(), env});
+    const opened = new Promise(resolve => {
+      const {openRoom} = cli;
+      cli.openRoom = async function(...args) {
+        const room = await openRoom.apply(this, args);
+        resolve(room);
+        return room;
+      };
+    });
+    mroom.addFile({name: "old.txt"});
+    const running = cli.run([
+      "tail", "BEEPi", "--files", "--json", "--server", server.url]);
+    const room = await opened;
+    const chat = once(room, "chat");
+    mroom.chat("Someone", "hello");
+    await chat;
+    const file = once(room, "file");
+    mroom.addFile({name: "new.txt"});
+    await file;
+    await room.close();
+    assert.strictEqual(await running, 0);
+
+    const lines = stdout.text.trim().split("\n").map(l => JSON.parse(l));
+    assert.deepStrictEqual(lines.map(l => [l.type, l.room]), [
+      ["chat", "BEEPi"],
+      ["file", "BEEPi"],
+    ]);
+    assert.strictEqual(lines[0].nick, "Someone");
+    assert.strictEqual(lines[0].message, "hello");
+    assert.strictEqual(lines[1].name, "new.txt");
+    assert.strictEqual(lines[1].fileType, "document");
+  });
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it} = require("node:test");
+const {CommandRouter} = require("../lib/commands");
+const {sleep} = require("./helpers");
+
+function chat(nick, message) {
+  return {nick, message, self: false, system: false};
+}
+
+describe("CommandRouter", () => {
+  it("runs commands with their arguments", async () => {
+    const router = new CommandRouter({help: false});
+    const runs = [];
+    router.command("roll", {args: ["dice?"]}, ctx => runs.push(ctx.args));
+    assert.strictEqual(await router.dispatch(chat("Bob", "!roll 2d6")), true);
+    assert.strictEqual(await router.dispatch(chat("Bob", "roll 2d6")), false);
+    assert.deepStrictEqual(runs, [{dice: "2d6"}]);
+  });
+
+  it("keeps cooldowns of commands apart", async () => {
+    const router = new CommandRouter({help: false});
+    const runs = [];
+    router.command("slow", {cooldown: 60 * 1000}, () => runs.push("slow"));
+    router.command("fast", {cooldown: 10}, () => runs.push("fast"));
+    const cooled = [];
+    router.on("cooldown", ctx => cooled.push(ctx.name));
+
+    await router.dispatch(chat("Bob", "!slow"));
+    await router.dispatch(chat("Bob", "!fast"));
+    await sleep(20);
+    // The short cooldown is over, and must not take the long one with it
+    await router.dispatch(chat("Bob", "!fast"));
+    await router.dispatch(chat("Bob", "!slow"));
+    await router.dispatch(chat("Alice", "!slow"));
+    assert.deepStrictEqual(runs, ["slow", "fast", "fast", "slow"]);
+    assert.deepStrictEqual(cooled, ["slow"]);
+  });
+});
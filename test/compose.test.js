@@ -0,0 +1,114 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {splitMessage, deadline} = require("../lib/util");
+const {startServer, connectRoom} = require("./helpers");
+
+const MAX = 40;
+
+describe("MessageBuilder", () => {
+  let server;
+  let room;
+  let files;
+
+  beforeEach(async () => {
+    server = await startServer();
+    const mroom = server.getRoom("BEEPi");
+    mroom.config.chat_max_message_length = MAX;
+    files = ["a.txt", "b.txt", "c.txt"].map(name => mroom.addFile({name}));
+    room = await connectRoom(server);
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  it("mentions files and rooms, spaced out from the text", () => {
+    const file = room.getFile(files[0].id);
+    const msg = room.compose("see", file, "in").
+      mentionRoom("other").
+      text(",").
+      line().
+      mentionFile(files[1].id).
+      build();
+    assert.strictEqual(
+      msg, `see @${files[0].id} in #other ,\n@${files[1].id}`);
+  });
+
+  it("refuses files not in the room, unless told otherwise", () => {
+    assert.throws(() => room.compose().mentionFile("nope").build(),
+      /No such file\(s\): nope/);
+    const builder = room.compose().mentionFile("nope");
+    builder.strict = false;
+    assert.strictEqual(builder.build(), "@nope");
+  });
+
+  it("refuses whatever is neither text, file nor room", () => {
+    assert.throws(() => room.compose(42), /Cannot add 42/);
+  });
+
+  it("splits within the length limit of the room", () => {
+    const words = Array.from({length: 30}, (_, i) => `word${i}`);
+    const chunks = room.compose(words.join(" ")).split();
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.length <= MAX), chunks);
+    assert.deepStrictEqual(chunks.join(" ").split(" "), words);
+  });
+
+  it("does not split inside mentions", () => {
+    const builder = room.compose();
+    for (let i = 0; i < 12; ++i) {
+      builder.text(`x${i}`).mentionFile(files[i % files.length].id);
+    }
+    const chunks = builder.split();
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(c => c.length <= MAX), chunks);
+    const mentions = chunks.join(" ").match(/@\S+/g);
+    assert.strictEqual(mentions.length, 12);
+    assert.ok(mentions.every((m, i) => m === `@${files[i % 3].id}`));
+  });
+
+  it("sends all the chunks", async () => {
+    const builder = room.compose("lorem ipsum dolor sit amet ".repeat(4));
+    const chunks = builder.split();
+    assert.ok(chunks.length > 1);
+    const received = [];
+    const all = new Promise(resolve => room.on("chat", msg => {
+      received.push(msg.message);
+      if (received.length === chunks.length) {
+        resolve();
+      }
+    }));
+    await builder.send();
+    await Promise.race([all, deadline(5000)]);
+    assert.deepStrictEqual(received, chunks);
+  });
+});
+
+describe("splitMessage", () => {
+  it("leaves short messages alone", () => {
+    assert.deepStrictEqual(splitMessage("  hello  ", 5), ["hello"]);
+    assert.deepStrictEqual(splitMessage("   ", 5), []);
+  });
+
+  it("prefers line breaks over whitespace", () => {
+    assert.deepStrictEqual(
+      splitMessage("one two\nthree four", 14), ["one two", "three four"]);
+  });
+
+  it("cuts ridiculously long words wherever", () => {
+    assert.deepStrictEqual(
+      splitMessage("abcdefghij", 4), ["abcd", "efgh", "ij"]);
+  });
+
+  it("does not tear surrogate pairs apart", () => {
+    const chunks = splitMessage("ab\u{1F600}cd", 3);
+    assert.deepStrictEqual(chunks, ["ab", "\u{1F600}c", "d"]);
+  });
+
+  it("refuses invalid limits", () => {
+    assert.throws(() => splitMessage("hello", 0), /Invalid maximum length/);
+  });
+});
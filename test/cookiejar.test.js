@@ -0,0 +1,79 @@
+"use strict";
+
+const assert = require("assert");
+const http = require("http");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {CookieJar, fetchWithCookies} = require("../lib/cookiejar");
+const {VolaError} = require("../lib/error");
+
+describe("fetchWithCookies", () => {
+  let server;
+  let base;
+
+  beforeEach(async () => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+      case "/login":
+        res.writeHead(req.method === "POST" ? 303 : 302, {
+          "Set-Cookie": "session=abc; Path=/",
+          "Location": "/home",
+        });
+        res.end();
+        return;
+
+      case "/home":
+        res.writeHead(200);
+        res.end(`${req.method} ${req.headers.cookie || ""}`);
+        return;
+
+      default:
+        res.writeHead(302, {Location: req.url});
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it("keeps cookies set by redirects", async () => {
+    const jar = new CookieJar();
+    const resp = await fetchWithCookies(`${base}/login`, {
+      headers: {Cookie: jar},
+    });
+    assert.strictEqual(resp.status, 200);
+    assert.strictEqual(resp.url, `${base}/home`);
+    assert.strictEqual(await resp.text(), "GET session=abc");
+    assert.strictEqual(jar.header(`${base}/`), "session=abc");
+  });
+
+  it("turns posts into gets on see other", async () => {
+    const jar = new CookieJar();
+    const resp = await fetchWithCookies(`${base}/login`, {
+      method: "POST",
+      body: "nick=MrRobot",
+      headers: {Cookie: jar},
+    });
+    assert.strictEqual(await resp.text(), "GET session=abc");
+  });
+
+  it("leaves redirects alone when asked to", async () => {
+    const jar = new CookieJar();
+    const resp = await fetchWithCookies(`${base}/login`, {
+      redirect: "manual",
+      headers: {Cookie: jar},
+    });
+    assert.strictEqual(resp.status, 302);
+    assert.strictEqual(jar.header(`${base}/`), "session=abc");
+  });
+
+  it("gives up on redirect loops", async () => {
+    await assert.rejects(fetchWithCookies(`${base}/loop`, {
+      follow: 3,
+      headers: {Cookie: new CookieJar()},
+    }), VolaError);
+  });
+});
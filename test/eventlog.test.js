@@ -0,0 +1,152 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const EventEmitter = require("events");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {EventLogger, LogReader} = require("../lib");
+const {startServer, connectRoom, once} = require("./helpers");
+
+function fakeRoom() {
+  const room = new EventEmitter();
+  room.id = "fake";
+  room.config = {name: "Fake", custom_room_id: "fakeroom"};
+  return room;
+}
+
+function logFiles(dir) {
+  return fs.readdirSync(dir).filter(f => f.endsWith(".jsonl")).sort();
+}
+
+describe("EventLogger", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-eventlog-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it("replays chat and files as messages and files", async () => {
+    const server = await startServer();
+    const room = await connectRoom(server);
+    try {
+      const logger = new EventLogger(room, {dir});
+      const mroom = server.getRoom("BEEPi");
+      const chat = once(room, "chat");
+      mroom.chat("Someone", "hello\nworld");
+      await chat;
+      const added = once(room, "file");
+      const {id} = mroom.addFile({name: "a.txt", data: "abc"});
+      await added;
+      const deleted = once(room, "delete_file");
+      mroom.removeFile(id);
+      await deleted;
+      await logger.close();
+    }
+    finally {
+      await room.close();
+      await server.close();
+    }
+
+    const events = [];
+    const reader = new LogReader(dir);
+    reader.on("room", r => {
+      r.on("chat", msg => events.push(["chat", msg.nick, msg.message]));
+      r.on("file", file => events.push(["file", file.name, file.size]));
+      r.on("delete_file", fid => events.push(["delete_file", fid]));
+    });
+    const rooms = await reader.replay();
+    const replayed = rooms.get("BEEPi");
+    assert.ok(replayed);
+    assert.deepStrictEqual(events.map(e => e[0]), [
+      "chat", "file", "delete_file"
+    ]);
+    assert.deepStrictEqual(events[0], ["chat", "Someone", "hello\nworld"]);
+    assert.deepStrictEqual(events[1], ["file", "a.txt", 3]);
+    assert.strictEqual(replayed.files.length, 0);
+    assert.strictEqual(replayed.config.custom_room_id, "BEEPi");
+  });
+
+  it("rotates, starting every file with the config", async () => {
+    const room = fakeRoom();
+    const logger = new EventLogger(room, {dir, maxSize: 200});
+    for (let i = 0; i < 5; ++i) {
+      room.emit("removeMessages", ["x".repeat(100)]);
+    }
+    await logger.close();
+    const files = logFiles(dir);
+    assert.ok(files.length >= 3, files);
+    for (const file of files) {
+      const reader = new LogReader(path.join(dir, file));
+      const rooms = await reader.replay();
+      const replayed = rooms.get("fake");
+      assert.strictEqual(replayed.alias, "fakeroom");
+      assert.strictEqual(replayed.config.name, "Fake");
+    }
+  });
+
+  it("keeps only the newest files", async () => {
+    const room = fakeRoom();
+    const logger = new EventLogger(room, {dir, maxSize: 1, maxFiles: 2});
+    for (let i = 0; i < 5; ++i) {
+      room.emit("removeMessages", [`${i}`]);
+    }
+    await logger.close();
+    const files = logFiles(dir);
+    assert.strictEqual(files.length, 2);
+    const removed = [];
+    await new LogReader(dir).replay((r, type, payload) => {
+      if (type === "removeMessages") {
+        removed.push(...payload);
+      }
+    });
+    assert.deepStrictEqual(removed, ["3", "4"]);
+  });
+
+  it("stops logging when the room closes", async () => {
+    const room = fakeRoom();
+    const logger = new EventLogger(room, {dir});
+    room.emit("removeMessages", ["before"]);
+    room.emit("close");
+    room.emit("removeMessages", ["after"]);
+    await logger.close();
+    assert.strictEqual(room.listenerCount("removeMessages"), 0);
+    const removed = [];
+    await new LogReader(dir).replay((r, type, payload) => {
+      if (type === "removeMessages") {
+        removed.push(...payload);
+      }
+    });
+    assert.deepStrictEqual(removed, ["before"]);
+  });
+
+  it("skips lines it cannot read", async () => {
+    const file = path.join(dir, "broken.jsonl");
+    fs.writeFileSync(file, [
+      "{not json",
+      JSON.stringify({time: 1, room: "r", type: "config", data: {
+        key: "custom_room_id",
+        value: "alias",
+      }}),
+      "",
+    ].join("\n"));
+    const rooms = await new LogReader(file).replay();
+    assert.strictEqual(rooms.get("r").alias, "alias");
+  });
+
+  it("reports write errors", async () => {
+    const room = fakeRoom();
+    const logger = new EventLogger(room, {dir});
+    room.emit("removeMessages", ["x"]);
+    const failed = once(logger, "error");
+    logger.stream.destroy(new Error("disk on fire"));
+    const [ex] = await failed;
+    assert.strictEqual(ex.message, "disk on fire");
+    await logger.close();
+  });
+});
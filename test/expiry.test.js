@@ -0,0 +1,78 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {startServer, connectRoom, once, sleep} = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("File expiry", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  it("expires files on time", async () => {
+    room = await connectRoom(server, {expiryWarning: 100});
+    const expiring = once(room, "file_expiring");
+    const expired = once(room, "file_expired");
+    const file = server.getRoom("BEEPi").addFile({
+      name: "short.txt",
+      ttl: 300 / HOUR,
+    });
+    const [warned, left] = await expiring;
+    assert.strictEqual(warned.id, file.id);
+    assert.ok(left <= 100);
+    const [gone] = await expired;
+    assert.strictEqual(gone.id, file.id);
+    assert.ok(!room.getFile(file.id));
+  });
+
+  it("does not expire removed files", async () => {
+    room = await connectRoom(server, {expiryWarning: 0});
+    const mroom = server.getRoom("BEEPi");
+    const added = once(room, "file");
+    const file = mroom.addFile({name: "short.txt", ttl: 100 / HOUR});
+    await added;
+    const deleted = once(room, "delete_file");
+    mroom.removeFile(file.id);
+    await deleted;
+    let expired = false;
+    room.on("file_expired", () => expired = true);
+    await sleep(200);
+    assert.strictEqual(expired, false);
+  });
+
+  it("drops expired files from live queries", async () => {
+    room = await connectRoom(server, {expiryWarning: 0});
+    const query = room.watchFiles({name: ".txt"});
+    const matched = once(query, "match");
+    const unmatched = once(query, "unmatch");
+    const file = server.getRoom("BEEPi").addFile({
+      name: "short.txt",
+      ttl: 100 / HOUR,
+    });
+    assert.strictEqual((await matched)[0].id, file.id);
+    assert.strictEqual((await unmatched)[0].id, file.id);
+    assert.deepStrictEqual(query.files, []);
+    query.close();
+  });
+
+  it("does not keep the process alive for files", async () => {
+    room = await connectRoom(server);
+    const timers = () => process.getActiveResourcesInfo().
+      filter(r => r === "Timeout").length;
+    const before = timers();
+    const added = once(room, "file");
+    server.getRoom("BEEPi").addFile({name: "long.txt"});
+    await added;
+    assert.strictEqual(timers(), before);
+  });
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const assert = require("assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {startServer, connectRoom, once, sleep} = require("./helpers");
+
+describe("File", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+    room = await connectRoom(server);
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  it("gets the infos of several files at once", async () => {
+    const mroom = server.getRoom("BEEPi");
+    const added = once(room, "file");
+    mroom.addFile({name: "a.txt", data: "a"});
+    const [a] = await added;
+    const added2 = once(room, "file");
+    mroom.addFile({name: "b.txt", data: "bb"});
+    const [b] = await added2;
+    const [ia, ib] = await Promise.all([a.infos(), b.infos()]);
+    assert.strictEqual(ia.name, "a.txt");
+    assert.strictEqual(ib.name, "b.txt");
+  });
+});
+
+describe("File.download", () => {
+  const DATA = Buffer.from("0123456789abcdef".repeat(8192));
+  let server;
+  let room;
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-download-"));
+    server = await startServer();
+    room = await connectRoom(server);
+    const added = once(room, "file");
+    server.getRoom("BEEPi").addFile({name: "data.bin", data: DATA});
+    [file] = await added;
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it("resumes .part files left behind", async () => {
+    const dest = path.join(dir, "data.bin");
+    fs.writeFileSync(`${dest}.part`, DATA.slice(0, 1000));
+    const calls = [];
+    const rv = await file.download(dir, {
+      progress: (delta, cur, total, host, resumed) => {
+        calls.push({cur, total, resumed});
+      },
+    });
+    assert.deepStrictEqual(rv, {path: dest, size: DATA.length});
+    assert.ok(fs.readFileSync(dest).equals(DATA));
+    assert.ok(!fs.existsSync(`${dest}.part`));
+    assert.ok(calls[0].cur > 1000 && calls[0].cur < DATA.length);
+    assert.ok(calls.every(c => c.resumed === 1 && c.total === DATA.length));
+  });
+
+  it("takes a 416 for the whole .part as done", async () => {
+    const dest = path.join(dir, "data.bin");
+    fs.writeFileSync(`${dest}.part`, DATA);
+    // Without a size, only the server can tell the .part is complete
+    file.size = 0;
+    let requests = 0;
+    const download = server._download;
+    server._download = (...args) => {
+      ++requests;
+      return download.apply(server, args);
+    };
+    const rv = await file.download(dest);
+    assert.strictEqual(rv.size, DATA.length);
+    assert.strictEqual(requests, 1);
+    assert.ok(fs.readFileSync(dest).equals(DATA));
+  });
+
+  it("starts over when the .part is garbage", async () => {
+    const dest = path.join(dir, "data.bin");
+    fs.writeFileSync(`${dest}.part`, Buffer.concat([DATA, DATA]));
+    file.size = 0;
+    const rv = await file.download(dest);
+    assert.strictEqual(rv.size, DATA.length);
+    assert.ok(fs.readFileSync(dest).equals(DATA));
+  });
+
+  it("verifies checksums", async () => {
+    const dest = path.join(dir, "data.bin");
+    const rv = await file.download(dest, {verify: true});
+    assert.strictEqual(
+      rv.checksum, crypto.createHash("md5").update(DATA).digest("hex"));
+  });
+
+  it("throws away downloads not matching the checksum", async () => {
+    server.files.get(file.id).checksum = "0".repeat(32);
+    const dest = path.join(dir, "data.bin");
+    await assert.rejects(
+      file.download(dest, {verify: true}), /Checksum mismatch/);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+
+  it("lets go of stalled connections", async () => {
+    let closed = 0;
+    server._download = (req, res) => {
+      res.on("close", () => ++closed);
+      res.writeHead(200, {"Content-Length": DATA.length});
+      res.write(DATA.slice(0, 100));
+    };
+    await assert.rejects(
+      file.download(path.join(dir, "data.bin"), {timeout: 100, retries: 1}),
+      /stalled/);
+    for (let i = 0; i < 50 && closed < 2; ++i) {
+      await sleep(20);
+    }
+    assert.strictEqual(closed, 2);
+  });
+});
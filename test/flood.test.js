@@ -0,0 +1,68 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {FloodDetector} = require("../lib");
+const {startServer, connectRoom, sleep} = require("./helpers");
+
+describe("FloodDetector", () => {
+  it("counts uploads of rooms with their own File class", () => {
+    // Quacks like a File, without being one
+    class Upload {
+      constructor(room, uploader) {
+        this.room = room;
+        this.uploader = uploader;
+        this.fromAccount = false;
+      }
+    }
+
+    const room = {File: Upload};
+    const detector = new FloodDetector({thresholds: {white: {uploads: 3}}});
+    const floods = [];
+    detector.on("flood", info => floods.push(info));
+    for (let i = 0; i < 3; ++i) {
+      detector.check(new Upload(room, "Spammer"));
+    }
+    assert.strictEqual(floods.length, 1);
+    assert.strictEqual(floods[0].kind, "uploads");
+    assert.strictEqual(floods[0].files.length, 3);
+  });
+
+  describe("attached", () => {
+    let server;
+    let room;
+
+    beforeEach(async () => {
+      server = await startServer();
+      room = await connectRoom(server);
+    });
+
+    afterEach(async () => {
+      await room.close();
+      await server.close();
+    });
+
+    it("watches chat, until detached", async () => {
+      const detector = new FloodDetector({
+        thresholds: {white: {messages: 3, repeats: null}},
+      });
+      const floods = [];
+      detector.on("flood", info => floods.push(info));
+      const listeners = ["chat", "file"].map(e => room.listenerCount(e));
+      detector.attach(room).attach(room);
+      const mroom = server.getRoom("BEEPi");
+      for (let i = 0; i < 3; ++i) {
+        mroom.chat("Chatty", `number ${i}`);
+      }
+      while (!floods.length) {
+        await sleep(10);
+      }
+      assert.strictEqual(floods[0].nick, "Chatty");
+      assert.strictEqual(floods[0].messages.length, 3);
+
+      detector.detach(room);
+      assert.deepStrictEqual(
+        ["chat", "file"].map(e => room.listenerCount(e)), listeners);
+    });
+  });
+});
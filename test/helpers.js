@@ -0,0 +1,82 @@
+"use strict";
+
+const {MockServer} = require("../lib/mock");
+const {Room} = require("../lib");
+
+/**
+ * A listening mock server, with a BEEPi room
+ * @returns {MockServer}
+ */
+async function startServer() {
+  const server = new MockServer();
+  server.addRoom("BEEPi");
+  await server.listen();
+  return server;
+}
+
+/**
+ * A room on the mock server, connected
+ * @param {MockServer} server
+ * @param {Object} [options] Room options
+ * @param {string} [nick]
+ * @returns {Room}
+ */
+async function connectRoom(server, options, nick = "MrRobot") {
+  const room = new Room("BEEPi", nick, Object.assign({
+    server: server.url,
+  }, options));
+  await room.connect();
+  return room;
+}
+
+/**
+ * Wait for an event, but not forever
+ * @param {EventEmitter} emitter
+ * @param {string} event
+ * @param {number} [timeout] ms
+ * @returns {Array} Event arguments
+ */
+function once(emitter, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const listener = (...args) => {
+      clearTimeout(tid);
+      resolve(args);
+    };
+    const tid = setTimeout(() => {
+      emitter.removeListener(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    emitter.once(event, listener);
+  });
+}
+
+/**
+ * Wait for the server to see a call
+ * @param {MockServer} server
+ * @param {string} fn Function name
+ * @param {number} [timeout] ms
+ * @returns {Array} Call arguments
+ */
+function call(server, fn, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const listener = (client, name, args) => {
+      if (name !== fn) {
+        return;
+      }
+      clearTimeout(tid);
+      server.removeListener("call", listener);
+      resolve(args);
+    };
+    const tid = setTimeout(() => {
+      server.removeListener("call", listener);
+      reject(new Error(`Timed out waiting for ${fn}`));
+    }, timeout);
+    server.on("call", listener);
+  });
+}
+
+function sleep(time) {
+  return new Promise(resolve => setTimeout(resolve, time));
+}
+
+module.exports = {startServer, connectRoom, once, call, sleep};
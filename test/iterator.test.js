@@ -0,0 +1,235 @@
+"use strict";
+
+const assert = require("assert");
+const EventEmitter = require("events");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {EventIterator, Room, ManyRooms} = require("../lib");
+const {abortController} = require("../lib/util");
+const {startServer, connectRoom, once} = require("./helpers");
+
+async function collect(it, into) {
+  const rv = into || [];
+  for (;;) {
+    const {value, done} = await it.next();
+    if (done) {
+      return rv;
+    }
+    rv.push(value);
+  }
+}
+
+describe("EventIterator", () => {
+  it("buffers until consumed and finishes on close", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a", "b"]);
+    source.emit("a", 1);
+    source.emit("b", 2);
+    source.emit("c", 3);
+    source.emit("close");
+    source.emit("a", 4);
+    assert.deepStrictEqual(await collect(it), [1, 2]);
+    assert.strictEqual(source.listenerCount("a"), 0);
+    assert.strictEqual(source.listenerCount("close"), 0);
+  });
+
+  it("hands events to whoever is already waiting", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"]);
+    const next = it.next();
+    source.emit("a", 1);
+    assert.deepStrictEqual(await next, {value: 1, done: false});
+    const last = it.next();
+    source.emit("close");
+    assert.deepStrictEqual(await last, {value: undefined, done: true});
+  });
+
+  it("maps and filters", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"], {
+      map: (s, event, args) => args.join("+"),
+      filter: item => item !== "2+3",
+    });
+    source.emit("a", 1, 2);
+    source.emit("a", 2, 3);
+    source.emit("a", 3, 4);
+    source.emit("close");
+    assert.deepStrictEqual(await collect(it), ["1+2", "3+4"]);
+  });
+
+  it("drops the oldest items when over the limit", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"], {limit: 2});
+    for (let i = 0; i < 5; ++i) {
+      source.emit("a", i);
+    }
+    source.emit("close");
+    assert.strictEqual(it.dropped, 3);
+    assert.deepStrictEqual(await collect(it), [3, 4]);
+  });
+
+  it("errors out when over the limit, if told to", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"], {
+      limit: 2,
+      overflow: "error",
+    });
+    for (let i = 0; i < 5; ++i) {
+      source.emit("a", i);
+    }
+    assert.strictEqual(source.listenerCount("a"), 0);
+    const seen = [];
+    await assert.rejects(
+      collect(it, seen), /Iterator buffer overflowed \(limit: 2\)/);
+    assert.deepStrictEqual(seen, [0, 1, 2]);
+    assert.strictEqual(it.dropped, 0);
+  });
+
+  it("throws errors after draining the buffer", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"]);
+    source.emit("a", 1);
+    source.emit("error", new Error("broken"));
+    assert.deepStrictEqual(await it.next(), {value: 1, done: false});
+    await assert.rejects(it.next(), /broken/);
+    assert.deepStrictEqual(await it.next(), {value: undefined, done: true});
+  });
+
+  it("throws what map or filter threw", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"], {
+      filter: () => {
+        throw new Error("bad filter");
+      },
+    });
+    source.emit("a", 1);
+    await assert.rejects(collect(it), /bad filter/);
+    assert.strictEqual(source.listenerCount("a"), 0);
+  });
+
+  it("finishes once all sources closed", async () => {
+    const one = new EventEmitter();
+    const two = new EventEmitter();
+    const it = new EventIterator([one, two], ["a"]);
+    one.emit("a", 1);
+    one.emit("close");
+    two.emit("a", 2);
+    two.emit("close");
+    assert.deepStrictEqual(await collect(it), [1, 2]);
+  });
+
+  it("stops when aborted", async () => {
+    const source = new EventEmitter();
+    const aborter = abortController();
+    const it = new EventIterator([source], ["a"], {signal: aborter.signal});
+    source.emit("a", 1);
+    aborter.abort();
+    source.emit("a", 2);
+    assert.deepStrictEqual(await collect(it), [1]);
+    assert.strictEqual(source.listenerCount("a"), 0);
+
+    const early = new EventIterator([source], ["a"], {
+      signal: aborter.signal
+    });
+    assert.deepStrictEqual(await collect(early), []);
+  });
+
+  it("lets go of everything when returning early", async () => {
+    const source = new EventEmitter();
+    const it = new EventIterator([source], ["a"]);
+    source.emit("a", 1);
+    source.emit("a", 2);
+    assert.deepStrictEqual(await it.next(), {value: 1, done: false});
+    assert.deepStrictEqual(
+      await it.return(), {value: undefined, done: true});
+    assert.strictEqual(source.listenerCount("a"), 0);
+    assert.deepStrictEqual(await it.next(), {value: undefined, done: true});
+  });
+
+  it("refuses invalid options", () => {
+    const source = new EventEmitter();
+    assert.throws(() => new EventIterator([source], ["a"], {limit: 0}),
+      /Invalid buffer limit/);
+    assert.throws(
+      () => new EventIterator([source], ["a"], {overflow: "block"}),
+      /Invalid overflow mode/);
+    assert.strictEqual(source.listenerCount("a"), 0);
+  });
+});
+
+describe("Room iterators", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  it("iterates messages and file events until the room closes", async () => {
+    const mroom = server.getRoom("BEEPi");
+    mroom.addFile({name: "old.txt"});
+    room = await connectRoom(server);
+    const messages = room.messages({filter: m => m.nick !== "Spammer"});
+    const files = room.fileEvents();
+    mroom.chat("Someone", "one");
+    mroom.chat("Spammer", "buy now");
+    mroom.chat("Someone", "two");
+    const added = once(room, "file");
+    const {id} = mroom.addFile({name: "new.txt"});
+    await added;
+    const deleted = once(room, "delete_file");
+    mroom.removeFile(id);
+    await deleted;
+    await room.close();
+
+    const texts = (await collect(messages)).map(m => m.message);
+    assert.deepStrictEqual(texts, ["one", "two"]);
+    const events = (await collect(files)).map(e => {
+      return e.type === "file" ?
+        [e.type, e.file.name, e.initial] :
+        [e.type, e.id];
+    });
+    assert.deepStrictEqual(events, [
+      ["file", "new.txt", false],
+      ["delete_file", id],
+    ]);
+  });
+
+  it("yields the initial file list when iterating early", async () => {
+    server.getRoom("BEEPi").addFile({name: "old.txt"});
+    room = new Room("BEEPi", "MrRobot", {server: server.url});
+    const files = room.fileEvents();
+    await room.connect();
+    const first = await files.next();
+    assert.strictEqual(first.value.type, "file");
+    assert.strictEqual(first.value.file.name, "old.txt");
+    assert.strictEqual(first.value.initial, true);
+    await files.return();
+  });
+
+  it("yields [room, payload] tuples across rooms", async () => {
+    server.addRoom("other");
+    const many = new ManyRooms(["BEEPi", "other"], "MrRobot", {
+      server: server.url
+    });
+    assert.throws(() => many.iterate("chat"), /call \.init\(\) first/);
+    await many.init();
+    await many.connect();
+    room = many;
+    const chats = many.iterate("chat");
+    server.getRoom("BEEPi").chat("Someone", "here");
+    const [from, msg] = (await chats.next()).value;
+    assert.strictEqual(from, many.getRoom("BEEPi"));
+    assert.strictEqual(msg.message, "here");
+    server.getRoom("other").chat("Someone", "there");
+    const [other, msg2] = (await chats.next()).value;
+    assert.strictEqual(other, many.getRoom("other"));
+    assert.strictEqual(msg2.message, "there");
+    await many.close();
+    assert.deepStrictEqual(await chats.next(), {value: undefined, done: true});
+  });
+});
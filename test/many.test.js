@@ -0,0 +1,159 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {ManyRooms} = require("../lib");
+const {startServer, once, sleep} = require("./helpers");
+
+describe("ManyRooms", () => {
+  let server;
+  let many;
+
+  beforeEach(async () => {
+    server = await startServer();
+    server.addRoom("other");
+  });
+
+  afterEach(async () => {
+    await many.close();
+    await server.close();
+  });
+
+  async function connectMany(rooms) {
+    many = new ManyRooms(rooms, "MrRobot", {server: server.url});
+    await many.init();
+    await many.connect();
+    return many;
+  }
+
+  it("forwards events of rooms added later", async () => {
+    await connectMany(["BEEPi"]);
+    const added = once(many, "room_added");
+    const room = await many.addRoom("other");
+    assert.deepStrictEqual(await added, [room]);
+    assert.strictEqual(room.connected, true);
+    assert.strictEqual(many.getRoom("other"), room);
+
+    const chat = once(many, "chat");
+    server.getRoom("other").chat("Someone", "over here");
+    const [from, msg] = await chat;
+    assert.strictEqual(from, room);
+    assert.strictEqual(msg.message, "over here");
+  });
+
+  it("makes rooms from the session, or another room", async () => {
+    await connectMany(["BEEPi"]);
+    const room = many.makeRoom(
+      {room: "other", nick: "Someone", server: server.url}, many.account);
+    assert.strictEqual(room.account, many.account);
+    assert.strictEqual(room.nick, "Someone");
+    const other = many.makeRoom(
+      {room: "other", server: server.url}, many.getRoom("BEEPi"));
+    assert.strictEqual(other.account, many.account);
+    assert.strictEqual(other.nick, "MrRobot");
+  });
+
+  it("refuses to add rooms twice", async () => {
+    await connectMany(["BEEPi"]);
+    await assert.rejects(many.addRoom("BEEPi"), /Already in BEEPi/);
+    assert.strictEqual(many.rooms.length, 1);
+  });
+
+  it("keeps added rooms that failed to connect, as failed", async () => {
+    await connectMany(["BEEPi"]);
+    const failed = once(many, "room_failed");
+    await assert.rejects(many.addRoom("gone"));
+    const [room] = await failed;
+    assert.strictEqual(room.id, "gone");
+    const [, status] = many.status();
+    assert.strictEqual(status.state, "failed");
+    assert.ok(status.error);
+    assert.ok(status.failed <= Date.now());
+  });
+
+  it("removes rooms, closing them and no longer forwarding", async () => {
+    await connectMany(["BEEPi", "other"]);
+    const room = many.getRoom("other");
+    const chats = [];
+    many.on("chat", (r, msg) => chats.push(msg.message));
+    const removed = once(many, "room_removed");
+    assert.strictEqual(await many.removeRoom("other"), true);
+    assert.deepStrictEqual(await removed, [room]);
+    assert.strictEqual(room.closed, true);
+    assert.strictEqual(await many.removeRoom("other"), false);
+    assert.deepStrictEqual(many.rooms.map(r => r.id), ["BEEPi"]);
+
+    room.emit("chat", {message: "ghost"});
+    const chat = once(many, "chat");
+    server.getRoom("BEEPi").chat("Someone", "still here");
+    await chat;
+    assert.deepStrictEqual(chats, ["still here"]);
+  });
+
+  it("tells how the rooms are doing", async () => {
+    many = new ManyRooms(["BEEPi", "gone"], "MrRobot", {server: server.url});
+    await many.init();
+    assert.deepStrictEqual(
+      many.status().map(s => [s.id, s.state]),
+      [["BEEPi", "idle"], ["gone", "idle"]]);
+    await many.connect();
+    const [ok, gone] = many.status();
+    assert.strictEqual(ok.state, "connected");
+    assert.strictEqual(ok.nick, "MrRobot");
+    assert.strictEqual(ok.error, null);
+    assert.strictEqual(gone.state, "failed");
+    await many.close();
+    assert.strictEqual(many.status()[0].state, "closed");
+  });
+
+  it("isolates rooms failing to connect", async () => {
+    many = new ManyRooms(["gone", "BEEPi"], "MrRobot", {server: server.url});
+    await many.init();
+    const failed = once(many, "room_failed");
+    await many.connect();
+    const [room, ex] = await failed;
+    assert.strictEqual(room.id, "gone");
+    assert.ok(ex instanceof Error);
+    assert.strictEqual(many.getRoom("BEEPi").connected, true);
+  });
+
+  it("fails to connect when no room connects", async () => {
+    many = new ManyRooms(["gone"], "MrRobot", {server: server.url});
+    await many.init();
+    await assert.rejects(many.connect());
+  });
+
+  it("keeps running while some room is alive", async () => {
+    await connectMany(["BEEPi", "other"]);
+    let settled = false;
+    const running = many.run().then(() => {
+      settled = true;
+    });
+    const failed = once(many, "room_failed");
+    await many.getRoom("other").close();
+    const [room, ex] = await failed;
+    assert.strictEqual(room.id, "other");
+    assert.match(ex.message, /Room closed/);
+    await sleep(50);
+    assert.strictEqual(settled, false);
+    assert.strictEqual(many.getRoom("BEEPi").connected, true);
+    await many.close();
+    await running;
+  });
+
+  it("stops running once all rooms failed", async () => {
+    await connectMany(["BEEPi", "other"]);
+    const running = many.run();
+    server.dropConnections();
+    await assert.rejects(running, /All rooms failed/);
+  });
+
+  it("stops running once all rooms were removed", async () => {
+    await connectMany(["BEEPi", "other"]);
+    const running = many.run();
+    await many.removeRoom("BEEPi");
+    await many.removeRoom("other");
+    await running;
+    assert.deepStrictEqual(many.rooms, []);
+  });
+});
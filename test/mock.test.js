@@ -0,0 +1,70 @@
+"use strict";
+
+const assert = require("assert");
+const path = require("path");
+const {execFileSync} = require("child_process");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {Session} = require("../lib");
+const {startServer, connectRoom, once, call} = require("./helpers");
+
+describe("MockServer", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+    server.addUser("MrRobot", "hunter2");
+  });
+
+  afterEach(async () => {
+    if (room) {
+      await room.close();
+      room = null;
+    }
+    await server.close();
+  });
+
+  it("is not loaded along with volapi", () => {
+    const loaded = execFileSync(process.execPath, [
+      "-e",
+      "require('./lib'); console.log(Object.keys(require.cache)" +
+        ".some(k => k.includes('/engine.io/')))",
+    ], {cwd: path.join(__dirname, ".."), encoding: "utf-8"});
+    assert.strictEqual(loaded.trim(), "false");
+  });
+
+  it("chats both ways", async () => {
+    room = await connectRoom(server);
+    const sent = call(server, "chat");
+    const echoed = once(room, "chat");
+    await room.chat("hello");
+    assert.deepStrictEqual(await sent, ["MrRobot", "hello"]);
+    const [own] = await echoed;
+    assert.ok(own.self);
+
+    const received = once(room, "chat");
+    server.getRoom("BEEPi").chat("Other", "hi there");
+    const [msg] = await received;
+    assert.strictEqual(msg.nick, "Other");
+    assert.strictEqual(msg.message, "hi there");
+  });
+
+  it("logs in, and knows who it is", async () => {
+    const session = new Session("MrRobot", {server: server.url});
+    await session.login("hunter2");
+    room = await connectRoom(server, {session});
+    await once(room, "login");
+    assert.ok(room.session);
+    assert.ok(await session.validate());
+  });
+
+  it("uploads and downloads", async () => {
+    room = await connectRoom(server);
+    const added = once(room, "file");
+    const {id} = await room.uploadFile({stream: "some data", name: "a.txt"});
+    const [file] = await added;
+    assert.strictEqual(file.id, id);
+    assert.strictEqual(file.name, "a.txt");
+    assert.strictEqual(await (await file.fetch()).text(), "some data");
+  });
+});
@@ -0,0 +1,214 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {
+  Room, PresenceTracker, MemoryPresenceStore, JSONPresenceStore
+} = require("../lib");
+const {startServer, connectRoom, once, sleep} = require("./helpers");
+
+// Quacks like a File, without being one
+class Upload {
+  constructor(room, uploader, ip) {
+    this.room = room;
+    this.uploader = uploader;
+    this.ip = ip || null;
+  }
+}
+
+function fakeRoom(alias, privileged) {
+  return {alias, privileged: !!privileged, File: Upload};
+}
+
+function chat(room, nick, ip) {
+  return {room, nick, ip: ip || null, system: false};
+}
+
+describe("PresenceTracker", () => {
+  it("counts messages and uploads per nick", async () => {
+    const tracker = new PresenceTracker();
+    const room = fakeRoom("BEEPi");
+    await tracker.record(chat(room, "Alice"), 1000);
+    await tracker.record(new Upload(room, "alice"), 3000);
+    await tracker.record(chat(fakeRoom("other"), "ALICE"), 2000);
+    assert.deepStrictEqual(await tracker.seen("aLiCe"), {
+      nick: "ALICE",
+      first: 1000,
+      last: 3000,
+      messages: 2,
+      uploads: 1,
+      ips: [],
+      room: "other",
+    });
+    assert.strictEqual(await tracker.seen("Bob"), null);
+  });
+
+  it("ignores system messages and nobodies", async () => {
+    const tracker = new PresenceTracker();
+    const room = fakeRoom("BEEPi");
+    const system = Object.assign(chat(room, "News"), {system: true});
+    assert.strictEqual(await tracker.record(system), null);
+    assert.strictEqual(await tracker.record(chat(room, "")), null);
+    assert.deepStrictEqual(await tracker.activeSince(0), []);
+  });
+
+  it("keeps the latest IPs, if the room may know them", async () => {
+    const tracker = new PresenceTracker();
+    await tracker.record(chat(fakeRoom("BEEPi"), "Alice", "10.0.0.1"));
+    assert.deepStrictEqual((await tracker.seen("Alice")).ips, []);
+
+    const mod = fakeRoom("BEEPi", true);
+    for (let i = 0; i < 25; ++i) {
+      await tracker.record(chat(mod, "Alice", `10.0.0.${i}`));
+    }
+    await tracker.record(new Upload(mod, "Alice", "10.0.0.10"));
+    const {ips} = await tracker.seen("Alice");
+    assert.strictEqual(ips.length, 20);
+    assert.strictEqual(ips[0], "10.0.0.5");
+    assert.strictEqual(ips[19], "10.0.0.10");
+    assert.strictEqual(ips.filter(ip => ip === "10.0.0.10").length, 1);
+  });
+
+  it("hands out copies", async () => {
+    const tracker = new PresenceTracker();
+    const mod = fakeRoom("BEEPi", true);
+    const rec = await tracker.record(chat(mod, "Alice", "10.0.0.1"));
+    rec.ips.push("6.6.6.6");
+    rec.messages = 100;
+    const seen = await tracker.seen("Alice");
+    assert.deepStrictEqual(seen.ips, ["10.0.0.1"]);
+    assert.strictEqual(seen.messages, 1);
+  });
+
+  it("tells who was active lately, most recent first", async () => {
+    const tracker = new PresenceTracker();
+    const room = fakeRoom("BEEPi");
+    tracker.record(chat(room, "Alice"), 1000);
+    tracker.record(chat(room, "Bob"), 3000);
+    tracker.record(chat(room, "Carol"), 2000);
+    const active = await tracker.activeSince(new Date(2000));
+    assert.deepStrictEqual(active.map(r => r.nick), ["Bob", "Carol"]);
+  });
+
+  it("passes on store failures, and goes on", async () => {
+    const store = new MemoryPresenceStore();
+    store.set = () => Promise.reject(new Error("store on fire"));
+    const tracker = new PresenceTracker({store});
+    await assert.rejects(
+      tracker.record(chat(fakeRoom("BEEPi"), "Alice")), /store on fire/);
+    store.set = MemoryPresenceStore.prototype.set;
+    await tracker.record(chat(fakeRoom("BEEPi"), "Bob"));
+    assert.strictEqual((await tracker.seen("Bob")).messages, 1);
+  });
+
+  describe("attached", () => {
+    let server;
+    let room;
+
+    beforeEach(async () => {
+      server = await startServer();
+    });
+
+    afterEach(async () => {
+      await room.close();
+      await server.close();
+    });
+
+    it("does not count the initial file list", async () => {
+      const mroom = server.getRoom("BEEPi");
+      mroom.addFile({name: "old.txt", uploader: "Alice"});
+      const tracker = new PresenceTracker();
+      room = new Room("BEEPi", "MrRobot", {server: server.url});
+      tracker.attach(room);
+      const initial = once(room, "file");
+      await room.connect();
+      await initial;
+
+      const added = once(room, "file");
+      mroom.addFile({name: "new.txt", uploader: "Alice"});
+      await added;
+      const said = once(room, "chat");
+      mroom.chat("Alice", "hi");
+      await said;
+      const rec = await tracker.seen("Alice");
+      assert.strictEqual(rec.uploads, 1);
+      assert.strictEqual(rec.messages, 1);
+      assert.strictEqual(rec.room, "BEEPi");
+
+      tracker.detach(room);
+      const ignored = once(room, "chat");
+      mroom.chat("Alice", "still here");
+      await ignored;
+      assert.strictEqual((await tracker.seen("Alice")).messages, 1);
+    });
+
+    it("emits store failures", async () => {
+      room = await connectRoom(server);
+      const store = new MemoryPresenceStore();
+      store.get = () => Promise.reject(new Error("store on fire"));
+      const tracker = new PresenceTracker({store}).attach(room);
+      const failed = once(tracker, "error");
+      server.getRoom("BEEPi").chat("Alice", "hi");
+      const [ex] = await failed;
+      assert.strictEqual(ex.message, "store on fire");
+      await tracker.close();
+    });
+  });
+});
+
+describe("JSONPresenceStore", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-presence-"));
+    file = path.join(dir, "sub", "presence.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it("wants a file", () => {
+    assert.throws(() => new JSONPresenceStore(), /No file given/);
+  });
+
+  it("saves when flushing, and loads again", async () => {
+    const store = new JSONPresenceStore(file, {interval: 60000});
+    const tracker = new PresenceTracker({store});
+    await tracker.record(chat(fakeRoom("BEEPi"), "Alice"), 1000);
+    assert.ok(!fs.existsSync(file));
+    await tracker.close();
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+    const again = new PresenceTracker({store: new JSONPresenceStore(file)});
+    await again.record(chat(fakeRoom("other"), "alice"), 2000);
+    const rec = await again.seen("ALICE");
+    assert.strictEqual(rec.first, 1000);
+    assert.strictEqual(rec.last, 2000);
+    assert.strictEqual(rec.messages, 2);
+    await again.close();
+  });
+
+  it("saves every once in a while", async () => {
+    const store = new JSONPresenceStore(file, {interval: 20});
+    await store.set("bob", {nick: "Bob", last: 1, ips: []});
+    await store.set("carol", {nick: "Carol", last: 2, ips: []});
+    while (!fs.existsSync(file)) {
+      await sleep(10);
+    }
+    const {users} = JSON.parse(fs.readFileSync(file, "utf-8"));
+    assert.deepStrictEqual(Object.keys(users).sort(), ["bob", "carol"]);
+    await store.flush();
+  });
+
+  it("starts out empty, but not with garbage", async () => {
+    assert.deepStrictEqual(await new JSONPresenceStore(file).all(), []);
+    fs.mkdirSync(path.dirname(file));
+    fs.writeFileSync(file, "{garbage");
+    await assert.rejects(new JSONPresenceStore(file).get("alice"));
+  });
+});
@@ -0,0 +1,176 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {startServer, connectRoom, once} = require("./helpers");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("Room.findFiles", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+    const mroom = server.getRoom("BEEPi");
+    mroom.addFile({name: "Cat.JPG", data: "x".repeat(30), uploader: "Alice"});
+    mroom.addFile({
+      name: "dog.png",
+      data: "x".repeat(10),
+      uploader: "Bob",
+      user: true,
+      ip: "10.0.0.1",
+      ttl: 1,
+    });
+    mroom.addFile({
+      name: "movie.mp4",
+      data: "x".repeat(20),
+      uploader: "alice",
+      tags: {album: "holidays"},
+      ttl: 2,
+    });
+    mroom.addFile({name: "notes.txt", data: "", uploader: "Carol"});
+    room = await connectRoom(server);
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  function names(query) {
+    return room.findFiles(query).map(f => f.name);
+  }
+
+  it("finds everything without a query", () => {
+    assert.strictEqual(room.findFiles().length, 4);
+  });
+
+  it("matches names as case-insensitive substrings, or regexps", () => {
+    assert.deepStrictEqual(names({name: "cat"}), ["Cat.JPG"]);
+    assert.deepStrictEqual(
+      names({name: /\.(png|jpg)$/i, sort: "name"}), ["Cat.JPG", "dog.png"]);
+    assert.deepStrictEqual(names({name: ["dog", "notes"], sort: "name"}),
+      ["dog.png", "notes.txt"]);
+  });
+
+  it("matches uploaders case-insensitively, and accounts", () => {
+    assert.deepStrictEqual(
+      names({uploader: "ALICE", sort: "name"}), ["Cat.JPG", "movie.mp4"]);
+    assert.deepStrictEqual(names({fromAccount: true}), ["dog.png"]);
+    assert.deepStrictEqual(names({ip: "10.0.0.1"}), ["dog.png"]);
+  });
+
+  it("matches types, tags, ranges and predicates", () => {
+    assert.deepStrictEqual(
+      names({type: ["image", "video"], sort: "name"}),
+      ["Cat.JPG", "dog.png", "movie.mp4"]);
+    assert.deepStrictEqual(names({tags: {album: "holidays"}}), ["movie.mp4"]);
+    assert.deepStrictEqual(
+      names({size: {min: 10, max: 20}, sort: "size"}),
+      ["dog.png", "movie.mp4"]);
+    assert.deepStrictEqual(names({size: 0}), ["notes.txt"]);
+    assert.deepStrictEqual(
+      names({expires: {max: new Date(Date.now() + 1.5 * HOUR)}}),
+      ["dog.png"]);
+    assert.deepStrictEqual(
+      names({filter: f => f.size > 25, type: "image"}), ["Cat.JPG"]);
+    assert.deepStrictEqual(names({name: "cat", type: "video"}), []);
+  });
+
+  it("sorts and paginates", () => {
+    assert.deepStrictEqual(names({sort: "-size"}), [
+      "Cat.JPG", "movie.mp4", "dog.png", "notes.txt"
+    ]);
+    assert.deepStrictEqual(names({sort: "name", offset: 1, limit: 2}), [
+      "dog.png", "movie.mp4"
+    ]);
+    assert.deepStrictEqual(names({sort: "-uploader", limit: 1}), [
+      "notes.txt"
+    ]);
+    assert.deepStrictEqual(names({sort: "name", offset: 10}), []);
+    assert.deepStrictEqual(names({sort: "name", limit: 0}), []);
+    assert.deepStrictEqual(
+      names({sort: (a, b) => a.size - b.size, limit: 1}), ["notes.txt"]);
+  });
+
+  it("refuses queries it does not understand", () => {
+    assert.throws(() => room.findFiles({color: "red"}),
+      /Unknown query field: color/);
+    assert.throws(() => room.findFiles({sort: "ip"}), /Cannot sort by ip/);
+    assert.throws(() => room.findFiles({offset: -1}), /Invalid pagination/);
+    assert.throws(() => room.findFiles({limit: "ten"}), /Invalid pagination/);
+  });
+});
+
+describe("Room.watchFiles", () => {
+  let server;
+  let mroom;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+    mroom = server.getRoom("BEEPi");
+    mroom.addFile({name: "b.txt"});
+    mroom.addFile({name: "a.png"});
+    room = await connectRoom(server);
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  it("starts out with what matches already, quietly", () => {
+    const query = room.watchFiles({name: /\.(txt|png)$/, sort: "name"});
+    let matched = 0;
+    query.on("match", () => ++matched);
+    assert.deepStrictEqual(query.files.map(f => f.name), ["a.png", "b.txt"]);
+    assert.strictEqual(matched, 0);
+    query.close();
+  });
+
+  it("matches and unmatches as files come and go", async () => {
+    const query = room.watchFiles({type: "document", sort: "-name"});
+    const seen = [];
+    query.on("unmatch", file => seen.push(["unmatch", file.name]));
+    query.on("match", file => seen.push(["match", file.name]));
+
+    const other = once(room, "file");
+    mroom.addFile({name: "c.png"});
+    await other;
+    const matched = once(query, "match");
+    const {id} = mroom.addFile({name: "c.txt"});
+    await matched;
+    assert.deepStrictEqual(query.files.map(f => f.name), ["c.txt", "b.txt"]);
+
+    const unmatched = once(query, "unmatch");
+    mroom.removeFile(id);
+    await unmatched;
+    assert.deepStrictEqual(query.files.map(f => f.name), ["b.txt"]);
+    assert.deepStrictEqual(seen, [["match", "c.txt"], ["unmatch", "c.txt"]]);
+    query.close();
+  });
+
+  it("stops watching when closed, or when the room closes", async () => {
+    const listening = room.listenerCount("file");
+    const query = room.watchFiles();
+    const closed = once(query, "close");
+    query.close();
+    await closed;
+    query.close();
+    assert.strictEqual(room.listenerCount("file"), listening);
+
+    const other = room.watchFiles();
+    const gone = once(other, "close");
+    await room.close();
+    await gone;
+  });
+
+  it("refuses queries it does not understand", () => {
+    assert.throws(() => room.watchFiles({colour: "red"}),
+      /Unknown query field: colour/);
+    assert.throws(() => room.watchFiles({sort: "-nope"}),
+      /Cannot sort by nope/);
+  });
+});
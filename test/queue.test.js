@@ -0,0 +1,95 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {CallQueue} = require("../lib/queue");
+const {Room} = require("../lib");
+const {startServer, connectRoom, sleep} = require("./helpers");
+
+describe("CallQueue", () => {
+  it("holds calls until resumed", async () => {
+    const sent = [];
+    const queue = new CallQueue(fn => Promise.resolve(sent.push(fn)), false);
+    const first = queue.push("a", []);
+    queue.push("b", []);
+    assert.strictEqual(queue.length, 2);
+    queue.resume();
+    await first;
+    await queue.push("c", []);
+    assert.deepStrictEqual(sent, ["a", "b", "c"]);
+  });
+
+  it("rejects what is left when cleared", async () => {
+    const queue = new CallQueue(() => Promise.resolve(), false);
+    const pending = queue.push("a", []);
+    queue.clear(new Error("gone"));
+    await assert.rejects(pending, /gone/);
+    assert.strictEqual(queue.length, 0);
+  });
+
+  it("does not pace unless asked to", () => {
+    assert.strictEqual(new CallQueue(() => Promise.resolve()).bucket, null);
+    const {bucket} = new CallQueue(() => Promise.resolve(), true);
+    assert.deepStrictEqual([bucket.rate, bucket.burst], [3, 6]);
+  });
+
+  it("paces calls", async () => {
+    const times = [];
+    const queue = new CallQueue(() => Promise.resolve(times.push(Date.now())), {
+      rate: 20,
+      burst: 2,
+    });
+    queue.resume();
+    await Promise.all([1, 2, 3, 4].map(i => queue.push("a", [i])));
+    // Two at once, then one per 50ms
+    assert.ok(times[1] - times[0] < 25);
+    assert.ok(times[3] - times[1] >= 80);
+  });
+});
+
+describe("Room calls", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    if (room) {
+      await room.close();
+      room = null;
+    }
+    await server.close();
+  });
+
+  it("go out in order", async () => {
+    room = await connectRoom(server, {rateLimit: {rate: 50, burst: 1}});
+    const seen = [];
+    server.on("call", (client, fn, args) => {
+      if (fn === "chat") {
+        seen.push(args[1]);
+      }
+    });
+    await Promise.all(["one", "two", "three"].map(m => room.chat(m)));
+    while (seen.length < 3) {
+      await sleep(10);
+    }
+    assert.deepStrictEqual(seen, ["one", "two", "three"]);
+  });
+
+  it("are rejected when the room fails to connect", async () => {
+    const nowhere = new Room("NOPE", "MrRobot", {server: server.url});
+    const connecting = nowhere.connect();
+    const queued = nowhere.chat("hello?");
+    await assert.rejects(connecting);
+    await assert.rejects(queued, /failed to connect/);
+  });
+
+  it("are refused once the room is closed", async () => {
+    room = await connectRoom(server);
+    await room.close();
+    assert.throws(() => room.chat("too late"), /not connected/);
+    room = null;
+  });
+});
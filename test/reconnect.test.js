@@ -0,0 +1,94 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {startServer, connectRoom, once, call, sleep} = require("./helpers");
+
+const FAST = {delay: 10, maxDelay: 10, jitter: 0};
+
+describe("Room reconnect", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    if (room) {
+      await room.close();
+      room = null;
+    }
+    await server.close();
+  });
+
+  it("closes on a dropped connection without the option", async () => {
+    room = await connectRoom(server);
+    const closed = once(room, "close");
+    server.dropConnections();
+    await closed;
+    assert.strictEqual(room.connected, false);
+  });
+
+  it("comes back, and catches up on what it missed", async () => {
+    const mroom = server.getRoom("BEEPi");
+    const gone = mroom.addFile({name: "gone.txt", data: "bye"});
+    room = await connectRoom(server, {reconnect: FAST});
+    assert.ok(room.getFile(gone.id));
+
+    const deleted = once(room, "delete_file");
+    const sent = call(server, "chat");
+    const reconnected = once(room, "reconnected");
+    let queued;
+    room.once("disconnected", () => {
+      mroom.removeFile(gone.id);
+      queued = room.chat("sent once back");
+    });
+    server.dropConnections();
+
+    const [attempts] = await reconnected;
+    assert.strictEqual(attempts, 1);
+    assert.deepStrictEqual(await deleted, [gone.id]);
+    assert.ok(!room.getFile(gone.id));
+    await queued;
+    assert.deepStrictEqual(await sent, ["MrRobot", "sent once back"]);
+    assert.strictEqual(room.connected, true);
+  });
+
+  it("gives up after the configured retries", async () => {
+    room = await connectRoom(server, {
+      reconnect: Object.assign({retries: 2}, FAST),
+    });
+    const attempts = [];
+    room.on("reconnecting", attempt => attempts.push(attempt));
+    const closed = once(room, "close");
+    // Room is gone for good
+    const mroom = server.getRoom("BEEPi");
+    server.rooms.clear();
+    for (const client of mroom.clients) {
+      client.socket.close();
+    }
+    const [reason] = await closed;
+    assert.deepStrictEqual(attempts, [1, 2]);
+    assert.ok(reason);
+  });
+
+  it("stays closed when closed while reconnecting", async () => {
+    room = await connectRoom(server, {reconnect: FAST});
+    const mroom = server.getRoom("BEEPi");
+    let reconnected = false;
+    room.on("reconnected", () => reconnected = true);
+    const closed = once(room, "close");
+    room.once("reconnecting", () => {
+      // Close right when the new connection is ready
+      room.once("connected", () => room.close());
+    });
+    server.dropConnections();
+    await closed;
+    await sleep(50);
+    assert.strictEqual(reconnected, false);
+    assert.strictEqual(room.connected, false);
+    assert.strictEqual(mroom.clients.size, 0);
+    await assert.rejects(room.openConnection(), /closed/);
+  });
+});
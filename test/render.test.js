@@ -0,0 +1,141 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it} = require("node:test");
+const {Message, render} = require("../lib");
+
+const ORIGIN = "https://vola.test";
+
+function fakeRoom(files) {
+  files = files || {};
+  return {
+    origin: ORIGIN,
+    config: {},
+    getFile: id => files[id] || null,
+  };
+}
+
+function message(parts, room) {
+  return new Message(room || fakeRoom(), {
+    nick: "Someone",
+    message: parts,
+    options: {},
+    data: {},
+  });
+}
+
+const PARTS = [
+  {type: "text", value: "see "},
+  {type: "file", id: "abc", name: "a <b>.txt"},
+  {type: "text", value: " in "},
+  {type: "room", id: "other"},
+  {type: "break"},
+  {type: "url", href: "https://x.test/a(b)", text: "x.test/a(b)"},
+  {type: "url", href: "javascript:alert(1)", text: "click"},
+  {type: "sticker", value: "<wave>"},
+];
+
+describe("Message.parts", () => {
+  it("types every part, keeping unknown ones out of .message", () => {
+    const msg = message(PARTS);
+    assert.deepStrictEqual(msg.parts.map(p => [p.type, p.text]), [
+      ["text", "see "],
+      ["file", "@abc"],
+      ["text", " in "],
+      ["room", "#other"],
+      ["break", "\n"],
+      ["url", "x.test/a(b)"],
+      ["url", "click"],
+      ["sticker", "<wave>"],
+    ]);
+    assert.strictEqual(msg.parts[1].name, "a <b>.txt");
+    assert.strictEqual(msg.parts[7].unknown, true);
+    assert.ok(msg.parts.slice(0, 7).every(p => !p.unknown));
+    assert.strictEqual(msg.message, "see @abc in #other\nx.test/a(b)click");
+    assert.deepStrictEqual(msg.files, ["abc"]);
+    assert.deepStrictEqual(msg.rooms, ["other"]);
+    assert.deepStrictEqual(
+      msg.urls, ["https://x.test/a(b)", "javascript:alert(1)"]);
+  });
+
+  it("copes with parts lacking a type or text", () => {
+    const msg = message([{value: "what"}, {type: "text"}, {type: "gif"}]);
+    assert.deepStrictEqual(msg.parts, [
+      {type: "unknown", value: "what", text: "what", unknown: true},
+      {type: "text", text: ""},
+      {type: "gif", text: "", unknown: true},
+    ]);
+    assert.strictEqual(msg.message, "");
+  });
+});
+
+describe("render", () => {
+  it("renders HTML, linking into the site", () => {
+    assert.strictEqual(message(PARTS).toHTML(), [
+      "see ",
+      `<a class="file" href="${ORIGIN}/get/abc/a%20%3Cb%3E.txt" ` +
+        "title=\"a &lt;b&gt;.txt\">@abc</a>",
+      " in ",
+      `<a class="room" href="${ORIGIN}/r/other">#other</a>`,
+      "<br>",
+      "<a class=\"url\" href=\"https://x.test/a(b)\" " +
+        "rel=\"nofollow noopener noreferrer\">x.test/a(b)</a>",
+      "click",
+      "<span class=\"unknown\" data-type=\"sticker\">&lt;wave&gt;</span>",
+    ].join(""));
+  });
+
+  it("links files the room knows to their actual URL", () => {
+    const room = fakeRoom({abc: {url: "https://dl.vola.test/get/abc/a.txt"}});
+    const msg = message([{type: "file", id: "abc"}], room);
+    assert.strictEqual(msg.toHTML(),
+      "<a class=\"file\" href=\"https://dl.vola.test/get/abc/a.txt\">@abc</a>");
+  });
+
+  it("renders Markdown, escaping text and link targets", () => {
+    assert.strictEqual(message(PARTS).toMarkdown(), [
+      "see ",
+      `[@abc](${ORIGIN}/get/abc/a%20%3Cb%3E.txt)`,
+      " in ",
+      `[\\#other](${ORIGIN}/r/other)`,
+      "  \n",
+      "[x.test/a\\(b\\)](https://x.test/a%28b%29)",
+      "click",
+      "\\<wave\\>",
+    ].join(""));
+  });
+
+  it("renders for terminals, with and without colors", () => {
+    const msg = message(PARTS);
+    assert.strictEqual(msg.toANSI({color: false}),
+      "see @abc in #other\n" +
+      "x.test/a(b) <https://x.test/a(b)>click[sticker: <wave>]");
+    const colored = msg.toANSI();
+    assert.ok(colored.includes("\x1b[36m\x1b[1m@abc\x1b[0m"), colored);
+    assert.ok(colored.includes("\x1b[35m\x1b[1m#other\x1b[0m"), colored);
+    assert.ok(colored.includes("\x1b[33m[sticker: <wave>]\x1b[0m"), colored);
+  });
+
+  it("keeps chat from messing with the terminal", () => {
+    const msg = message([{type: "text", value: "\x1b[2Jgone\x07"}]);
+    assert.strictEqual(msg.toANSI({color: false}), "[2Jgone");
+  });
+
+  it("links to other sites when told to", () => {
+    const msg = message([{type: "room", id: "a b"}]);
+    assert.strictEqual(
+      render.toMarkdown(msg, {origin: "https://other.test//"}),
+      "[\\#a b](https://other.test/r/a%20b)");
+    const site = message(
+      [{type: "room", id: "x"}], {config: {site: "vola.io"}});
+    assert.strictEqual(site.toMarkdown(), "[\\#x](https://vola.io/r/x)");
+  });
+
+  it("escapes what it is given", () => {
+    assert.strictEqual(
+      render.escapeHTML("<a href='x'>&</a>"),
+      "&lt;a href=&#39;x&#39;&gt;&amp;&lt;/a&gt;");
+    assert.strictEqual(render.escapeMarkdown("*a* [b](c)"),
+      "\\*a\\* \\[b\\]\\(c\\)");
+  });
+});
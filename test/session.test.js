@@ -0,0 +1,140 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {Session, JSONSessionStore, MemorySessionStore, VolaError} =
+  require("../lib");
+const {writeAtomically} = require("../lib/util");
+const {startServer} = require("./helpers");
+
+describe("Session stores", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-session-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  it("write atomically, even at once", async () => {
+    const file = path.join(dir, "data.json");
+    const data = Array.from({length: 10}, (_, i) => `${i}`.repeat(1000));
+    await Promise.all(data.map(d => writeAtomically(file, d)));
+    assert.ok(data.includes(fs.readFileSync(file, "utf-8")));
+    assert.deepStrictEqual(fs.readdirSync(dir), ["data.json"]);
+  });
+
+  it("keep sessions only readable by their owner", async () => {
+    const file = path.join(dir, "session.json");
+    const store = new JSONSessionStore(file);
+    await store.save({session: "secret"});
+    assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    assert.deepStrictEqual(await store.load(), {session: "secret"});
+  });
+});
+
+describe("Session REST calls", () => {
+  let server;
+  let requests;
+
+  beforeEach(async () => {
+    requests = 0;
+    server = http.createServer((req, res) => {
+      ++requests;
+      res.writeHead(503);
+      res.end("down");
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it("give up when the site keeps failing", async () => {
+    const {port} = server.address();
+    const session = new Session("MrRobot", {
+      server: `http://127.0.0.1:${port}`,
+    });
+    await assert.rejects(session.callREST("getUserInfo"), VolaError);
+    assert.strictEqual(requests, 5);
+  });
+});
+
+describe("Session.resume", () => {
+  let server;
+  let store;
+
+  beforeEach(async () => {
+    server = await startServer();
+    server.addUser("MrRobot", "hunter2");
+    store = new MemorySessionStore();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  function newSession() {
+    return new Session("mrrobot", {server: server.url, store});
+  }
+
+  it("restores stored sessions without asking for passwords", async () => {
+    const first = newSession();
+    assert.strictEqual(await first.resume("hunter2"), "login");
+    const session = newSession();
+    const resumed = await session.resume(() => {
+      throw new Error("Asked for a password");
+    });
+    assert.strictEqual(resumed, "restored");
+    assert.strictEqual(session.session, first.session);
+    assert.strictEqual(session.nick, "MrRobot");
+  });
+
+  it("logs in again when the stored session expired", async () => {
+    store.save({nick: "MrRobot", session: "expired", cookies: []});
+    const session = newSession();
+    let logouts = 0;
+    session.on("logout", () => ++logouts);
+    const password = () => Promise.resolve("hunter2");
+    assert.strictEqual(await session.resume(password), "login");
+    assert.strictEqual(logouts, 1);
+    assert.notStrictEqual(session.session, "expired");
+    assert.strictEqual(store.load().session, session.session);
+  });
+
+  it("forgets expired sessions even without a password", async () => {
+    store.save({nick: "MrRobot", session: "expired", cookies: []});
+    const session = newSession();
+    assert.strictEqual(await session.resume(), null);
+    assert.strictEqual(session.session, null);
+    assert.strictEqual(store.load(), null);
+  });
+
+  it("ignores sessions of other accounts", async () => {
+    store.save({nick: "Other", session: "theirs", cookies: []});
+    const session = newSession();
+    assert.strictEqual(await session.resume(), null);
+    assert.strictEqual(session.session, null);
+    assert.strictEqual(store.load().session, "theirs");
+  });
+
+  it("keeps the session when the site cannot tell", async () => {
+    const first = newSession();
+    await first.login("hunter2");
+    server.rest_getUserInfo = () => ({
+      error: {code: 429, message: "Slow down"},
+    });
+    const session = newSession();
+    await assert.rejects(
+      session.resume("hunter2"), /Failed to validate session: Slow down/);
+    assert.strictEqual(session.session, first.session);
+    assert.strictEqual(store.load().session, first.session);
+  });
+});
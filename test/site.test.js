@@ -0,0 +1,165 @@
+"use strict";
+
+const assert = require("assert");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {Room, Session, File} = require("../lib");
+const {toEndpoints, onSite, parseId} = require("../lib/util");
+const {startServer, once} = require("./helpers");
+
+describe("toEndpoints", () => {
+  it("defaults to volafile.org", () => {
+    assert.deepStrictEqual(Object.assign({}, toEndpoints()), {
+      site: "volafile.org",
+      origin: "https://volafile.org",
+      rest: "https://volafile.org/rest",
+      websocket: "wss://volafile.org/api",
+      assets: "https://volafile.org",
+    });
+  });
+
+  it("takes host names and base URLs", () => {
+    assert.strictEqual(
+      toEndpoints({site: "volafile.io"}).websocket, "wss://volafile.io/api");
+    const base = toEndpoints({site: "http://staging.test:8080/vola/"});
+    assert.strictEqual(base.site, "staging.test");
+    assert.strictEqual(base.origin, "http://staging.test:8080/vola");
+    assert.strictEqual(base.rest, "http://staging.test:8080/vola/rest");
+    assert.strictEqual(base.websocket, "ws://staging.test:8080/vola/api");
+  });
+
+  it("lets servers win, and endpoints be elsewhere", () => {
+    const e = toEndpoints({
+      server: "http://localhost:1234/ignored",
+      site: "volafile.io",
+      endpoints: {
+        rest: "https://api.test/v1/",
+        websocket: "https://ws.test/socket",
+        assets: "https://cdn.test",
+      },
+    });
+    assert.strictEqual(e.origin, "http://localhost:1234");
+    assert.strictEqual(e.rest, "https://api.test/v1");
+    assert.strictEqual(e.websocket, "wss://ws.test/socket");
+    assert.strictEqual(e.assets, "https://cdn.test");
+  });
+
+  it("refuses what is not a site", () => {
+    assert.throws(() => toEndpoints({site: "ftp://vola.test"}),
+      /Site URL must be http\(s\)/);
+    assert.throws(() => toEndpoints({endpoints: {rest: "nope"}}),
+      /Invalid REST URL/);
+    assert.throws(() => toEndpoints({endpoints: {websocket: "ftp://x.test"}}),
+      /Websocket URL must be/);
+  });
+});
+
+describe("onSite", () => {
+  const endpoints = toEndpoints({
+    site: "vola.test",
+    endpoints: {assets: "https://cdn.test/files"},
+  });
+
+  it("knows the site, its subdomains and the endpoints", () => {
+    assert.ok(onSite(endpoints, "https://vola.test/r/BEEPi"));
+    assert.ok(onSite(endpoints, "https://dl3.VOLA.test/get/abc/x"));
+    assert.ok(onSite(endpoints, "https://cdn.test/files/get/abc/x"));
+    assert.ok(onSite(endpoints, "https://cdn.test/files?x=1"));
+  });
+
+  it("does not fall for lookalikes", () => {
+    assert.ok(!onSite(endpoints, "https://vola.test.evil/r/BEEPi"));
+    assert.ok(!onSite(endpoints, "https://evilvola.test/"));
+    assert.ok(!onSite(endpoints, "https://cdn.test/filesystem"));
+    assert.ok(!onSite(endpoints, "https://cdn.test/"));
+    assert.ok(!onSite(endpoints, "not a url"));
+  });
+});
+
+describe("parseId", () => {
+  it("finds rooms below the base of a site", () => {
+    const bases = ["https://vola.test/vola"];
+    assert.strictEqual(
+      parseId("https://vola.test/vola/r/BEEPi?x#y", bases), "BEEPi");
+    assert.strictEqual(parseId("https://other.test/r/abc", bases), "abc");
+    assert.strictEqual(parseId("/r/abc"), "abc");
+    assert.strictEqual(parseId("abc"), "abc");
+    assert.throws(() => parseId("https://vola.test/vola/x/BEEPi", bases));
+  });
+});
+
+describe("Room on other sites", () => {
+  it("builds URLs of the site", () => {
+    const room = new Room("https://vola.test/base/r/BEEPi", "MrRobot", {
+      site: "https://vola.test/base",
+      endpoints: {assets: "https://cdn.test"},
+    });
+    assert.strictEqual(room.id, "BEEPi");
+    assert.strictEqual(room.url, "https://vola.test/base/r/BEEPi");
+    assert.strictEqual(room.config.site, "vola.test");
+    assert.strictEqual(
+      room.account.endpoints.rest, "https://vola.test/base/rest");
+
+    const file = new File(room, [
+      "abc", "a b.png", "image", 3, Date.now() + 1000, Date.now(), {},
+      {thumb: "t1"},
+    ]);
+    assert.strictEqual(file.url, "https://cdn.test/get/abc/a%20b.png");
+    assert.strictEqual(
+      file.getAsset("thumb"), "https://cdn.test/asset/t1/abc");
+    assert.strictEqual(file.getAsset("video_thumb"), null);
+  });
+
+  it("goes where its session goes", () => {
+    const session = new Session("MrRobot", {site: "volafile.io"});
+    const room = new Room("BEEPi", "MrRobot", {session});
+    assert.strictEqual(room.origin, "https://volafile.io");
+    assert.strictEqual(room.endpoints, session.endpoints);
+  });
+
+  it("only fetches from the site", async () => {
+    const room = new Room("BEEPi", "MrRobot", {site: "vola.test"});
+    await assert.rejects(room.fetch("https://evil.test/x"),
+      /Only use this method with vola.test resources/);
+  });
+});
+
+describe("Room with endpoints", () => {
+  let server;
+  let room;
+
+  beforeEach(async () => {
+    server = await startServer();
+    room = new Room("BEEPi", "MrRobot", {
+      site: "vola.test",
+      endpoints: {
+        rest: `${server.url}/rest`,
+        websocket: `${server.url}/api`,
+        assets: "https://cdn.test",
+      },
+    });
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+  });
+
+  it("talks to the endpoints, and links to the site", async () => {
+    const rest = [];
+    const {_onrequest} = server;
+    server._onrequest = (req, res) => {
+      rest.push(req.url.split("?")[0]);
+      return _onrequest.call(server, req, res);
+    };
+    const connected = once(server, "connection");
+    await room.connect();
+    await connected;
+    assert.ok(rest.includes("/rest/getRoomConfig"), rest);
+    assert.strictEqual(room.url, "https://vola.test/r/BEEPi");
+
+    const added = once(room, "file");
+    const {id} = server.getRoom("BEEPi").addFile({name: "a.txt"});
+    const [file] = await added;
+    assert.strictEqual(file.url, `https://cdn.test/get/${id}/a.txt`);
+  });
+});
@@ -0,0 +1,58 @@
+// A janitor bot
+
+import {AutoModerator, FloodDetector, Room} from "volapi";
+
+export async function janitor(room: Room) {
+  const mod = new AutoModerator({dryRun: true, log: line => console.error(line)});
+  mod.rule("no-exe", {
+    on: "file",
+    match: {name: /\.exe$/i, size: {max: 1 << 20}},
+    actions: ["delete", {blacklist: {hours: 24, reason: "malware"}}],
+  });
+  mod.rule("flood", {
+    on: "chat",
+    match: {user: false},
+    rate: {count: 5, per: 10000},
+    actions: [{timeout: 10}, (msg, _, ctx) => console.log(msg.nick, ctx.rule)],
+  });
+  mod.rule("spam", {
+    on: "chat",
+    match: {text: [/buy now/i, "cheap pills"]},
+    actions: ["remove", {ban: {hours: 1, mute: true}}],
+  });
+  // @ts-expect-error messages cannot be deleted, they get removed
+  mod.rule("oops", {on: "chat", actions: ["delete"]});
+
+  mod.on("action", ({rule, action, dryRun, error}) => {
+    console.log(rule, action, dryRun, error);
+  });
+  mod.attach(room);
+  for (const file of room.files) {
+    const done = await mod.check(file);
+    console.log(done.length);
+  }
+  await room.run();
+}
+
+export function floods(room: Room) {
+  const detector = new FloodDetector({
+    thresholds: {
+      white: {messages: {count: 4, per: 3000}, uploads: null},
+      pro: {repeats: 10},
+    },
+  });
+  detector.on("flood", ({kind, messages, files}) => {
+    if (kind === "uploads" && files) {
+      files.forEach(f => f.delete().catch(console.error));
+    }
+    else if (messages) {
+      messages[0].timeout(5).catch(console.error);
+    }
+  });
+  detector.on("spam", info => console.log(info.nick, info.sender, info.count));
+  detector.attach(room);
+  const max: number | undefined = detector.thresholds.green.messages?.count;
+  console.log(max);
+  // @ts-expect-error purples don't get thresholds
+  new FloodDetector({thresholds: {admin: {messages: 1}}});
+}
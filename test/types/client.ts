@@ -0,0 +1,147 @@
+// A plain bot, as in samples/sample_client.js
+
+import {
+  Room,
+  Message,
+  File,
+  VolaError,
+  VolaPrivilegeError,
+  Endpoints,
+  util,
+} from "volapi";
+
+async function main() {
+  const room = new Room("BEEPi", "MrRobot", {
+    password: "secret",
+    key: "k3y",
+    reconnect: {retries: 10, delay: 500},
+    rateLimit: {rate: 2},
+    expiryWarning: 10 * 60 * 1000,
+  });
+  await room.login("hunter2");
+
+  room.on("chat", msg => {
+    const m: Message = msg;
+    if (m.self || m.system) {
+      return;
+    }
+    if (m.message.startsWith("!ping")) {
+      room.chat(`${m.nick}: pong`).catch(console.error);
+    }
+    if (m.purple && m.message === "!die") {
+      room.close();
+    }
+  });
+  room.on("file", (file, initial) => {
+    const f: File = file;
+    const i: boolean = initial;
+    console.log(f.name, f.size, f.uploader, f.url, f.expires - Date.now(), i);
+  });
+  room.on("file-abcdef", (file: File, initial: boolean) => {
+    console.log(file.id, initial);
+  });
+  room.on("fileinfo", (file, infos) => {
+    console.log(file.id, infos.checksum);
+  });
+  room.on("delete_file", id => console.log(id.toUpperCase()));
+  room.on("file_expiring", (file, left) => console.log(file.name, left / 1000));
+  room.on("file_expired", file => console.log(file.name));
+  room.on("users", count => console.log(count.toFixed()));
+  room.on("config", ({key, value}) => console.log(key, value));
+  room.on("config_motd", motd => console.log(motd));
+  room.on("reconnecting", (attempt, delay) => {
+    console.log(attempt.toFixed(), delay.toFixed());
+  });
+  room.on("error", ex => {
+    if (ex instanceof VolaPrivilegeError) {
+      console.error("pls leave", ex.volaSaysPlsLeave);
+    }
+    else if (ex instanceof VolaError) {
+      console.error(ex.message, ex.volaSaysNo);
+    }
+  });
+  // Whatever else vola sends along
+  room.on("some_new_thing", (...args: any[]) => console.log(args));
+  room.once("close", () => console.log("bye"));
+
+  // @ts-expect-error chat gives you a Message, not a string
+  room.on("chat", (m: string) => console.log(m));
+  // @ts-expect-error messages have no such thing
+  room.on("chat", m => m.nope);
+  // @ts-expect-error file ids are strings
+  room.on("delete_file", (id: number) => console.log(id));
+
+  await room.connect();
+  await room.chat("hello", {me: true});
+  // @ts-expect-error no such chat option
+  await room.chat("hello", {shout: true});
+
+  const files: File[] = room.files;
+  const file = room.getFile(files[0].id);
+  if (file) {
+    const infos = await file.infos();
+    console.log(infos.checksum, file.thumb, file.getAsset("thumb"));
+    const resp = await file.fetch({headers: {Range: "bytes=0-99"}});
+    console.log(resp.status, await resp.text());
+    const {path, size, checksum} = await file.download("out/", {
+      verify: true,
+      progress: (delta, cur, total) => console.log(delta, cur / total),
+    });
+    console.log(path, size, checksum);
+  }
+  console.log(room.config.janitors.has("MrRobot"), room.url, room.privileged);
+  await room.run();
+}
+
+main().catch(console.error);
+
+export async function compose(room: Room, other: Room, file: File) {
+  await room.compose("look at", file, "in", other).line().text("k").send();
+  await room.chat(room.compose().mentionFile("abcdef").mentionRoom("BEEPi"), {
+    me: true,
+  });
+  const chunks: string[] = room.compose("long text").split();
+  console.log(chunks);
+  // @ts-expect-error numbers are not mentionable
+  room.compose(42);
+}
+
+export function query(room: Room) {
+  const big: File[] = room.findFiles({
+    uploader: ["MrRobot", /^bot/i],
+    type: "video",
+    size: {min: 1 << 20},
+    uploaded: {min: new Date(Date.now() - 3600 * 1000)},
+    tags: {album: "cats"},
+    sort: "-size",
+    limit: 10,
+  });
+  console.log(big.length);
+  const q = room.watchFiles({name: /\.png$/, sort: "name"});
+  q.on("match", file => console.log(file.name));
+  q.on("unmatch", file => console.log(file.id));
+  console.log(q.files.length);
+  q.close();
+  // @ts-expect-error no such sort key
+  room.findFiles({sort: "ip"});
+}
+
+export function sites() {
+  const io = new Room("https://volafile.io/r/BEEPi", "MrRobot", {
+    site: "volafile.io",
+  });
+  const staging = new Room("BEEPi", "MrRobot", {
+    site: "https://staging.example.com/vola",
+    endpoints: {
+      rest: "https://api.example.com/vola",
+      websocket: "wss://ws.example.com/vola/api",
+      assets: "https://cdn.example.com",
+    },
+  });
+  const e: Endpoints = staging.endpoints;
+  console.log(io.endpoints.site, e.rest, e.websocket, e.assets, e.origin);
+  console.log(util.parseId(staging.url, [e.origin]));
+  console.log(util.onSite(util.toEndpoints({site: "volafile.io"}), io.url));
+  // @ts-expect-error endpoints are what they are
+  staging.endpoints.rest = "https://elsewhere";
+}
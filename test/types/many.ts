@@ -0,0 +1,118 @@
+// Many rooms, iterators and commands
+
+import {
+  ManyRooms,
+  Room,
+  Message,
+  File,
+  CommandRouter,
+  CommandContext,
+  FileEvent,
+} from "volapi";
+
+async function iterate(room: Room) {
+  const ac = new AbortController();
+  for await (const msg of room.messages({
+    filter: m => !m.self,
+    limit: 100,
+    overflow: "error",
+    signal: ac.signal,
+  })) {
+    const m: Message = msg;
+    if (m.message === "!stop") {
+      break;
+    }
+  }
+  for await (const ev of room.fileEvents()) {
+    const e: FileEvent = ev;
+    if (e.type === "file") {
+      const f: File = e.file;
+      console.log(f.name, e.initial);
+    }
+    else {
+      console.log(e.id.toUpperCase());
+    }
+  }
+  for await (const count of room.iterate("users")) {
+    console.log(count.toFixed());
+  }
+  for await (const file of room.iterate(["file"], {
+    filter: f => f.size > 0,
+  })) {
+    console.log(file.name);
+  }
+  for await (const anything of room.iterate("something_vola_sends")) {
+    console.log(anything);
+  }
+  // @ts-expect-error no such overflow mode
+  room.messages({overflow: "explode"});
+}
+
+async function many() {
+  const rooms = new ManyRooms(
+    ["BEEPi", {room: "other", password: "secret", nick: "Robot2"}],
+    "MrRobot",
+    {reconnect: true});
+  await rooms.init("hunter2");
+  rooms.on("chat", (room, msg) => {
+    const r: Room = room;
+    const m: Message = msg;
+    console.log(r.id, m.message);
+  });
+  rooms.on("file", (room, file, initial) => {
+    console.log(room.id, file.name, initial);
+  });
+  // @ts-expect-error the room comes first
+  rooms.on("chat", (msg: Message) => console.log(msg));
+  rooms.on("room_failed", (room, ex) => console.log(room.id, ex.message));
+  rooms.on("room_added", room => console.log(room.alias));
+  await rooms.connect();
+  const added: Room = await rooms.addRoom({room: "more", nick: "Robot3"});
+  const removed: boolean = await rooms.removeRoom(added);
+  await rooms.removeRoom("https://volafile.org/r/BEEPi");
+  console.log(removed, rooms.rooms.length, rooms.getRoom("other"));
+  for (const s of rooms.status()) {
+    if (s.state === "failed" && s.error) {
+      console.log(s.id, s.error.message, s.failed);
+    }
+  }
+  // @ts-expect-error no such state
+  if (rooms.status()[0].state === "dead") {
+    return;
+  }
+  for await (const [room, msg] of rooms.messages()) {
+    console.log(room.alias, msg.nick);
+  }
+  for await (const [room, ev] of rooms.fileEvents()) {
+    console.log(room.alias, ev.type);
+  }
+  await rooms.run();
+}
+
+function commands(room: Room, rooms: ManyRooms) {
+  const router = new CommandRouter({prefix: "!", help: "halp"});
+  router.command("ping", () => "pong");
+  router.command("roll", {
+    aliases: ["r"],
+    description: "Roll some dice",
+    args: ["dice?", {name: "times", type: "integer", optional: true}],
+    cooldown: 5000,
+  }, async (ctx: CommandContext) => {
+    await ctx.reply(`${ctx.nick} rolled ${ctx.args.dice}`);
+  });
+  router.command("nuke", {role: "admin", hidden: true}, ctx => {
+    ctx.room.call("nuke");
+  });
+  router.command("custom", {role: m => m.pro}, ctx => ctx.text);
+  // @ts-expect-error no such role
+  router.command("oops", {role: "emperor"}, () => "nope");
+  router.on("denied", ctx => console.log(ctx.nick, ctx.name));
+  router.on("cooldown", (ctx, remaining) => console.log(remaining.toFixed()));
+  router.on("error", (ex, ctx) => console.log(ex, ctx && ctx.command.name));
+  router.attach(room).attach(rooms);
+  router.detach(room);
+  const cmd = router.get("r");
+  console.log(cmd && cmd.usage("!"));
+}
+
+export {iterate, many, commands};
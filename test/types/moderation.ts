@@ -0,0 +1,41 @@
+// Cleaning the flow
+
+import {Room, Message, File, BanOptions} from "volapi";
+
+function moderate(room: Room, msg: Message, file: File) {
+  const options: BanOptions = {hours: 24, reason: "spam", ban: true};
+  room.ban({ip: "1.2.3.4"}, options);
+  room.ban("1.2.3.4", {hours: 1, mute: true});
+  room.ban([{user: "spammer"}, {ip: "1.2.3.4"}], {hours: 1, hellban: true});
+  room.unban({user: "spammer"}, {ban: true, mute: true, reason: "oops"});
+  room.blacklistFiles([file.id], {hours: 48, reason: "cp", ban: true});
+  room.whitelistFiles(file.id);
+  room.deleteFiles([file.id]);
+  room.removeMessages([msg.id || ""]);
+
+  msg.timeout(5);
+  msg.ban({hours: 1, ban: true});
+  msg.remove();
+  file.ban({hours: 1, ban: true});
+  file.blacklist({hours: 1});
+  file.timeout(10);
+  file.delete();
+
+  // @ts-expect-error hours is a number
+  room.ban("1.2.3.4", {hours: "forever", ban: true});
+  // @ts-expect-error no such ban option
+  room.ban("1.2.3.4", {hours: 1, nuke: true});
+  // @ts-expect-error unban options have no hours
+  room.unban("1.2.3.4", {hours: 1, ban: true});
+}
+
+async function configure(room: Room) {
+  await room.setConfig("motd", "be nice");
+  await room.addJanitor("somebody");
+  await room.removeJanitor("somebody");
+  await room.transferOwner("somebody");
+  // @ts-expect-error typos are caught
+  room.motdd = "be nice";
+}
+
+export {moderate, configure};
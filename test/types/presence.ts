@@ -0,0 +1,47 @@
+// A !seen bot
+
+import {
+  CommandRouter, JSONPresenceStore, PresenceRecord, PresenceStore,
+  PresenceTracker, Room,
+} from "volapi";
+
+// Bring your own store
+class NullStore implements PresenceStore {
+  get() {
+    return null;
+  }
+
+  set(key: string, record: PresenceRecord) {
+    console.log(key, record.nick);
+  }
+
+  all() {
+    return Promise.resolve([]);
+  }
+
+  flush() {}
+}
+
+export async function seenBot(room: Room) {
+  const presence = new PresenceTracker({
+    store: new JSONPresenceStore("presence.json", {interval: 1000}),
+  });
+  presence.attach(room);
+  new PresenceTracker({store: new NullStore()}).attach(room);
+
+  const router = new CommandRouter();
+  router.command("seen", {args: ["nick"]}, async ctx => {
+    const rec = await presence.seen(ctx.args.nick);
+    if (!rec) {
+      return `Never saw ${ctx.args.nick}`;
+    }
+    return `${rec.nick} was last seen ${new Date(rec.last)} in #${rec.room}`;
+  });
+  router.command("active", async () => {
+    const recs = await presence.activeSince(Date.now() - 3600 * 1000);
+    return recs.map(r => r.nick).join(", ");
+  });
+  router.attach(room);
+  await room.run();
+  await presence.close();
+}
@@ -0,0 +1,38 @@
+// Rendering messages, e.g. for a web log viewer
+
+import {DetachedRoom, Message, render} from "volapi";
+
+function show(msg: Message) {
+  const html: string = msg.toHTML({origin: "https://vola.example"});
+  const md: string = msg.toMarkdown();
+  const term: string = msg.toANSI({color: process.stdout.isTTY});
+  console.log(html, md, term, render.toHTML(msg), render.escapeHTML("<b>"));
+
+  for (const part of msg.parts) {
+    switch (part.type) {
+    case "file":
+    case "room":
+      console.log(part.id, part.name, part.text);
+      break;
+
+    case "url":
+      console.log(part.href, part.text);
+      break;
+
+    default:
+      console.log(part.type, part.text);
+    }
+  }
+}
+
+const room = new DetachedRoom("BEEPi");
+show(new Message(room, {
+  nick: "MrRobot",
+  message: [{type: "text", value: "hi"}, {type: "break"}],
+  options: {},
+  data: {},
+}));
+
+const empty = new Message(room, {nick: null, message: [], options: {}, data: {}});
+// @ts-expect-error colors are for terminals only
+render.toHTML(empty, {color: false});
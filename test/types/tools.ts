@@ -0,0 +1,76 @@
+// Logs, archives and the mock server
+
+import {
+  Room,
+  EventLogger,
+  LogReader,
+  DetachedRoom,
+  Archiver,
+  Message,
+  File,
+  util,
+} from "volapi";
+import {MockServer} from "volapi/lib/mock";
+
+async function mock() {
+  const server = new MockServer();
+  const mroom = server.addRoom("BEEPi", {owner: "MrRobot"});
+  server.addUser("MrRobot", "hunter2", {admin: true});
+  const record = mroom.addFile({name: "a.txt", data: "hello", ttl: 1});
+  console.log(record.checksum);
+  server.on("call", (client, fn, args) => console.log(client.nick, fn, args));
+  const url: string = await server.listen();
+  const room = new Room("BEEPi", "MrRobot", {server: url});
+  await room.connect();
+  mroom.chat("somebody", "hi", {user: true});
+  mroom.removeFile(record.id);
+  server.dropConnections();
+  await room.close();
+  await server.close();
+}
+
+async function logs(room: Room) {
+  const logger = new EventLogger(room, {dir: "logs/", maxFiles: 10});
+  logger.on("error", ex => console.error(ex.message));
+  await logger.close();
+
+  const reader = new LogReader("logs/", {site: "volafile.org"});
+  reader.on("room", (r: DetachedRoom) => {
+    r.on("chat", m => console.log(m.message));
+  });
+  const rooms = await reader.replay(async (r, type, payload, record) => {
+    if (type === "chat") {
+      const m = payload as Message;
+      console.log(r.id, m.nick, record.time);
+    }
+  });
+  for (const [id, r] of rooms) {
+    console.log(id, r.files.length);
+  }
+}
+
+async function archive(room: Room) {
+  const archiver = new Archiver(room, {
+    dir: "mirror/",
+    verify: true,
+    filter: (f: File) => f.size < 1 << 30,
+  });
+  archiver.on("archived", (file, result) => console.log(file.id, result.path));
+  archiver.on("failed", (file, ex) => console.log(file.id, ex));
+  await archiver.start();
+  await archiver.idle();
+  console.log(archiver.has("abcdef"));
+  archiver.stop();
+}
+
+async function utils() {
+  console.log(util.parseId("https://volafile.org/r/BEEPi"));
+  util.verifyNick("MrRobot");
+  const limiter = new util.Limiter(2);
+  const n: number = await limiter.run(async () => 1);
+  console.log(n, limiter.pending);
+  console.log(await util.walkFiles("cats/", {include: "*.png"}));
+  await util.sleep(1);
+}
+
+export {mock, logs, archive, utils};
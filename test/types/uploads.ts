@@ -0,0 +1,50 @@
+// Uploading things
+
+import {createReadStream} from "fs";
+import {Room, UploadResult} from "volapi";
+
+async function upload(room: Room) {
+  // From disk, name derived
+  let rv: UploadResult = await room.uploadFile({file: "cat.png"});
+  // From disk, other name
+  rv = await room.uploadFile({file: "cat.png", name: "dog.png"});
+  // From a stream, buffer or string, which need a name
+  rv = await room.uploadFile({
+    stream: createReadStream("cat.png"),
+    name: "cat.png",
+    highWaterMark: 1 << 20,
+    progress: (delta, cur, total, server, resumed) => {
+      console.log(delta, cur, total, server.toLowerCase(), resumed);
+    },
+  });
+  rv = await room.uploadFile({stream: Buffer.from("meow"), name: "cat.txt"});
+  rv = await room.uploadFile({stream: "meow", name: "cat.txt"});
+  console.log(rv.id, rv.checksum);
+
+  // @ts-expect-error streams need a name
+  await room.uploadFile({stream: "meow"});
+  // @ts-expect-error need something to upload
+  await room.uploadFile({name: "cat.txt"});
+
+  const remote = await room.uploadFromUrl("https://example.com/cat.png", {
+    maxSize: 1 << 24,
+    headers: {Authorization: "meow"},
+  });
+  console.log(remote.id, remote.name);
+
+  const {results, failures} = await room.uploadMany(
+    ["cats/", "dog.png", {stream: "meow", name: "cat.txt"}], {
+      include: "*.png",
+      exclude: ["*.tmp"],
+      concurrency: 3,
+      progress: (delta, cur, total, name) => console.log(name, cur / total),
+    });
+  for (const r of results) {
+    console.log(r.file, r.name, r.id);
+  }
+  for (const f of failures) {
+    console.log(f.name, f.error.message);
+  }
+}
+
+export {upload};
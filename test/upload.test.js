@@ -0,0 +1,241 @@
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const {startServer, connectRoom, once, sleep} = require("./helpers");
+
+const DATA = Buffer.from("0123456789".repeat(20000));
+
+function startRemote(handler) {
+  const remote = http.createServer(handler);
+  return new Promise(resolve => {
+    remote.listen(0, "127.0.0.1", () => resolve(remote));
+  });
+}
+
+function remoteUrl(remote, file = "data.bin") {
+  return `http://127.0.0.1:${remote.address().port}/${file}`;
+}
+
+/**
+ * A remote that sends half of DATA and then breaks off, but knows about
+ * ranges
+ * @param {Array} ranges Collects the Range header of each request
+ * @returns {function} Request handler
+ */
+function breaking(ranges) {
+  return async (req, res) => {
+    ranges.push(req.headers.range || null);
+    const m = /^bytes=(\d+)-$/.exec(req.headers.range || "");
+    if (m) {
+      const start = parseInt(m[1], 10);
+      res.writeHead(206, {
+        "Content-Length": DATA.length - start,
+        "Content-Range": `bytes ${start}-${DATA.length - 1}/${DATA.length}`,
+      });
+      res.end(DATA.slice(start));
+      return;
+    }
+    res.writeHead(200, {"Content-Length": DATA.length});
+    res.write(DATA.slice(0, DATA.length / 2));
+    await sleep(100);
+    res.destroy();
+  };
+}
+
+describe("Uploads", () => {
+  let server;
+  let room;
+  let remote;
+
+  beforeEach(async () => {
+    server = await startServer();
+    room = await connectRoom(server);
+  });
+
+  afterEach(async () => {
+    if (remote) {
+      await new Promise(resolve => remote.close(resolve));
+      remote = null;
+    }
+    await room.close();
+    await server.close();
+  });
+
+  it("uploads from a stream", async () => {
+    const added = once(room, "file");
+    const {id} = await room.uploadFile({stream: DATA, name: "data.bin"});
+    const [file] = await added;
+    assert.strictEqual(file.id, id);
+    assert.strictEqual(file.size, DATA.length);
+    assert.ok(server.getRoom("BEEPi").files.get(id).data.equals(DATA));
+  });
+
+  it("uploads from a url", async () => {
+    remote = await startRemote((req, res) => {
+      res.writeHead(200, {"Content-Length": DATA.length});
+      res.end(DATA);
+    });
+    const {id, name} = await room.uploadFromUrl(remoteUrl(remote));
+    assert.strictEqual(name, "data.bin");
+    assert.ok(server.getRoom("BEEPi").files.get(id).data.equals(DATA));
+  });
+
+  it("refuses remote resources that are too large", async () => {
+    remote = await startRemote((req, res) => {
+      res.writeHead(200, {"Content-Length": DATA.length});
+      res.end(DATA);
+    });
+    await assert.rejects(
+      room.uploadFromUrl(remoteUrl(remote), {maxSize: 100}),
+      /too large/);
+  });
+
+  it("resumes where the upload broke off", async () => {
+    const ranges = [];
+    remote = await startRemote(breaking(ranges));
+    const {id} = await room.uploadFromUrl(remoteUrl(remote), {timeout: 1000});
+    assert.strictEqual(ranges.length, 2);
+    assert.strictEqual(ranges[0], null);
+    const [, offset] = /^bytes=(\d+)-$/.exec(ranges[1]);
+    assert.ok(+offset > 0 && +offset <= DATA.length / 2);
+    assert.ok(server.getRoom("BEEPi").files.get(id).data.equals(DATA));
+  });
+
+  it("resumes without AbortController too", async () => {
+    const ranges = [];
+    remote = await startRemote(breaking(ranges));
+    const {AbortController} = global;
+    delete global.AbortController;
+    try {
+      const {id} = await room.uploadFromUrl(remoteUrl(remote), {
+        timeout: 1000,
+      });
+      assert.strictEqual(ranges.length, 2);
+      assert.ok(server.getRoom("BEEPi").files.get(id).data.equals(DATA));
+    }
+    finally {
+      global.AbortController = AbortController;
+    }
+  });
+});
+
+describe("Batch uploads", () => {
+  let server;
+  let room;
+  let dir;
+
+  beforeEach(async () => {
+    server = await startServer();
+    room = await connectRoom(server);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "volapi-batch-"));
+  });
+
+  afterEach(async () => {
+    await room.close();
+    await server.close();
+    fs.rmSync(dir, {recursive: true, force: true});
+  });
+
+  function uploaded() {
+    return Array.from(server.getRoom("BEEPi").files.values()).
+      map(f => f.name).
+      sort();
+  }
+
+  it("walks directories, with include and exclude globs", async () => {
+    fs.mkdirSync(path.join(dir, "sub"));
+    for (const f of ["a.txt", "b.log", "sub/c.txt", "sub/skip.txt"]) {
+      fs.writeFileSync(path.join(dir, f), f);
+    }
+    const {results, failures} = await room.uploadMany(dir, {
+      include: "*.txt",
+      exclude: "sub/skip.txt",
+    });
+    assert.deepStrictEqual(failures, []);
+    assert.deepStrictEqual(results.map(r => r.name).sort(), ["a.txt", "c.txt"]);
+    assert.ok(results.every(r => r.id && r.file.startsWith(dir)));
+    assert.deepStrictEqual(uploaded(), ["a.txt", "c.txt"]);
+  });
+
+  it("keeps to the concurrency limit", async () => {
+    let active = 0;
+    let most = 0;
+    const upload = server._upload;
+    server._upload = async (...args) => {
+      most = Math.max(most, ++active);
+      await sleep(20);
+      try {
+        return await upload.apply(server, args);
+      }
+      finally {
+        --active;
+      }
+    };
+    const files = Array.from({length: 6}, (_, i) => ({
+      stream: Buffer.from(`${i}`),
+      name: `${i}.txt`,
+    }));
+    const {results} = await room.uploadMany(files, {concurrency: 2});
+    assert.strictEqual(results.length, 6);
+    assert.strictEqual(most, 2);
+  });
+
+  it("waits out upload blocks together", async () => {
+    server.blockUploads(200);
+    let blocks = 0;
+    room.on("upload_blocked", () => ++blocks);
+    const files = Array.from({length: 4}, (_, i) => ({
+      stream: Buffer.from(`${i}`),
+      name: `${i}.txt`,
+    }));
+    const start = Date.now();
+    const {results} = await room.uploadMany(files, {concurrency: 4});
+    assert.strictEqual(results.length, 4);
+    assert.strictEqual(blocks, 1);
+    assert.ok(Date.now() - start >= 190);
+  });
+
+  it("reports failures, and stops on them when told to", async () => {
+    const files = [
+      {stream: Buffer.from("a"), name: "a.txt"},
+      path.join(dir, "missing.txt"),
+      {stream: Buffer.from("b"), name: "b.txt"},
+    ];
+    // Gone by the time its turn comes
+    const [, missing] = files;
+    fs.writeFileSync(missing, "here for the batch size");
+    const {results, failures} = await room.uploadMany(files, {
+      concurrency: 1,
+      stopOnError: true,
+      progress: () => fs.rmSync(missing, {force: true}),
+    });
+    assert.deepStrictEqual(results.map(r => r.name), ["a.txt"]);
+    assert.deepStrictEqual(failures.map(f => f.name), [
+      "missing.txt", "b.txt"
+    ]);
+    assert.strictEqual(failures[0].file, missing);
+    assert.match(failures[1].error.message, /Batch aborted/);
+  });
+
+  it("reports progress over the whole batch", async () => {
+    const calls = [];
+    await room.uploadMany([
+      {stream: Buffer.alloc(1000), name: "a.bin"},
+      {stream: Buffer.alloc(500), name: "b.bin"},
+    ], {
+      concurrency: 1,
+      progress: (delta, current, total, name) => {
+        calls.push({current, total, name});
+      },
+    });
+    assert.ok(calls.every(c => c.total === 1500));
+    assert.deepStrictEqual(
+      Array.from(new Set(calls.map(c => c.name))), ["a.bin", "b.bin"]);
+    assert.strictEqual(calls[calls.length - 1].current, 1500);
+  });
+});